@@ -0,0 +1,109 @@
+// accessibility.js - Screen reader announcements and accessibility options
+//
+// Everything the games show is drawn on a canvas, so LiveRegion mirrors the
+// score and game state as text for screen readers. AccessibilitySettings
+// holds the player's options:
+//
+//   highContrast    HUD text on solid boxes    ?contrast=high   (prefers-contrast: more)
+//   assistiveSpeed  slower game speed          ?speed=assist
+//   reducedMotion   no decorative animation    ?motion=reduce   (prefers-reduced-motion: reduce)
+//
+// A URL parameter wins over the choice saved from the settings checkboxes,
+// which wins over the browser preference.
+
+const A11Y_STORAGE_PREFIX = 'a11y_';
+// Assistive speed runs the game this much slower
+const ASSISTIVE_SPEED_SCALE = 0.6;
+
+const A11Y_OPTIONS = {
+  highContrast: {
+    param: 'contrast',
+    value: 'high',
+    media: '(prefers-contrast: more)',
+  },
+  assistiveSpeed: { param: 'speed', value: 'assist', media: null },
+  reducedMotion: {
+    param: 'motion',
+    value: 'reduce',
+    media: '(prefers-reduced-motion: reduce)',
+  },
+};
+
+class AccessibilitySettings {
+  // `onChange(name, value)` is called whenever an option changes
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.values = {};
+    const urlParams = new URLSearchParams(window.location.search);
+
+    Object.entries(A11Y_OPTIONS).forEach(([name, option]) => {
+      const param = urlParams.get(option.param);
+      const saved = gameStorage.get(A11Y_STORAGE_PREFIX + name);
+      const query =
+        option.media && window.matchMedia
+          ? window.matchMedia(option.media)
+          : null;
+
+      if (param !== null) {
+        this.values[name] = param === option.value;
+      } else if (saved !== null) {
+        this.values[name] = saved === '1';
+      } else {
+        this.values[name] = Boolean(query && query.matches);
+        // Follow the system setting until the player picks one
+        if (query && query.addEventListener) {
+          query.addEventListener('change', e => {
+            if (gameStorage.get(A11Y_STORAGE_PREFIX + name) === null) {
+              this.update(name, e.matches);
+            }
+          });
+        }
+      }
+    });
+
+    this.bindCheckboxes();
+  }
+
+  get(name) {
+    return Boolean(this.values[name]);
+  }
+
+  // Set an option and remember the player's choice
+  set(name, value) {
+    gameStorage.set(A11Y_STORAGE_PREFIX + name, value ? '1' : '0');
+    this.update(name, value);
+  }
+
+  update(name, value) {
+    this.values[name] = Boolean(value);
+    const checkbox = document.getElementById(`a11y-${name}`);
+    if (checkbox) checkbox.checked = this.values[name];
+    if (this.onChange) this.onChange(name, this.values[name]);
+  }
+
+  // Checkboxes with ids `a11y-<option>`, e.g. in the controls panel
+  bindCheckboxes() {
+    Object.keys(A11Y_OPTIONS).forEach(name => {
+      const checkbox = document.getElementById(`a11y-${name}`);
+      if (!checkbox) return;
+      checkbox.checked = this.values[name];
+      checkbox.addEventListener('change', () =>
+        this.set(name, checkbox.checked)
+      );
+    });
+  }
+}
+
+// Visually hidden aria-live element that screen readers read out
+class LiveRegion {
+  constructor(id) {
+    this.element = document.getElementById(id);
+    this.message = '';
+  }
+
+  announce(message) {
+    if (!this.element || message === this.message) return;
+    this.message = message;
+    this.element.textContent = message;
+  }
+}
@@ -0,0 +1,207 @@
+// analytics.js - Gameplay event bus with pluggable sinks
+//
+// Each game gets a bus from createGameAnalytics() as `this.analytics` and
+// reports what players do through `this.analytics.track(name, data)`.
+// Events are queued and handed to every sink in batches:
+//
+//   { name: 'game_over', time: '2025-05-01T10:00:00.000Z', session: 'k3j9...',
+//     topic: 'sharks', template: 'dodgeDanger', data: { score, duration } }
+//
+// Events: load, asset_fallback, game_start, item_collected, item_caught,
+// life_lost, pipe_passed, power_up, shield_used, game_over, restart, share.
+//
+// A sink is any object with `send(events)`. Which sinks run is configured
+// with ?analytics=console,memory (or window.GAME_ANALYTICS), and a beacon
+// sink is added when ?analyticsEndpoint=<url> or
+// window.GAME_ANALYTICS_ENDPOINT is set. Players opt out with
+// ?analytics=off, or persistently with `analytics.setOptOut(true)`.
+
+const ANALYTICS_BATCH_SIZE = 10;
+// Milliseconds a partial batch may wait before it is sent
+const ANALYTICS_FLUSH_DELAY = 5000;
+const ANALYTICS_OPT_OUT_KEY = 'analytics_optOut';
+
+class ConsoleAnalyticsSink {
+  send(events) {
+    events.forEach(event => {
+      console.info(`[analytics] ${event.name}`, event);
+    });
+  }
+}
+
+// Keeps every event, for tests and debugging
+class MemoryAnalyticsSink {
+  constructor() {
+    this.events = [];
+  }
+
+  send(events) {
+    this.events.push(...events);
+  }
+
+  named(name) {
+    return this.events.filter(event => event.name === name);
+  }
+}
+
+// POSTs each batch as `{ events: [...] }`. sendBeacon survives the page
+// being closed; fetch with keepalive covers browsers without it.
+class BeaconAnalyticsSink {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+  }
+
+  send(events) {
+    const body = JSON.stringify({ events });
+    if (navigator.sendBeacon) {
+      const blob = new Blob([body], { type: 'application/json' });
+      if (navigator.sendBeacon(this.endpoint, blob)) return;
+    }
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(error => {
+      console.warn('Could not send analytics events', error);
+    });
+  }
+}
+
+const ANALYTICS_SINKS = {
+  console: ConsoleAnalyticsSink,
+  memory: MemoryAnalyticsSink,
+};
+
+class AnalyticsBus {
+  constructor(context = {}, options = {}) {
+    this.context = context;
+    this.enabled = options.enabled !== false;
+    this.batchSize = options.batchSize || ANALYTICS_BATCH_SIZE;
+    this.flushDelay =
+      options.flushDelay === undefined
+        ? ANALYTICS_FLUSH_DELAY
+        : options.flushDelay;
+    this.session = Math.random().toString(36).slice(2, 10);
+    this.sinks = [];
+    this.queue = [];
+    this.flushTimer = null;
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+    return sink;
+  }
+
+  // Find a sink by class, e.g. bus.getSink(MemoryAnalyticsSink)
+  getSink(type) {
+    return this.sinks.find(sink => sink instanceof type) || null;
+  }
+
+  // Extra fields stamped on every later event
+  setContext(context) {
+    Object.assign(this.context, context);
+  }
+
+  track(name, data = {}) {
+    if (!this.enabled || !this.sinks.length) return;
+
+    this.queue.push({
+      name,
+      time: new Date().toISOString(),
+      session: this.session,
+      ...this.context,
+      data,
+    });
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (this.flushTimer === null) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+  }
+
+  // Remember the player's choice across visits. Opting out drops anything
+  // not sent yet.
+  setOptOut(optOut) {
+    if (optOut) {
+      gameStorage.set(ANALYTICS_OPT_OUT_KEY, '1');
+      this.queue = [];
+    } else {
+      gameStorage.remove(ANALYTICS_OPT_OUT_KEY);
+    }
+    this.enabled = !optOut;
+  }
+
+  // Send everything queued. A failing sink never breaks the game or the
+  // other sinks.
+  flush() {
+    if (this.flushTimer !== null) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.queue.length) return;
+
+    const events = this.queue;
+    this.queue = [];
+    this.sinks.forEach(sink => {
+      try {
+        sink.send(events);
+      } catch (error) {
+        console.warn('Analytics sink failed', error);
+      }
+    });
+  }
+}
+
+function isAnalyticsOptedOut() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const setting = urlParams.get('analytics');
+  return (
+    setting === 'off' ||
+    setting === '0' ||
+    window.GAME_ANALYTICS_DISABLED === true ||
+    gameStorage.get(ANALYTICS_OPT_OUT_KEY) === '1'
+  );
+}
+
+// Build the page's bus from the URL / window configuration
+function createGameAnalytics() {
+  const bus = new AnalyticsBus(
+    { topic: getTopicFromUrl() },
+    { enabled: !isAnalyticsOptedOut() }
+  );
+
+  const urlParams = new URLSearchParams(window.location.search);
+  const names = (urlParams.get('analytics') || '')
+    .split(',')
+    .concat(window.GAME_ANALYTICS || []);
+  names.forEach(name => {
+    const Sink = ANALYTICS_SINKS[name.trim()];
+    if (Sink && !bus.getSink(Sink)) bus.addSink(new Sink());
+  });
+
+  const endpoint =
+    urlParams.get('analyticsEndpoint') || window.GAME_ANALYTICS_ENDPOINT;
+  if (endpoint) {
+    bus.addSink(new BeaconAnalyticsSink(endpoint));
+  }
+
+  // Topic art that didn't load, reported by loadTopicImages
+  window.addEventListener('gameassetfallback', e => {
+    bus.track('asset_fallback', {
+      fallbacks: e.detail.fallbacks.map(({ slot, source }) => ({
+        slot,
+        source,
+      })),
+    });
+  });
+
+  // Don't lose the last batch when the player leaves
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) bus.flush();
+  });
+  window.addEventListener('pagehide', () => bus.flush());
+
+  return bus;
+}
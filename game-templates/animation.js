@@ -0,0 +1,232 @@
+// animation.js - Sprite sheets, frame sequences and named animation clips
+//
+// A topic can animate any image slot by describing it in topic.json under
+// `extras.animations`. Frames come either from a sprite sheet (an asset key
+// plus a frame size; frames are numbered left to right, top to bottom) or
+// from a list of asset keys, one image per frame:
+//
+//   "assets": { "character-sheet": "bird.png", "item": "a.png", "item-2": "b.png" },
+//   "extras": { "animations": {
+//     "character": {
+//       "sheet": "character-sheet", "frameWidth": 64, "frameHeight": 64,
+//       "clips": {
+//         "idle": { "frames": [0, 1], "fps": 4 },
+//         "flap": { "frames": [2, 3, 4], "fps": 12, "loop": false, "next": "idle" },
+//         "hit": { "frames": [5] }
+//       }
+//     },
+//     "item": { "frames": ["item", "item-2"], "clips": { "idle": { "fps": 2 } } }
+//   } }
+//
+// Clips play at `fps` (default 8) or with per-frame `durations` in ms, loop
+// unless `loop` is false, and can hand over to a `next` clip when they end.
+// Clips without `frames` use every frame. Templates ask for the clips they
+// know (idle, move, flap, hit) and fall back to the static image for slots
+// a topic doesn't animate.
+
+const DEFAULT_CLIP_FPS = 8;
+
+// Load `src` once per URL, so frames sharing an image share the request
+function createImageCache(load) {
+  const cache = new Map();
+  return src => {
+    if (!cache.has(src)) cache.set(src, load(src));
+    return cache.get(src);
+  };
+}
+
+// Every frame of a sheet as { image, x, y, width, height }
+function sliceSpriteSheet(image, frameWidth, frameHeight, frameCount) {
+  const columns = Math.floor(image.width / frameWidth);
+  const rows = Math.floor(image.height / frameHeight);
+  const total = Math.min(columns * rows, frameCount || Infinity);
+  const frames = [];
+  for (let i = 0; i < total; i++) {
+    frames.push({
+      image,
+      x: (i % columns) * frameWidth,
+      y: Math.floor(i / columns) * frameHeight,
+      width: frameWidth,
+      height: frameHeight,
+    });
+  }
+  return frames;
+}
+
+// The frames and clips of one slot. Shared by everything drawing that slot;
+// each sprite on screen plays it through its own AnimationPlayer.
+class SpriteAnimation {
+  constructor(frames, clips) {
+    this.frames = frames;
+    this.clips = {};
+    const clipSpecs = clips && Object.keys(clips).length ? clips : { idle: {} };
+    Object.keys(clipSpecs).forEach(name => {
+      const spec = clipSpecs[name];
+      const indices = spec.frames || frames.map((frame, i) => i);
+      // Like `durations`, only positive rates count
+      const fps =
+        Number.isFinite(spec.fps) && spec.fps > 0 ? spec.fps : DEFAULT_CLIP_FPS;
+      const frameDuration = 1000 / fps;
+      this.clips[name] = {
+        name,
+        frames: indices.map(index => {
+          if (!frames[index]) {
+            throw new Error(`clip "${name}" uses missing frame ${index}`);
+          }
+          return frames[index];
+        }),
+        durations: indices.map((index, i) =>
+          spec.durations && spec.durations[i] > 0
+            ? spec.durations[i]
+            : frameDuration
+        ),
+        loop: spec.loop !== false,
+        next: spec.next || null,
+      };
+    });
+    // Clip players start with: idle if the topic has one, else the first
+    this.defaultClip = this.clips.idle ? 'idle' : Object.keys(this.clips)[0];
+  }
+
+  has(name) {
+    return Boolean(this.clips[name]);
+  }
+
+  createPlayer() {
+    return new AnimationPlayer(this);
+  }
+}
+
+// Playback state for one sprite: the current clip, frame and time
+class AnimationPlayer {
+  constructor(animation) {
+    this.animation = animation;
+    this.clip = animation.clips[animation.defaultClip];
+    this.frameIndex = 0;
+    this.elapsed = 0; // ms into the current frame
+    this.finished = false;
+  }
+
+  // Back to the default clip, for a new run
+  reset() {
+    this.play(this.animation.defaultClip, true);
+  }
+
+  get clipName() {
+    return this.clip.name;
+  }
+
+  get frame() {
+    return this.clip.frames[this.frameIndex];
+  }
+
+  // Switch to a clip the topic defines; the current clip keeps playing
+  // otherwise. The same clip only starts over when `restart` is set.
+  play(name, restart = false) {
+    const clip = this.animation.clips[name];
+    if (!clip || (clip === this.clip && !restart)) return;
+    this.clip = clip;
+    this.frameIndex = 0;
+    this.elapsed = 0;
+    this.finished = false;
+  }
+
+  update(dt) {
+    if (this.finished) return;
+    this.elapsed += dt * 1000;
+    while (this.elapsed >= this.clip.durations[this.frameIndex]) {
+      this.elapsed -= this.clip.durations[this.frameIndex];
+      if (this.frameIndex < this.clip.frames.length - 1) {
+        this.frameIndex++;
+      } else if (this.clip.next && this.animation.has(this.clip.next)) {
+        this.play(this.clip.next);
+      } else if (this.clip.loop) {
+        this.frameIndex = 0;
+      } else {
+        // Hold the last frame
+        this.finished = true;
+        this.elapsed = 0;
+        return;
+      }
+    }
+  }
+
+  draw(ctx, x, y, width, height) {
+    drawSprite(ctx, this.frame, x, y, width, height);
+  }
+}
+
+// Draw an AnimationPlayer's current frame, a sheet frame
+// ({ image, x, y, width, height }) or a plain image
+function drawSprite(ctx, sprite, x, y, width, height) {
+  const frame = sprite instanceof AnimationPlayer ? sprite.frame : sprite;
+  if (frame.image) {
+    ctx.drawImage(
+      frame.image,
+      frame.x,
+      frame.y,
+      frame.width,
+      frame.height,
+      x,
+      y,
+      width,
+      height
+    );
+  } else {
+    ctx.drawImage(frame, x, y, width, height);
+  }
+}
+
+// Frames for one slot's spec. `loadKey` resolves an asset key to an image.
+async function loadAnimationFrames(spec, loadKey) {
+  if (spec.sheet) {
+    if (!(spec.frameWidth > 0) || !(spec.frameHeight > 0)) {
+      throw new Error('sprite sheets need a frameWidth and frameHeight');
+    }
+    const image = await loadKey(spec.sheet);
+    const frames = sliceSpriteSheet(
+      image,
+      spec.frameWidth,
+      spec.frameHeight,
+      spec.frameCount
+    );
+    if (!frames.length) {
+      throw new Error(`"${spec.sheet}" is smaller than one frame`);
+    }
+    return frames;
+  }
+  if (Array.isArray(spec.frames) && spec.frames.length) {
+    return Promise.all(spec.frames.map(loadKey));
+  }
+  throw new Error('needs a "sheet" or a list of "frames"');
+}
+
+// SpriteAnimations for every slot the topic animates, keyed by slot.
+// `images` are the loaded slot images, reused when a frame list names a
+// slot. Broken specs are skipped with a warning, leaving the static image.
+async function loadTopicAnimations(assets, images = {}) {
+  const specs = (assets.extras && assets.extras.animations) || {};
+  const loadUrl = createImageCache(loadImage);
+  const loadKey = key => {
+    if (images[key] && assets.files[key]) return Promise.resolve(images[key]);
+    if (!assets.files[key]) {
+      return Promise.reject(new Error(`no asset "${key}" in topic.json`));
+    }
+    return loadUrl(assets.files[key]);
+  };
+
+  const animations = {};
+  await Promise.all(
+    Object.keys(specs).map(async slot => {
+      try {
+        const frames = await loadAnimationFrames(specs[slot], loadKey);
+        animations[slot] = new SpriteAnimation(frames, specs[slot].clips);
+      } catch (error) {
+        console.warn(
+          `Topic "${assets.topic}" animation for "${slot}" skipped: ${error.message}`
+        );
+      }
+    })
+  );
+  return animations;
+}
@@ -0,0 +1,213 @@
+// asset-loader.js - Shared image loading with a layered fallback chain
+//
+// Every template slot (character, item, background) is resolved in order:
+//   1. the topic asset from the manifest (GAME_ASSETS)
+//   2. the template's bundled default, if it ships one
+//   3. a procedurally drawn placeholder that is clearly visible in-game
+//
+// Optional slots a template asks for (loadOptionalImages) only come from the
+// topic and are left empty otherwise.
+
+// Whether `src` is served from another origin than the page
+function isCrossOrigin(src) {
+  try {
+    return new URL(src, window.location.href).origin !== window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Request one image, with CORS if `crossOrigin` is given
+const requestImage = (src, crossOrigin) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    if (crossOrigin) img.crossOrigin = crossOrigin;
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+    img.src = src;
+  });
+
+// Load a single image, rejecting if it can't be loaded. Art from another
+// origin (the GitHub fallback, ?assetBase=, ?server=) is requested with CORS
+// so result cards and collision masks can read it back. Hosts that don't
+// send CORS headers refuse that request, so it is retried without: the art
+// still shows, and sharing and masks fall back as for any unreadable image.
+const loadImage = src => {
+  if (!src) return Promise.reject(new Error('No image source provided'));
+  if (!isCrossOrigin(src)) return requestImage(src);
+  return requestImage(src, 'anonymous').catch(() => requestImage(src));
+};
+
+// Colors used for the generated placeholders - loud on purpose so a broken
+// topic is obvious when playing, not just in the console.
+const PLACEHOLDER_COLORS = {
+  character: { fill: '#ff2fa0', stroke: '#5a0036' },
+  item: { fill: '#ffd400', stroke: '#6b5800' },
+  background: {
+    from: '#3a1f5d',
+    to: '#0f4c5c',
+    grid: 'rgba(255, 255, 255, 0.12)',
+  },
+};
+
+// Draw a placeholder sprite for the given slot onto an offscreen canvas.
+// Canvases can be passed to drawImage like any loaded image.
+function createPlaceholderSprite(slot) {
+  const canvas = document.createElement('canvas');
+  const size = slot === 'background' ? 512 : 128;
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+
+  if (slot === 'background') {
+    const colors = PLACEHOLDER_COLORS.background;
+    const gradient = ctx.createLinearGradient(0, 0, 0, size);
+    gradient.addColorStop(0, colors.from);
+    gradient.addColorStop(1, colors.to);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+
+    ctx.strokeStyle = colors.grid;
+    ctx.lineWidth = 2;
+    for (let i = 0; i <= size; i += 32) {
+      ctx.beginPath();
+      ctx.moveTo(i, 0);
+      ctx.lineTo(i, size);
+      ctx.moveTo(0, i);
+      ctx.lineTo(size, i);
+      ctx.stroke();
+    }
+    return canvas;
+  }
+
+  const colors = PLACEHOLDER_COLORS[slot] || PLACEHOLDER_COLORS.character;
+  const center = size / 2;
+  ctx.fillStyle = colors.fill;
+  ctx.strokeStyle = colors.stroke;
+  ctx.lineWidth = 8;
+
+  if (slot === 'item') {
+    // Five-pointed star
+    ctx.beginPath();
+    for (let i = 0; i < 10; i++) {
+      const radius = i % 2 === 0 ? center - 8 : center / 2.4;
+      const angle = (Math.PI / 5) * i - Math.PI / 2;
+      ctx.lineTo(
+        center + radius * Math.cos(angle),
+        center + radius * Math.sin(angle)
+      );
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    return canvas;
+  }
+
+  // Round face with eyes, so orientation and rotation are still readable
+  ctx.beginPath();
+  ctx.arc(center, center, center - 8, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.fillStyle = '#fff';
+  ctx.beginPath();
+  ctx.arc(center + 14, center - 14, 16, 0, Math.PI * 2);
+  ctx.arc(center + 44, center - 14, 12, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = colors.stroke;
+  ctx.beginPath();
+  ctx.arc(center + 18, center - 14, 7, 0, Math.PI * 2);
+  ctx.arc(center + 46, center - 14, 5, 0, Math.PI * 2);
+  ctx.fill();
+
+  return canvas;
+}
+
+// Resolve one slot through the fallback chain. Never rejects.
+async function loadAssetWithFallback(slot, topicSrc, defaultSrc) {
+  const candidates = [
+    { source: 'topic', src: topicSrc },
+    { source: 'default', src: defaultSrc },
+  ].filter(candidate => candidate.src);
+  const failed = [];
+
+  for (const candidate of candidates) {
+    try {
+      const image = await loadImage(candidate.src);
+      return {
+        slot,
+        image,
+        source: candidate.source,
+        src: candidate.src,
+        failed,
+      };
+    } catch (error) {
+      failed.push(candidate.src);
+    }
+  }
+
+  return {
+    slot,
+    image: createPlaceholderSprite(slot),
+    source: 'placeholder',
+    src: null,
+    failed,
+  };
+}
+
+// Load the character/item/background slots for a topic. `defaults` maps slot
+// names to the template's bundled images. Resolves with the images keyed by
+// slot and the list of slots that didn't come from the topic.
+async function loadTopicImages(assets, defaults = {}) {
+  const results = await Promise.all(
+    REQUIRED_ASSET_KEYS.map(slot =>
+      loadAssetWithFallback(slot, assets[slot], defaults[slot])
+    )
+  );
+
+  const images = {};
+  results.forEach(result => {
+    images[result.slot] = result.image;
+  });
+
+  const fallbacks = results
+    .filter(result => result.source !== 'topic')
+    .map(({ slot, source, src, failed }) => ({ slot, source, src, failed }));
+
+  // Without a topic the template's own art is expected, not a problem
+  if (assets.topic) reportAssetFallbacks(assets.topic, fallbacks);
+  return { images, fallbacks };
+}
+
+// Surface fallbacks so broken topics get noticed: a console warning plus a
+// `gameassetfallback` event on window for anything that wants to record it.
+function reportAssetFallbacks(topic, fallbacks) {
+  if (!fallbacks.length) return;
+
+  const summary = fallbacks
+    .map(fallback => `${fallback.slot} -> ${fallback.source}`)
+    .join(', ');
+  console.warn(`Topic "${topic}" is missing assets (${summary})`, fallbacks);
+
+  window.dispatchEvent(
+    new CustomEvent('gameassetfallback', { detail: { topic, fallbacks } })
+  );
+}
+
+// Load extra topic images a template can use but doesn't need (e.g. snake
+// body sprites). Slots the topic doesn't provide, or that fail, are null.
+async function loadOptionalImages(assets, slots) {
+  const entries = await Promise.all(
+    slots.map(async slot => {
+      const src = assets.files && assets.files[slot];
+      if (!src) return [slot, null];
+      try {
+        return [slot, await loadImage(src)];
+      } catch (error) {
+        console.warn(`Topic "${assets.topic}": ${error.message}`);
+        return [slot, null];
+      }
+    })
+  );
+  return Object.fromEntries(entries);
+}
@@ -0,0 +1,240 @@
+// audio.js - Sound effects and music for the templates
+//
+// Topics can ship their own sounds by listing them in topic.json `assets`:
+//
+//   "sfx-flap": "flap.mp3", "sfx-collect": "coin.ogg", "sfx-crash": "...",
+//   "sfx-highscore": "...", "music": "loop.mp3"
+//
+// Effects a topic doesn't provide are synthesized with WebAudio; music only
+// plays if the topic has some. Browsers keep audio locked until the player
+// interacts with the page, so the context is resumed on the first gesture.
+
+const AUDIO_MUTED_KEY = 'audio_muted';
+const SOUND_EFFECTS = ['flap', 'collect', 'crash', 'highscore'];
+const MUSIC_VOLUME = 0.35;
+
+// Short procedural stand-ins for missing effects. Each gets the context,
+// the node to connect to and the start time.
+const SYNTH_SOUNDS = {
+  // Quick upward chirp
+  flap(ctx, output, time) {
+    playTone(ctx, output, time, {
+      type: 'sine',
+      from: 320,
+      to: 640,
+      duration: 0.12,
+      volume: 0.25,
+    });
+  },
+  // Two rising blips
+  collect(ctx, output, time) {
+    playTone(ctx, output, time, {
+      type: 'square',
+      from: 660,
+      duration: 0.07,
+      volume: 0.15,
+    });
+    playTone(ctx, output, time + 0.07, {
+      type: 'square',
+      from: 990,
+      duration: 0.1,
+      volume: 0.15,
+    });
+  },
+  // Falling noise burst
+  crash(ctx, output, time) {
+    const duration = 0.45;
+    const buffer = ctx.createBuffer(
+      1,
+      Math.floor(ctx.sampleRate * duration),
+      ctx.sampleRate
+    );
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(1800, time);
+    filter.frequency.exponentialRampToValueAtTime(120, time + duration);
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.5, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(output);
+    source.start(time);
+  },
+  // Major arpeggio
+  highscore(ctx, output, time) {
+    [523.25, 659.25, 783.99, 1046.5].forEach((frequency, i) => {
+      playTone(ctx, output, time + i * 0.1, {
+        type: 'triangle',
+        from: frequency,
+        duration: i === 3 ? 0.35 : 0.12,
+        volume: 0.2,
+      });
+    });
+  },
+};
+
+// One oscillator note with a quick fade out, optionally sweeping in pitch
+function playTone(ctx, output, time, { type, from, to, duration, volume }) {
+  const oscillator = ctx.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, time);
+  if (to) {
+    oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+  }
+
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(volume, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+  oscillator.connect(gain);
+  gain.connect(output);
+  oscillator.start(time);
+  oscillator.stop(time + duration);
+}
+
+class AudioManager {
+  constructor() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    // No WebAudio (or it refused to start): every call becomes a no-op
+    this.ctx = null;
+    try {
+      this.ctx = AudioContextClass ? new AudioContextClass() : null;
+    } catch (error) {
+      console.warn('Audio is not available', error);
+    }
+
+    this.muted = gameStorage.get(AUDIO_MUTED_KEY) === '1';
+    this.buffers = {}; // Decoded topic sounds by name
+    this.unlocked = false;
+    this.musicSource = null;
+    this.wantsMusic = false;
+
+    if (!this.ctx) return;
+
+    this.master = this.ctx.createGain();
+    this.master.gain.value = this.muted ? 0 : 1;
+    this.master.connect(this.ctx.destination);
+    this.addUnlockListeners();
+  }
+
+  get enabled() {
+    return this.ctx !== null;
+  }
+
+  // Fetch and decode the topic's sounds from resolved asset URLs
+  // (GAME_ASSETS.files). Missing or broken files keep the synthesized
+  // fallback.
+  async load(files) {
+    if (!this.ctx) return;
+
+    const names = [...SOUND_EFFECTS.map(name => `sfx-${name}`), 'music'];
+    await Promise.all(
+      names
+        .filter(key => files[key])
+        .map(async key => {
+          try {
+            const response = await fetch(files[key]);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.arrayBuffer();
+            const name = key.replace(/^sfx-/, '');
+            this.buffers[name] = await this.ctx.decodeAudioData(data);
+          } catch (error) {
+            console.warn(`Could not load sound "${key}"`, error);
+          }
+        })
+    );
+
+    // Music may have been asked for before it finished loading
+    if (this.wantsMusic) this.startMusic();
+  }
+
+  // Mobile browsers only allow audio to start inside a user gesture
+  addUnlockListeners() {
+    const events = ['pointerdown', 'touchend', 'keydown'];
+    const unlock = () => {
+      events.forEach(type => window.removeEventListener(type, unlock, true));
+      this.unlock();
+    };
+    events.forEach(type => window.addEventListener(type, unlock, true));
+  }
+
+  unlock() {
+    if (!this.ctx || this.unlocked) return;
+    this.unlocked = true;
+    if (this.ctx.state === 'suspended') {
+      this.ctx.resume();
+    }
+    // A silent buffer finishes the unlock on older iOS Safari
+    const source = this.ctx.createBufferSource();
+    source.buffer = this.ctx.createBuffer(1, 1, 22050);
+    source.connect(this.ctx.destination);
+    source.start(0);
+
+    if (this.wantsMusic) this.startMusic();
+  }
+
+  // Play an effect, `delay` seconds from now
+  play(name, delay = 0) {
+    if (!this.ctx || this.muted || !this.unlocked) return;
+
+    const time = this.ctx.currentTime + delay;
+    if (this.buffers[name]) {
+      const source = this.ctx.createBufferSource();
+      source.buffer = this.buffers[name];
+      source.connect(this.master);
+      source.start(time);
+    } else if (SYNTH_SOUNDS[name]) {
+      SYNTH_SOUNDS[name](this.ctx, this.master, time);
+    }
+  }
+
+  // Loop the topic's music, if it has any. Remembered until stopMusic() so
+  // it can start once audio is unlocked and loaded.
+  startMusic() {
+    this.wantsMusic = true;
+    if (!this.ctx || !this.unlocked || this.musicSource) return;
+    if (!this.buffers.music) return;
+
+    const gain = this.ctx.createGain();
+    gain.gain.value = MUSIC_VOLUME;
+    gain.connect(this.master);
+
+    const source = this.ctx.createBufferSource();
+    source.buffer = this.buffers.music;
+    source.loop = true;
+    source.connect(gain);
+    source.start(this.ctx.currentTime);
+    this.musicSource = source;
+  }
+
+  stopMusic() {
+    this.wantsMusic = false;
+    if (this.musicSource) {
+      this.musicSource.stop();
+      this.musicSource = null;
+    }
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    gameStorage.set(AUDIO_MUTED_KEY, muted ? '1' : '0');
+    if (this.master) {
+      this.master.gain.value = muted ? 0 : 1;
+    }
+  }
+
+  toggleMuted() {
+    this.setMuted(!this.muted);
+    return this.muted;
+  }
+}
@@ -0,0 +1,332 @@
+// game.js - Catch It (falling objects) Game Template
+//
+// The character slides along the bottom of the screen catching falling
+// items. Hazards fall too; catching one or letting an item drop costs a
+// life. Topics only need the usual character / item / background art:
+// hazards are drawn, not loaded. An animated character plays its idle,
+// move and hit clips; an animated item animates every falling item.
+
+// Falling object: a topic item worth a point, or a hazard to avoid
+class FallingObject {
+  constructor(kind, x, size, speed) {
+    this.kind = kind; // 'item' | 'hazard'
+    this.x = x;
+    this.y = -size;
+    this.size = size;
+    this.speed = speed; // pixels/second
+    this.angle = 0;
+  }
+
+  get box() {
+    return { x: this.x, y: this.y, width: this.size, height: this.size };
+  }
+
+  update(dt, spin) {
+    this.y += this.speed * dt;
+    if (spin) this.angle += spin * dt;
+  }
+
+  draw(ctx, itemSprite) {
+    if (this.kind === 'hazard') {
+      this.drawHazard(ctx);
+    } else if (itemSprite) {
+      drawSprite(ctx, itemSprite, this.x, this.y, this.size, this.size);
+    } else {
+      ctx.fillStyle = '#f00';
+      ctx.fillRect(this.x, this.y, this.size, this.size);
+    }
+  }
+
+  // Spiked red ball, so hazards look alike whatever the topic
+  drawHazard(ctx) {
+    const radius = this.size / 2;
+    ctx.save();
+    ctx.translate(this.x + radius, this.y + radius);
+    ctx.rotate(this.angle);
+
+    ctx.fillStyle = '#b00';
+    ctx.beginPath();
+    const spikes = 8;
+    for (let i = 0; i < spikes * 2; i++) {
+      const r = i % 2 === 0 ? radius : radius * 0.7;
+      const a = (i / (spikes * 2)) * Math.PI * 2;
+      ctx.lineTo(Math.cos(a) * r, Math.sin(a) * r);
+    }
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = Math.max(2, radius * 0.15);
+    ctx.beginPath();
+    ctx.moveTo(-radius * 0.3, -radius * 0.3);
+    ctx.lineTo(radius * 0.3, radius * 0.3);
+    ctx.moveTo(radius * 0.3, -radius * 0.3);
+    ctx.lineTo(-radius * 0.3, radius * 0.3);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+// Main Game class for Catch It
+class Game extends GameEngine {
+  constructor(canvasId, config) {
+    super(canvasId, config, {
+      storagePrefix: 'catchIt',
+      hudStyle: { font: 'Arial', color: '#fff' },
+      restartHint: 'restartHintEnter',
+      actions: ['left', 'right'],
+    });
+
+    this.catcher = {
+      x: 0,
+      y: 0,
+      width: config.catcher.width,
+      height: config.catcher.height,
+    };
+    // Canvas x the catcher follows while a finger or the mouse steers it
+    this.pointerX = null;
+    this.catcherAnimation = null;
+    this.itemAnimation = null;
+
+    this.objects = [];
+    this.spawnTimer = 0;
+    this.lives = 0;
+
+    // Collision: hitboxes from config, overridden per topic once assets load
+    this.hitboxes = { ...config.hitboxes };
+
+    // Sampled from the config curves by score as the run goes on
+    this.spawnInterval = 0; // seconds
+    this.fallSpeed = 0; // pixels/second
+    this.hazardChance = 0; // 0..1
+  }
+
+  onAssetsLoaded() {
+    const extras = GAME_ASSETS.extras || {};
+    this.hitboxes = { ...this.config.hitboxes, ...extras.hitboxes };
+    this.catcherAnimation = this.createAnimationPlayer('character');
+    this.itemAnimation = this.createAnimationPlayer('item');
+  }
+
+  // Spawning speeds up and hazards get more common as the score grows.
+  // Assistive speed slows the fall and spaces the spawns out to match.
+  applyDifficulty() {
+    const { difficulty } = this.config;
+    const scale = this.speedScale;
+    this.spawnInterval =
+      sampleCurve(difficulty.spawnInterval, this.score) / scale;
+    this.fallSpeed = sampleCurve(difficulty.fallSpeed, this.score) * scale;
+    this.hazardChance = sampleCurve(difficulty.hazardChance, this.score);
+  }
+
+  resize() {
+    super.resize();
+    this.catcher.y =
+      this.canvas.height - this.catcher.height - this.config.catcher.margin;
+    this.clampCatcher();
+  }
+
+  clampCatcher() {
+    const maxX = Math.max(0, this.canvas.width - this.catcher.width);
+    this.catcher.x = Math.min(maxX, Math.max(0, this.catcher.x));
+  }
+
+  // Drag (or move the mouse) to steer; the arrow keys, A / D and the
+  // gamepad are polled in update() so holding them keeps moving
+  addEventListeners() {
+    const follow = clientX => {
+      const rect = this.canvas.getBoundingClientRect();
+      this.pointerX = ((clientX - rect.left) / rect.width) * this.canvas.width;
+    };
+    this.canvas.addEventListener('touchstart', e => {
+      follow(e.touches[0].clientX);
+    });
+    this.canvas.addEventListener(
+      'touchmove',
+      e => {
+        e.preventDefault();
+        follow(e.touches[0].clientX);
+      },
+      { passive: false }
+    );
+    this.canvas.addEventListener('mousemove', e => follow(e.clientX));
+  }
+
+  setup() {
+    this.objects = [];
+    this.lives = this.config.lives;
+    this.pointerX = null;
+    this.applyDifficulty();
+    // A short breather before the first object
+    this.spawnTimer = this.spawnInterval;
+
+    this.catcher.x = (this.canvas.width - this.catcher.width) / 2;
+    this.catcher.y =
+      this.canvas.height - this.catcher.height - this.config.catcher.margin;
+    if (this.catcherAnimation) this.catcherAnimation.reset();
+  }
+
+  update(dt) {
+    if (this.catcherAnimation) this.catcherAnimation.update(dt);
+    if (this.itemAnimation) this.itemAnimation.update(dt);
+    this.moveCatcher(dt);
+
+    this.spawnTimer -= dt;
+    if (this.spawnTimer <= 0) {
+      this.spawnObject();
+      this.spawnTimer = this.spawnInterval * this.rng.range(0.8, 1.2);
+    }
+
+    const catcherShape = resolveHitbox(this.hitboxes.character, this.catcher);
+    const spin = this.reducedMotion ? 0 : this.config.hazardSpin;
+    const remaining = [];
+    for (const object of this.objects) {
+      object.update(dt, object.kind === 'hazard' ? spin : 0);
+      const shape = resolveHitbox(this.hitboxes[object.kind], object.box);
+
+      if (shapesIntersect(catcherShape, shape)) {
+        if (object.kind === 'item') {
+          this.catchItem();
+        } else {
+          this.loseLife('hazard');
+        }
+      } else if (object.y > this.canvas.height) {
+        // Hazards are meant to be dodged; only missed items cost a life
+        if (object.kind === 'item') this.loseLife('missed');
+      } else {
+        remaining.push(object);
+      }
+      if (this.gameOver) return;
+    }
+    this.objects = remaining;
+  }
+
+  // Held keys / gamepad buttons win over the pointer
+  moveCatcher(dt) {
+    const previousX = this.catcher.x;
+    const direction =
+      (this.input.isHeld('right') ? 1 : 0) -
+      (this.input.isHeld('left') ? 1 : 0);
+    if (direction) {
+      this.pointerX = null;
+      this.catcher.x +=
+        direction * this.config.catcher.speed * this.speedScale * dt;
+    } else if (this.pointerX !== null) {
+      this.catcher.x = this.pointerX - this.catcher.width / 2;
+    }
+    this.clampCatcher();
+
+    // Walk while moving, but let a hit finish first
+    const player = this.catcherAnimation;
+    if (player && (player.clipName !== 'hit' || player.finished)) {
+      player.play(this.catcher.x !== previousX ? 'move' : 'idle');
+    }
+  }
+
+  spawnObject() {
+    const kind = this.rng.next() < this.hazardChance ? 'hazard' : 'item';
+    const size = this.config[kind].size;
+    const x = this.rng.range(0, Math.max(0, this.canvas.width - size));
+    this.objects.push(new FallingObject(kind, x, size, this.fallSpeed));
+  }
+
+  catchItem() {
+    this.score++;
+    this.analytics.track('item_caught', { score: this.score });
+    this.audio.play('collect');
+    this.applyDifficulty();
+  }
+
+  loseLife(reason) {
+    this.lives--;
+    this.analytics.track('life_lost', { reason, lives: this.lives });
+    if (this.catcherAnimation) this.catcherAnimation.play('hit', true);
+    if (this.lives <= 0) {
+      this.endGame();
+      return;
+    }
+    this.audio.play('crash');
+    this.announcer.announce(
+      translate('livesLeft', { lives: formatNumber(this.lives) })
+    );
+  }
+
+  renderWorld(ctx) {
+    this.drawBackground(ctx, this.images.background, '#70c5ce');
+
+    const itemSprite = this.itemAnimation || this.images.item;
+    this.objects.forEach(object => object.draw(ctx, itemSprite));
+
+    const { x, y, width, height } = this.catcher;
+    const catcherSprite = this.catcherAnimation || this.images.character;
+    if (catcherSprite) {
+      drawSprite(ctx, catcherSprite, x, y, width, height);
+    } else {
+      ctx.fillStyle = '#333';
+      ctx.fillRect(x, y, width, height);
+    }
+  }
+
+  // Default score / high score line, with the lives left underneath
+  drawHud(ctx) {
+    super.drawHud(ctx);
+
+    const lives = Math.max(0, this.lives);
+    ctx.font = `20px ${this.hudStyle.font}`;
+    ctx.textAlign = 'start';
+    this.drawHudText(
+      ctx,
+      '♥'.repeat(lives) + '♡'.repeat(Math.max(0, this.config.lives - lives)),
+      this.mirrorX(10),
+      56
+    );
+  }
+}
+
+// Catch It config - image URLs come from the topic manifest (GAME_ASSETS)
+const gameConfig = {
+  catcher: {
+    width: 80,
+    height: 80,
+    margin: 10, // pixels above the bottom edge
+    speed: 600, // pixels/second with the keyboard or a gamepad
+  },
+  item: { size: 48 },
+  hazard: { size: 44 },
+  hazardSpin: 3, // radians/second, off with reduced motion
+  lives: 3,
+  // Collision shapes relative to where each sprite is drawn (see
+  // collision.js); topics can override them in topic.json extras.hitboxes
+  hitboxes: {
+    character: { shape: 'rect', inset: 0.1 },
+    item: { shape: 'circle', radius: 0.45 },
+    hazard: { shape: 'circle', radius: 0.35 },
+  },
+  // Catch It doesn't bundle default art; missing slots use placeholders
+  defaultAssets: {},
+  // [score, value] curves (see sampleCurve): seconds between spawns, fall
+  // speed in px/s and the chance that a spawn is a hazard
+  difficulty: {
+    spawnInterval: [
+      [0, 1.2],
+      [20, 0.7],
+      [60, 0.45],
+    ],
+    fallSpeed: [
+      [0, 180],
+      [20, 280],
+      [60, 380],
+    ],
+    hazardChance: [
+      [0, 0.15],
+      [20, 0.3],
+      [60, 0.4],
+    ],
+  },
+};
+
+// Initialize game on load
+window.addEventListener('load', () => {
+  const game = new Game('gameCanvas', gameConfig);
+  game.init();
+});
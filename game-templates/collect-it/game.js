@@ -1,19 +1,4 @@
-// Function to hide loading overlay
-function hideLoadingOverlay() {
-  const overlay = document.getElementById("loading-overlay");
-  if (overlay) {
-    overlay.classList.add("fade-out");
-    setTimeout(() => {
-      overlay.style.display = "none";
-    }, 500);
-  }
-
-  // Show controls
-  const controls = document.getElementById("controls");
-  if (controls) {
-    controls.style.display = "flex";
-  }
-}
+// game.js - Collect It (Snake-style) Game Template
 
 // Hide controls initially
 document.addEventListener("DOMContentLoaded", function() {
@@ -23,63 +8,155 @@ document.addEventListener("DOMContentLoaded", function() {
   }
 });
 
-// game.js - Collect It (Snake-style) Game Template
+// Grid step for each steering action
+const DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+};
 
-// Utility to load images asynchronously
-const loadImage = src =>
-  new Promise((resolve, reject) => {
-    if (!src) {
-      // Resolve with a placeholder if no src is provided
-      resolve(null);
-      return;
-    }
-    const img = new Image();
-    img.src = src;
-    img.onload = () => resolve(img);
-    img.onerror = e => {
-      console.warn(`Failed to load image: ${src}`, e);
-      // Return a 1x1 transparent placeholder instead of rejecting
-      const placeholder = new Image(1, 1);
-      placeholder.src =
-        'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-      resolve(placeholder);
-    };
-  });
+// Game mode named by ?mode=, if it exists
+function getModeFromUrl(modes, fallback) {
+  const urlParams = new URLSearchParams(window.location.search);
+  const name = urlParams.get('mode');
+  return name && Object.prototype.hasOwnProperty.call(modes, name)
+    ? name
+    : fallback;
+}
+
+// One grid step from `from` towards the neighbouring cell `to`. Neighbours
+// more than a cell apart are across a wrap-around edge.
+function gridStep(from, to) {
+  const step = delta => (Math.abs(delta) > 1 ? -Math.sign(delta) : delta);
+  return { x: step(to.x - from.x), y: step(to.y - from.y) };
+}
+
+// Quarter turns (clockwise) that take the turn sprite, which joins its left
+// and bottom edges, to one joining the sides `a` and `b` point to
+function cornerTurns(a, b) {
+  let sides = [
+    { x: -1, y: 0 },
+    { x: 0, y: 1 },
+  ];
+  for (let turns = 0; turns < 4; turns++) {
+    const joins = sides.every(
+      side =>
+        (side.x === a.x && side.y === a.y) || (side.x === b.x && side.y === b.y)
+    );
+    if (joins) return turns;
+    sides = sides.map(side => ({ x: -side.y, y: side.x }));
+  }
+  return 0;
+}
+
+// Draw a sprite (image or AnimationPlayer) into a cell. Sprites face right:
+// `part.direction` turns them up or down and mirrors them for left, so they
+// are never upside down; `part.corner` rotates by quarter turns.
+function drawInCell(ctx, part, box) {
+  const { x, y, width, height } = box;
+  if (!part.direction && !part.corner) {
+    drawSprite(ctx, part.sprite, x, y, width, height);
+    return;
+  }
+  ctx.save();
+  ctx.translate(x + width / 2, y + height / 2);
+  if (part.corner) {
+    ctx.rotate((part.corner * Math.PI) / 2);
+  } else if (part.direction.x < 0) {
+    ctx.scale(-1, 1);
+  } else {
+    ctx.rotate(Math.atan2(part.direction.y, part.direction.x));
+  }
+  drawSprite(ctx, part.sprite, -width / 2, -height / 2, width, height);
+  ctx.restore();
+}
 
 // Main Game Class
-class Game {
+class Game extends GameEngine {
   constructor(canvasId, config) {
-    this.canvas = document.getElementById(canvasId);
-    this.ctx = this.canvas.getContext('2d');
-    this.config = config;
+    super(canvasId, config, {
+      storagePrefix: 'collectIt',
+      hudStyle: { font: 'Arial', color: '#000' },
+      restartHint: 'restartHintEnter',
+      actions: ['up', 'down', 'left', 'right'],
+      // Snake segment sprites; without them the body is drawn with the item
+      optionalImages: ['body', 'tail', 'turn', 'obstacle'],
+    });
     this.gridSize = { w: config.grid.width, h: config.grid.height };
     this.cellSize = { w: 0, h: 0 }; // Will be calculated dynamically
-    // Canvas resolution is set in resizeAndCalculate
+    // Canvas resolution is set in resize
 
     this.character = null;
-    this.item = null;
-    this.backgroundImage = null;
-    this.characterImage = null; // Head image
-    this.itemImage = null; // Item image (also used for body)
+    this.items = []; // Regular items first, then any bonus items
+    this.obstacles = []; // Wall cells, obstacle mode only
+    // Animation players for topics with an animated head or item
+    this.headAnimation = null;
+    this.itemAnimation = null;
+
+    // Fixed timestep: the snake moves one cell every `gameSpeed` ms, which
+    // shrinks along config.speedCurve as the score grows
+    this.gameSpeed = sampleCurve(config.speedCurve, 0); // ms per update
+    this.tickTimer = 0; // ms accumulated towards the next update
+
+    // Rules come from the mode (?mode= or the mode menu); modes other than
+    // classic keep their own high score
+    this.modeName = getModeFromUrl(config.modes, config.defaultMode);
+    this.mode = config.modes[this.modeName];
+    this.setScoreVariant(this.modeVariant());
+    this.timeLeft = null; // seconds, in timed modes
+  }
+
+  // Classic's one item (the first regular item in the other modes)
+  get item() {
+    return this.items[0];
+  }
+
+  set item(item) {
+    this.items[0] = item;
+  }
+
+  modeVariant() {
+    return this.modeName === this.config.defaultMode ? null : this.modeName;
+  }
+
+  setMode(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.config.modes, name)) {
+      return;
+    }
+    this.modeName = name;
+    this.setScoreVariant(this.modeVariant());
+
+    // Keep the choice in the URL so reloads and shared links keep it
+    if (window.history && window.history.replaceState) {
+      const url = new URL(window.location.href);
+      url.searchParams.set('mode', name);
+      window.history.replaceState(null, '', url);
+    }
 
-    // Score tracking
-    this.score = 0;
-    this.highScore = 0;
-    this.topic = GAME_ASSETS.topic || 'default';
-    this.localStorageKey = `collectIt_highScore_${this.topic}`;
+    if (this.scene !== 'loading') {
+      this.restart();
+    }
+  }
 
-    this.gameOver = false;
-    this.gameLoopInterval = null;
-    this.gameSpeed = 200; // ms per update
+  addEventListeners() {
+    const modeSelect = document.getElementById('mode-select');
+    if (modeSelect) {
+      modeSelect.value = this.modeName;
+      modeSelect.addEventListener('change', () => {
+        this.setMode(modeSelect.value);
+        modeSelect.blur();
+      });
+    }
+  }
 
-    // Touch input state for SWIPES
-    this.touchStartX = 0;
-    this.touchStartY = 0;
-    this.swipeThreshold = 30;
+  onAssetsLoaded() {
+    this.headAnimation = this.createAnimationPlayer('character');
+    this.itemAnimation = this.createAnimationPlayer('item');
   }
 
-  // Improved resizeAndCalculate method with strict aspect ratio
-  resizeAndCalculate() {
+  // Improved resize method with strict aspect ratio
+  resize() {
     // Get the container element
     const container = this.canvas.parentElement;
 
@@ -112,345 +189,260 @@ class Game {
     // Calculate cell size to ensure perfect square cells
     this.cellSize.w = canvasWidth / this.gridSize.w;
     this.cellSize.h = canvasHeight / this.gridSize.h;
-
-    // Render the game if it's already started
-    if (this.character) {
-      this.render();
-    }
-  }
-
-  async init() {
-    try {
-      // Load assets
-      [this.characterImage, this.itemImage, this.backgroundImage] =
-        await Promise.all([
-          loadImage(this.config.character.imageSrc),
-          loadImage(this.config.item.imageSrc),
-          loadImage(this.config.background.imageSrc),
-        ]);
-
-      // Load high score from localStorage
-      this.loadHighScore();
-
-      // Setup game elements
-      this.setup();
-      this.addEventListeners();
-
-      // Initial sizing (after setup, before game loop)
-      this.resizeAndCalculate();
-
-      // Handle window resize
-      window.addEventListener('resize', this.handleResize.bind(this));
-
-      // Hide loading overlay
-      hideLoadingOverlay();
-
-      // Start the game loop
-      this.startGameLoop();
-
-    } catch (error) {
-      console.error('Error initializing game:', error);
-    }
   }
 
   setup() {
-    this.score = 0;
-    this.gameOver = false;
+    this.tickTimer = 0;
+    this.gameSpeed = this.stepInterval(0);
+    this.mode = this.config.modes[this.modeName];
+    this.timeLeft = this.mode.timeLimit || null;
     // Character now uses the dynamically calculated cellSize
-    this.character = new Character(this.config, this.gridSize, this.cellSize);
-    this.spawnItem();
-  }
-
-  addEventListeners() {
-    // Listen for swipes on the CANVAS
-    this.canvas.addEventListener(
-      'touchstart',
-      this.handleCanvasTouchStart.bind(this),
-      { passive: false }
-    );
-    this.canvas.addEventListener(
-      'touchend',
-      this.handleCanvasTouchEnd.bind(this),
-      {
-        passive: false,
-      }
-    );
-
-    // Listen for clicks/taps on the HTML BUTTONS
-    document
-      .getElementById('btn-up')
-      .addEventListener('click', () => this.handleButtonClick({ x: 0, y: -1 }));
-    document
-      .getElementById('btn-down')
-      .addEventListener('click', () => this.handleButtonClick({ x: 0, y: 1 }));
-    document
-      .getElementById('btn-left')
-      .addEventListener('click', () => this.handleButtonClick({ x: -1, y: 0 }));
-    document
-      .getElementById('btn-right')
-      .addEventListener('click', () => this.handleButtonClick({ x: 1, y: 0 }));
-
-    // Optional: Keyboard controls for testing
-    window.addEventListener('keydown', this.handleKeyDown.bind(this));
-  }
-
-  handleButtonClick(direction) {
-    if (!this.gameOver) {
-      this.character.setDirection(direction);
+    this.character = new Character(this.config, this.gridSize, this.cellSize, {
+      wrap: this.mode.wrap,
+    });
+    this.obstacles = [];
+    this.placeObstacles(this.mode.obstacles || 0);
+    this.items = [];
+    for (let i = 0; i < (this.mode.items || 1); i++) {
+      if (!this.spawnItem(i)) break;
+    }
+    if (this.headAnimation) {
+      this.headAnimation.reset();
+      this.headAnimation.play('move');
     }
   }
 
-  handleKeyDown(e) {
-    if (this.gameOver && e.key === 'Enter') {
-      this.restart();
-      return;
-    }
-    if (this.gameOver) return;
-
-    let newDirection = null;
-    switch (e.key) {
-      case 'ArrowUp':
-        newDirection = { x: 0, y: -1 };
-        break;
-      case 'ArrowDown':
-        newDirection = { x: 0, y: 1 };
-        break;
-      case 'ArrowLeft':
-        newDirection = { x: -1, y: 0 };
-        break;
-      case 'ArrowRight':
-        newDirection = { x: 1, y: 0 };
-        break;
-    }
-    if (newDirection) {
-      this.character.setDirection(newDirection);
-    }
+  // ms per step at `score`, stretched in assistive speed mode
+  stepInterval(score) {
+    return sampleCurve(this.config.speedCurve, score) / this.speedScale;
   }
 
-  handleCanvasTouchStart(e) {
-    e.preventDefault();
-    if (this.gameOver) {
-      this.restart(); // Restart on tap/swipe on canvas when game over
-      return;
+  // Steer with the arrow keys, swipes, the on-screen buttons or a gamepad
+  onAction(action) {
+    const direction = DIRECTIONS[action];
+    if (direction && this.isPlaying) {
+      this.character.setDirection(direction);
     }
-    // Record start position for swipe detection
-    this.touchStartX = e.touches[0].clientX;
-    this.touchStartY = e.touches[0].clientY;
   }
 
-  handleCanvasTouchEnd(e) {
-    e.preventDefault();
-    // Only process swipe if touchStartX/Y are set
-    if (this.gameOver || this.touchStartX === 0) return;
-
-    const touchEndX = e.changedTouches[0].clientX;
-    const touchEndY = e.changedTouches[0].clientY;
-
-    const dx = touchEndX - this.touchStartX;
-    const dy = touchEndY - this.touchStartY;
+  update(dt) {
+    if (this.headAnimation) this.headAnimation.update(dt);
+    if (this.itemAnimation) this.itemAnimation.update(dt);
 
-    let newDirection = null;
+    // Bonus items run out in real time, not snake steps
+    this.items.forEach(item => item.update(dt));
+    this.items = this.items.filter(item => !item.expired);
 
-    // Determine dominant swipe direction
-    if (Math.abs(dx) > Math.abs(dy)) {
-      if (Math.abs(dx) > this.swipeThreshold) {
-        newDirection = dx > 0 ? { x: 1, y: 0 } : { x: -1, y: 0 };
+    if (this.timeLeft !== null) {
+      const before = this.timeLeft;
+      this.timeLeft = Math.max(0, this.timeLeft - dt);
+      if (this.timeLeft === 0) {
+        this.endGame();
+        return;
       }
-    } else {
-      if (Math.abs(dy) > this.swipeThreshold) {
-        newDirection = dy > 0 ? { x: 0, y: 1 } : { x: 0, y: -1 };
+      const warning = this.config.timeWarning;
+      if (before > warning && this.timeLeft <= warning) {
+        this.announcer.announce(
+          translate('secondsLeft', { seconds: formatNumber(warning) })
+        );
       }
     }
 
-    if (newDirection) {
-      this.character.setDirection(newDirection);
+    // The snake moves one cell per tick; step as many ticks as fit in dt
+    this.tickTimer += dt * 1000;
+    while (this.tickTimer >= this.gameSpeed && !this.gameOver) {
+      this.tickTimer -= this.gameSpeed;
+      this.step();
     }
-
-    // Reset swipe start points after processing
-    this.touchStartX = 0;
-    this.touchStartY = 0;
-  }
-
-  startGameLoop() {
-    clearInterval(this.gameLoopInterval); // Clear any existing loop
-    this.gameLoopInterval = setInterval(() => {
-      if (!this.gameOver) {
-        this.update();
-        this.render();
-      }
-    }, this.gameSpeed);
   }
 
-  update() {
-    if (!this.character.move()) {
+  step() {
+    if (!this.character.move() || this.isObstacle(this.character.segments[0])) {
       this.endGame(); // Collision detected
       return;
     }
 
     // Check for item collection
     const head = this.character.segments[0];
-    if (head.x === this.item.x && head.y === this.item.y) {
-      this.score++;
-      this.character.grow();
-      this.spawnItem();
+    const index = this.items.findIndex(
+      item => item.x === head.x && item.y === head.y
+    );
+    if (index !== -1) {
+      this.collectItem(index);
     }
   }
 
-  render() {
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  collectItem(index) {
+    const item = this.items[index];
+    this.score += item.points;
+    this.analytics.track('item_collected', {
+      score: this.score,
+      bonus: item.bonus,
+    });
+    this.audio.play('collect');
+    this.character.grow();
 
-    // Draw background
-    if (this.backgroundImage) {
-      this.ctx.drawImage(
-        this.backgroundImage,
-        0,
-        0,
-        this.canvas.width, // Use current canvas size
-        this.canvas.height
-      );
+    if (item.bonus || !this.spawnItem(index)) {
+      this.items.splice(index, 1);
     } else {
-      this.ctx.fillStyle = '#eee'; // Fallback background
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      // Sometimes a short-lived bonus item joins it
+      const bonus = this.mode.bonus;
+      if (
+        bonus &&
+        !this.items.some(other => other.bonus) &&
+        this.rng.next() < bonus.chance
+      ) {
+        this.spawnItem(this.items.length, bonus);
+      }
     }
+    this.gameSpeed = this.stepInterval(this.score);
 
-    // Draw item (uses dynamic cellSize)
-    this.item.draw(this.ctx, this.itemImage, this.cellSize);
+    // The snake has filled every free cell: the run is won
+    if (!this.items.length) {
+      this.endGame();
+      const message = this.announcer.message;
+      this.announcer.announce(`${translate('boardFilled')} ${message}`);
+    }
+  }
 
-    // Draw character (uses dynamic cellSize)
-    this.character.draw(
-      this.ctx,
-      this.characterImage,
-      this.itemImage,
-      this.cellSize
-    );
+  endGame() {
+    if (this.headAnimation) this.headAnimation.play('hit');
+    super.endGame();
+  }
 
-    // Draw score
-    this.ctx.fillStyle = '#000';
-    this.ctx.font = '20px Arial';
-    this.ctx.textAlign = 'left';
-    this.ctx.fillText(`Score: ${this.score}`, 10, 30);
-
-    // Draw high score
-    this.ctx.textAlign = 'right';
-    this.ctx.fillText(
-      `High Score: ${this.highScore}`,
-      this.canvas.width - 10,
-      30
-    );
+  renderWorld(ctx) {
+    // Draw background
+    this.drawBackground(ctx, this.images.background, '#eee');
 
-    // Draw Game Over message
-    if (this.gameOver) {
-      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-      this.ctx.fillStyle = '#fff';
-      this.ctx.font = '40px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText(
-        'Game Over',
-        this.canvas.width / 2,
-        this.canvas.height / 2 - 30
-      );
+    this.obstacles.forEach(cell => this.drawObstacle(ctx, cell));
 
-      this.ctx.font = '24px Arial';
-      this.ctx.fillText(
-        `Score: ${this.score}`,
-        this.canvas.width / 2,
-        this.canvas.height / 2 + 10
-      );
+    // Draw items (uses dynamic cellSize)
+    const itemSprite = this.itemAnimation || this.images.item;
+    this.items.forEach(item => item.draw(ctx, itemSprite, this.cellSize));
 
-      // Display high score in game over screen
-      if (this.score >= this.highScore) {
-        this.ctx.fillStyle = '#ffff00'; // Yellow for new high score
-        this.ctx.fillText(
-          `New High Score!`,
-          this.canvas.width / 2,
-          this.canvas.height / 2 + 40
-        );
-      } else {
-        this.ctx.fillText(
-          `High Score: ${this.highScore}`,
-          this.canvas.width / 2,
-          this.canvas.height / 2 + 40
-        );
-      }
+    // Draw character between its last and next cell for smooth movement
+    const progress = this.gameOver
+      ? 1
+      : Math.min(this.tickTimer / this.gameSpeed, 1);
+    this.character.draw(ctx, this.segmentSprites(), this.cellSize, progress);
+  }
 
-      this.ctx.fillStyle = '#fff';
-      this.ctx.font = '18px Arial';
-      this.ctx.fillText(
-        'Tap or Press Enter to Restart',
-        this.canvas.width / 2,
-        this.canvas.height / 2 + 70
-      );
-    }
+  // What each part of the snake is drawn with
+  segmentSprites() {
+    const { character, item, body, tail, turn } = this.images;
+    return { head: this.headAnimation || character, body, tail, turn, item };
   }
 
-  spawnItem() {
-    let newItemX, newItemY;
-    let collision = true;
-    // Keep trying until an empty cell is found
-    while (collision) {
-      newItemX = Math.floor(Math.random() * this.gridSize.w);
-      newItemY = Math.floor(Math.random() * this.gridSize.h);
-      collision = this.character.segments.some(
-        segment => segment.x === newItemX && segment.y === newItemY
+  // Topic obstacle art, or a plain stone block
+  drawObstacle(ctx, cell) {
+    const x = cell.x * this.cellSize.w;
+    const y = cell.y * this.cellSize.h;
+    if (this.images.obstacle) {
+      ctx.drawImage(
+        this.images.obstacle,
+        x,
+        y,
+        this.cellSize.w,
+        this.cellSize.h
       );
+    } else {
+      ctx.fillStyle = '#555';
+      ctx.fillRect(x, y, this.cellSize.w - 1, this.cellSize.h - 1);
+      ctx.strokeStyle = '#222';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x + 1, y + 1, this.cellSize.w - 3, this.cellSize.h - 3);
     }
-    this.item = new Item(this.config, newItemX, newItemY);
   }
 
-  endGame() {
-    this.gameOver = true;
-    clearInterval(this.gameLoopInterval);
-    this.saveHighScore();
-    this.render(); // Render the final game over screen
+  // Score / high score line, with the time left in timed modes
+  drawHud(ctx) {
+    super.drawHud(ctx);
+    if (this.timeLeft === null) return;
+
+    ctx.font = `20px ${this.hudStyle.font}`;
+    ctx.textAlign = 'center';
+    this.drawHudText(
+      ctx,
+      translate('timeLeft', {
+        seconds: formatNumber(Math.ceil(this.timeLeft)),
+      }),
+      this.canvas.width / 2,
+      30
+    );
   }
 
-  restart() {
-    this.setup();
-    this.this.startGameLoop();
+  isObstacle(cell) {
+    return this.obstacles.some(
+      other => other.x === cell.x && other.y === cell.y
+    );
   }
 
-  // Separate resize handler method for debouncing
-  handleResize() {
-    // Use requestAnimationFrame to avoid too many resize calculations
-    if (this.resizeRAF) {
-      cancelAnimationFrame(this.resizeRAF);
-    }
-    this.resizeRAF = requestAnimationFrame(() => {
-      this.resizeAndCalculate();
-      this.resizeRAF = null;
-    });
+  // Taken by the snake, an obstacle or an item other than items[`except`]
+  isOccupied(x, y, except) {
+    return (
+      this.character.segments.some(
+        segment => segment.x === x && segment.y === y
+      ) ||
+      this.isObstacle({ x, y }) ||
+      this.items.some((item, i) => i !== except && item.x === x && item.y === y)
+    );
   }
 
-  // Load high score from localStorage
-  loadHighScore() {
-    const storedHighScore = localStorage.getItem(this.localStorageKey);
-    if (storedHighScore !== null) {
-      this.highScore = parseInt(storedHighScore, 10);
+  // Every cell not taken by the snake, an obstacle or an item other than
+  // items[`except`]
+  freeCells(except) {
+    const cells = [];
+    for (let y = 0; y < this.gridSize.h; y++) {
+      for (let x = 0; x < this.gridSize.w; x++) {
+        if (!this.isOccupied(x, y, except)) cells.push({ x, y });
+      }
     }
+    return cells;
   }
 
-  // Save high score to localStorage
-  saveHighScore() {
-    if (this.score > this.highScore) {
-      this.highScore = this.score;
-      localStorage.setItem(this.localStorageKey, this.highScore.toString());
+  // Scatter up to `count` wall cells, keeping clear of the snake's starting
+  // row so its first moves are always safe
+  placeObstacles(count) {
+    const startRow = this.character.segments[0].y;
+    const cells = this.freeCells().filter(cell => cell.y !== startRow);
+    while (this.obstacles.length < count && cells.length) {
+      this.obstacles.push(cells.splice(this.rng.int(cells.length), 1)[0]);
     }
   }
+
+  // Put a new item on an empty cell as items[`index`], replacing the one
+  // there (the first item by default). `bonus` makes it a bonus item.
+  // Returns false, leaving the items as they were, if the board is full.
+  spawnItem(index = 0, bonus = null) {
+    const cells = this.freeCells(index);
+    if (!cells.length) return false;
+    const cell = cells[this.rng.int(cells.length)];
+    this.items[index] = new Item(
+      this.config,
+      cell.x,
+      cell.y,
+      bonus && {
+        points: bonus.points,
+        lifetime: bonus.lifetime / this.speedScale,
+      }
+    );
+    return true;
+  }
 }
 
 // Character Class
 class Character {
-  constructor(config, gridSize, cellSize) {
+  // `options.wrap` lets the snake leave one edge and come back on the other
+  constructor(config, gridSize, cellSize, options = {}) {
     // Now receives dynamic cellSize
     this.config = config;
     this.gridSize = gridSize;
     this.cellSize = cellSize; // Store dynamic cell size
+    this.wrap = Boolean(options.wrap);
     const startX = Math.floor(gridSize.w / 2);
     const startY = Math.floor(gridSize.h / 2);
     this.segments = [{ x: startX, y: startY }];
+    this.previousSegments = this.segments.map(segment => ({ ...segment }));
     this.direction = { x: 1, y: 0 };
     this.nextDirection = { x: 1, y: 0 };
     this._lastTailPosition = null; // Initialize for growth
@@ -475,6 +467,10 @@ class Character {
     // Calculate new head position
     head.x += this.direction.x;
     head.y += this.direction.y;
+    if (this.wrap) {
+      head.x = (head.x + this.gridSize.w) % this.gridSize.w;
+      head.y = (head.y + this.gridSize.h) % this.gridSize.h;
+    }
 
     // Check for wall collisions
     if (
@@ -496,6 +492,9 @@ class Character {
       return false; // Self collision
     }
 
+    // Remember where every segment was, for interpolated drawing
+    this.previousSegments = this.segments.map(segment => ({ ...segment }));
+
     // Store the position of the last segment BEFORE moving
     const tailPosition = { ...this.segments[this.segments.length - 1] };
 
@@ -520,68 +519,170 @@ class Character {
     }
   }
 
-  draw(ctx, headImage, bodyImage, cellSize) {
-    // Uses dynamic cellSize
-    this.segments.forEach((segment, index) => {
-      const drawX = segment.x * cellSize.w;
-      const drawY = segment.y * cellSize.h;
-      const imageToDraw = index === 0 ? headImage : bodyImage;
-      const fallbackColor = index === 0 ? '#333' : '#f00';
-
-      if (imageToDraw) {
-        // Use calculated cell size for drawing
-        ctx.drawImage(imageToDraw, drawX, drawY, cellSize.w, cellSize.h);
+  // Position of a segment `progress` (0..1) of the way from its previous
+  // cell to its current one
+  interpolatedPosition(index, progress) {
+    const segment = this.segments[index];
+    const previous = this.previousSegments[index] || segment;
+    // Across a wrap-around edge: jump rather than slide over the board
+    if (
+      Math.abs(segment.x - previous.x) > 1 ||
+      Math.abs(segment.y - previous.y) > 1
+    ) {
+      return { x: segment.x, y: segment.y };
+    }
+    return {
+      x: previous.x + (segment.x - previous.x) * progress,
+      y: previous.y + (segment.y - previous.y) * progress,
+    };
+  }
+
+  // Grid step from segment `index` towards segment `other`
+  stepTowards(index, other) {
+    return gridStep(this.segments[index], this.segments[other]);
+  }
+
+  // How to draw segment `index` (see drawInCell). `sprites` has the head
+  // (image or AnimationPlayer) and the topic's body / tail / turn sprites;
+  // without a body sprite, segments show the collected item, unturned.
+  segmentPart(index, sprites) {
+    if (index === 0) return { sprite: sprites.head, direction: this.direction };
+
+    // Segments face the one ahead of them; one grown onto the tail's cell
+    // has no direction of its own yet
+    const ahead = this.stepTowards(index, index - 1);
+    const facing = ahead.x || ahead.y ? ahead : this.direction;
+    if (index === this.segments.length - 1) {
+      const sprite = sprites.tail || sprites.body;
+      return sprite ? { sprite, direction: facing } : { sprite: sprites.item };
+    }
+    if (!sprites.body) return { sprite: sprites.item };
+
+    const behind = this.stepTowards(index, index + 1);
+    const straight = ahead.x === -behind.x && ahead.y === -behind.y;
+    if (sprites.turn && !straight && (behind.x || behind.y)) {
+      return { sprite: sprites.turn, corner: cornerTurns(ahead, behind) };
+    }
+    return { sprite: sprites.body, direction: facing };
+  }
+
+  draw(ctx, sprites, cellSize, progress = 1) {
+    // Uses dynamic cellSize; draw tail first so the head stays on top
+    for (let index = this.segments.length - 1; index >= 0; index--) {
+      const position = this.interpolatedPosition(index, progress);
+      const box = {
+        x: position.x * cellSize.w,
+        y: position.y * cellSize.h,
+        width: cellSize.w,
+        height: cellSize.h,
+      };
+      const part = this.segmentPart(index, sprites);
+
+      if (part.sprite) {
+        drawInCell(ctx, part, box);
       } else {
-        ctx.fillStyle = fallbackColor;
+        ctx.fillStyle = index === 0 ? '#333' : '#f00';
         // Use calculated cell size for drawing fallback rectangles
-        ctx.fillRect(drawX, drawY, cellSize.w - 1, cellSize.h - 1);
+        ctx.fillRect(box.x, box.y, box.width - 1, box.height - 1);
       }
-    });
+    }
   }
 }
 
 // Item Class
 class Item {
-  constructor(config, x, y) {
+  // `bonus` ({ points, lifetime } in seconds) makes a bonus item that
+  // disappears if it isn't collected in time
+  constructor(config, x, y, bonus = null) {
     this.config = config;
     this.x = x;
     this.y = y;
+    this.bonus = Boolean(bonus);
+    this.points = bonus ? bonus.points : 1;
+    this.lifetime = bonus ? bonus.lifetime : null;
+    this.timeLeft = this.lifetime;
+  }
+
+  get expired() {
+    return this.timeLeft !== null && this.timeLeft <= 0;
+  }
+
+  update(dt) {
+    if (this.timeLeft !== null) this.timeLeft -= dt;
   }
 
-  draw(ctx, itemImage, cellSize) {
+  // `sprite` is the item image or its AnimationPlayer
+  draw(ctx, sprite, cellSize) {
     // Uses dynamic cellSize
     const drawX = this.x * cellSize.w;
     const drawY = this.y * cellSize.h;
-    if (itemImage) {
+    if (sprite) {
       // Use calculated cell size for drawing
-      ctx.drawImage(itemImage, drawX, drawY, cellSize.w, cellSize.h);
+      drawSprite(ctx, sprite, drawX, drawY, cellSize.w, cellSize.h);
     } else {
       ctx.fillStyle = '#f00';
       // Use calculated cell size for drawing fallback rectangles
       ctx.fillRect(drawX, drawY, cellSize.w - 1, cellSize.h - 1);
     }
+
+    if (this.bonus) {
+      // Gold frame with a bar that empties as the bonus runs out
+      ctx.strokeStyle = '#ffd700';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(drawX + 1, drawY + 1, cellSize.w - 2, cellSize.h - 2);
+      ctx.fillStyle = '#ffd700';
+      ctx.fillRect(
+        drawX,
+        drawY + cellSize.h - 3,
+        cellSize.w * Math.max(0, this.timeLeft / this.lifetime),
+        3
+      );
+    }
   }
 }
 
-// Example configuration with dynamic URLs based on topic
+// Example configuration - image URLs come from the topic manifest (GAME_ASSETS)
 const gameConfig = {
   character: {
-    imageSrc: GAME_ASSETS.character,
     width: 20,
     height: 20,
   },
   item: {
-    imageSrc: GAME_ASSETS.item,
     width: 20,
     height: 20,
   },
-  background: {
-    imageSrc: GAME_ASSETS.background,
+  // Collect-it doesn't bundle default art; missing slots use placeholders
+  defaultAssets: {},
+  // Rulesets picked with ?mode= or the mode menu:
+  //   wrap       leaving an edge comes back on the other side
+  //   obstacles  number of wall cells scattered over the grid
+  //   items      regular items on the board at once
+  //   bonus      chance of a bonus item after each regular one, its points
+  //              and seconds before it disappears
+  //   timeLimit  seconds per run
+  defaultMode: 'classic',
+  modes: {
+    classic: {},
+    wrap: { wrap: true },
+    obstacles: { obstacles: 12 },
+    multi: { items: 3, bonus: { chance: 0.3, points: 3, lifetime: 6 } },
+    'time-attack': { timeLimit: 60 },
   },
+  // Seconds left in timed modes when screen readers get a warning
+  timeWarning: 10,
   grid: {
     width: 20, // number of cells horizontally
     height: 20, // number of cells vertically
   },
+  // [score, ms per move] points; the snake speeds up between them and
+  // stays at the last value
+  speedCurve: [
+    [0, 200],
+    [5, 160],
+    [15, 120],
+    [30, 90],
+    [50, 70],
+  ],
 };
 
 // Initialize game on load
@@ -0,0 +1,214 @@
+// collision.js - Hitbox shapes and optional alpha-mask collision
+//
+// Topic art often has transparent padding, so collisions use a hitbox
+// derived from where the sprite is drawn rather than the full rectangle.
+// Hitbox specs come from the template config and can be overridden per
+// topic in topic.json under `extras.hitboxes`:
+//
+//   { "shape": "rect", "inset": 0.1 }                    10% off every side
+//   { "shape": "rect", "inset": { "left": 0.2, "right": 0.2 } }
+//   { "shape": "circle", "radius": 0.4 }                 fraction of the size
+//
+// Setting `extras.collision` to "mask" (or ?collision=mask) switches to
+// per-pixel tests against alpha masks built from the loaded images (one per
+// frame for animated sprites), turned the way the sprite is drawn.
+
+// Alpha value (0-255) above which a mask pixel counts as solid
+const MASK_ALPHA_THRESHOLD = 64;
+// Masks are sampled at this resolution, whatever the image size
+const MASK_RESOLUTION = 64;
+
+// Per-side inset fractions from a number or a {top,right,bottom,left} object
+function normalizeInsets(inset) {
+  if (typeof inset === 'number') {
+    return { top: inset, right: inset, bottom: inset, left: inset };
+  }
+  return { top: 0, right: 0, bottom: 0, left: 0, ...inset };
+}
+
+// Turn a hitbox spec into a shape for a sprite drawn at `box`
+// ({x, y, width, height}). Returns {type: 'rect', x, y, width, height} or
+// {type: 'circle', x, y, radius} (x/y being the center).
+function resolveHitbox(spec, box) {
+  const hitbox = spec || { shape: 'rect' };
+
+  if (hitbox.shape === 'circle') {
+    const radius =
+      (hitbox.radius === undefined ? 0.5 : hitbox.radius) *
+      Math.min(box.width, box.height);
+    return {
+      type: 'circle',
+      x: box.x + box.width / 2,
+      y: box.y + box.height / 2,
+      radius,
+    };
+  }
+
+  const inset = normalizeInsets(hitbox.inset || 0);
+  return {
+    type: 'rect',
+    x: box.x + box.width * inset.left,
+    y: box.y + box.height * inset.top,
+    width: box.width * (1 - inset.left - inset.right),
+    height: box.height * (1 - inset.top - inset.bottom),
+  };
+}
+
+// Axis-aligned bounds of a shape
+function shapeBounds(shape) {
+  if (shape.type === 'circle') {
+    return {
+      x: shape.x - shape.radius,
+      y: shape.y - shape.radius,
+      width: shape.radius * 2,
+      height: shape.radius * 2,
+    };
+  }
+  return shape;
+}
+
+function rectsIntersect(a, b) {
+  return (
+    a.x < b.x + b.width &&
+    a.x + a.width > b.x &&
+    a.y < b.y + b.height &&
+    a.y + a.height > b.y
+  );
+}
+
+function circleIntersectsRect(circle, rect) {
+  const nearestX = Math.max(rect.x, Math.min(circle.x, rect.x + rect.width));
+  const nearestY = Math.max(rect.y, Math.min(circle.y, rect.y + rect.height));
+  const dx = circle.x - nearestX;
+  const dy = circle.y - nearestY;
+  return dx * dx + dy * dy < circle.radius * circle.radius;
+}
+
+// Whether two shapes (from resolveHitbox, or plain rects) overlap
+function shapesIntersect(a, b) {
+  const typeA = a.type || 'rect';
+  const typeB = b.type || 'rect';
+
+  if (typeA === 'circle' && typeB === 'circle') {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const distance = a.radius + b.radius;
+    return dx * dx + dy * dy < distance * distance;
+  }
+  if (typeA === 'circle') return circleIntersectsRect(a, b);
+  if (typeB === 'circle') return circleIntersectsRect(b, a);
+  return rectsIntersect(a, b);
+}
+
+// Build a low-resolution solid/transparent mask from an image, a canvas or
+// a sprite sheet frame ({ image, x, y, width, height }). Returns null if
+// the pixels can't be read (e.g. a cross-origin image without CORS
+// headers), so callers can fall back to hitboxes.
+function createAlphaMask(sprite, resolution = MASK_RESOLUTION) {
+  if (!sprite || !sprite.width || !sprite.height) return null;
+  const frame = sprite.image
+    ? sprite
+    : { image: sprite, x: 0, y: 0, width: sprite.width, height: sprite.height };
+
+  const canvas = document.createElement('canvas');
+  canvas.width = resolution;
+  canvas.height = resolution;
+  const ctx = canvas.getContext('2d');
+
+  let pixels;
+  try {
+    ctx.drawImage(
+      frame.image,
+      frame.x,
+      frame.y,
+      frame.width,
+      frame.height,
+      0,
+      0,
+      resolution,
+      resolution
+    );
+    pixels = ctx.getImageData(0, 0, resolution, resolution).data;
+  } catch (error) {
+    console.warn('Could not read image pixels for collision mask', error);
+    return null;
+  }
+
+  const solid = new Uint8Array(resolution * resolution);
+  for (let i = 0; i < solid.length; i++) {
+    solid[i] = pixels[i * 4 + 3] > MASK_ALPHA_THRESHOLD ? 1 : 0;
+  }
+  return { width: resolution, height: resolution, solid };
+}
+
+// Is the mask solid at world point (px, py) for a sprite drawn at `sprite`
+// ({mask, x, y, width, height, flipY, angle})? `angle` turns the sprite
+// about its center, like ctx.rotate() when it is drawn.
+function maskSolidAt(sprite, px, py) {
+  if (sprite.angle) {
+    // Turn the point back into the sprite's unrotated frame
+    const cx = sprite.x + sprite.width / 2;
+    const cy = sprite.y + sprite.height / 2;
+    const cos = Math.cos(sprite.angle);
+    const sin = Math.sin(sprite.angle);
+    const dx = px - cx;
+    const dy = py - cy;
+    px = cx + dx * cos + dy * sin;
+    py = cy - dx * sin + dy * cos;
+  }
+  const u = (px - sprite.x) / sprite.width;
+  let v = (py - sprite.y) / sprite.height;
+  if (u < 0 || u >= 1 || v < 0 || v >= 1) return false;
+  if (sprite.flipY) v = 1 - v;
+
+  const mask = sprite.mask;
+  const mx = Math.floor(u * mask.width);
+  const my = Math.floor(v * mask.height);
+  return mask.solid[my * mask.width + mx] === 1;
+}
+
+// Axis-aligned bounds of a sprite, rotated by its `angle` if it has one
+function spriteBounds(sprite) {
+  if (!sprite.angle) return sprite;
+  const cos = Math.abs(Math.cos(sprite.angle));
+  const sin = Math.abs(Math.sin(sprite.angle));
+  const width = sprite.width * cos + sprite.height * sin;
+  const height = sprite.width * sin + sprite.height * cos;
+  return {
+    x: sprite.x + (sprite.width - width) / 2,
+    y: sprite.y + (sprite.height - height) / 2,
+    width,
+    height,
+  };
+}
+
+// Pixel test between two masked sprites. Samples the overlap of their
+// bounds every `step` world pixels.
+function masksOverlap(a, b, step = 2) {
+  const boundsA = spriteBounds(a);
+  const boundsB = spriteBounds(b);
+  const left = Math.max(boundsA.x, boundsB.x);
+  const right = Math.min(boundsA.x + boundsA.width, boundsB.x + boundsB.width);
+  const top = Math.max(boundsA.y, boundsB.y);
+  const bottom = Math.min(
+    boundsA.y + boundsA.height,
+    boundsB.y + boundsB.height
+  );
+  if (left >= right || top >= bottom) return false;
+
+  for (let y = top; y < bottom; y += step) {
+    for (let x = left; x < right; x += step) {
+      if (maskSolidAt(a, x, y) && maskSolidAt(b, x, y)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Collision mode for this page: ?collision= wins over the topic manifest
+function getCollisionMode(extras) {
+  const urlParams = new URLSearchParams(window.location.search);
+  const mode = urlParams.get('collision') || (extras && extras.collision);
+  return mode === 'mask' ? 'mask' : 'hitbox';
+}
@@ -1,13 +1,8 @@
 // game.js - Flappy Bird style game
 
-// Utility to load images asynchronously
-const loadImage = src =>
-  new Promise((resolve, reject) => {
-    const img = new Image();
-    img.src = src;
-    img.onload = () => resolve(img);
-    img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
-  });
+// How far the pipes extend past the gap for collision purposes - far enough
+// to cover any screen, like the drawn pipes
+const PIPE_REACH = 100000;
 
 // Pipe obstacle class (for Flappy Bird style game)
 class Pipe {
@@ -43,27 +38,154 @@ class Pipe {
     );
   }
 
-  isColliding(bird) {
-    // Check if bird is within pipe horizontally
-    if (bird.x + bird.width > this.x && bird.x < this.x + this.width) {
-      // Check if bird hit top or bottom pipe
-      if (
-        bird.y < this.gapY ||
-        bird.y + bird.height > this.gapY + this.gapHeight
-      ) {
-        return true;
-      }
+  // Solid parts of the pipe pair. Only the hitbox's left/right insets
+  // apply, so the gap edges stay exactly where they are drawn.
+  getRects(hitbox) {
+    const inset = normalizeInsets((hitbox && hitbox.inset) || 0);
+    const x = this.x + this.width * inset.left;
+    const width = this.width * (1 - inset.left - inset.right);
+    return [
+      { x, y: this.gapY - PIPE_REACH, width, height: PIPE_REACH },
+      { x, y: this.gapY + this.gapHeight, width, height: PIPE_REACH },
+    ];
+  }
+
+  // Where the top and bottom images are drawn, for mask collisions
+  getSprites(canvasHeight, mask) {
+    return [
+      {
+        mask,
+        x: this.x,
+        y: this.gapY - canvasHeight,
+        width: this.width,
+        height: canvasHeight,
+        flipY: true,
+      },
+      {
+        mask,
+        x: this.x,
+        y: this.gapY + this.gapHeight,
+        width: this.width,
+        height: canvasHeight,
+      },
+    ];
+  }
+
+  // `shape` is the bird's hitbox (a rect or a circle from resolveHitbox)
+  isColliding(shape, hitbox) {
+    return this.getRects(hitbox).some(rect => shapesIntersect(shape, rect));
+  }
+}
+
+// Topic image slot for a power-up type's sprite, e.g. "powerup-shield"
+const powerUpSlot = type => `powerup-${type}`;
+
+// Symbols drawn on the fallback badge of each power-up type, centered on
+// the origin within `r`
+const POWER_UP_ICONS = {
+  shield(ctx, r) {
+    ctx.beginPath();
+    ctx.moveTo(0, -r);
+    ctx.lineTo(r * 0.8, -r * 0.6);
+    ctx.quadraticCurveTo(r * 0.8, r * 0.5, 0, r);
+    ctx.quadraticCurveTo(-r * 0.8, r * 0.5, -r * 0.8, -r * 0.6);
+    ctx.closePath();
+    ctx.fill();
+  },
+  slow(ctx, r) {
+    // Clock face
+    ctx.beginPath();
+    ctx.arc(0, 0, r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(0, -r * 0.7);
+    ctx.lineTo(0, 0);
+    ctx.lineTo(r * 0.5, 0);
+    ctx.stroke();
+  },
+  multiplier(ctx, r, spec) {
+    ctx.font = `bold ${Math.round(r * 1.6)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`×${spec.factor}`, 0, 0);
+  },
+  shrink(ctx, r) {
+    // Two arrows pointing at each other
+    [-1, 1].forEach(side => {
+      ctx.beginPath();
+      ctx.moveTo(side * r, side * r);
+      ctx.lineTo(side * r * 0.2, side * r * 0.2);
+      ctx.moveTo(side * r * 0.2, side * r * 0.7);
+      ctx.lineTo(side * r * 0.2, side * r * 0.2);
+      ctx.lineTo(side * r * 0.7, side * r * 0.2);
+      ctx.stroke();
+    });
+  },
+};
+
+// Collectible power-up, riding through a pipe gap at the pipe's speed
+class PowerUp {
+  constructor(type, sprite, x, y, size, speed) {
+    this.type = type;
+    this.sprite = sprite; // topic image, AnimationPlayer or null
+    this.x = x;
+    this.y = y;
+    this.size = size;
+    this.speed = speed;
+  }
+
+  get box() {
+    return { x: this.x, y: this.y, width: this.size, height: this.size };
+  }
+
+  update(dt) {
+    this.x -= this.speed * dt;
+    if (this.sprite instanceof AnimationPlayer) this.sprite.update(dt);
+  }
+
+  draw(ctx, spec) {
+    if (this.sprite) {
+      drawSprite(ctx, this.sprite, this.x, this.y, this.size, this.size);
+      return;
     }
-    return false;
+
+    // Colored badge with the type's symbol
+    const r = this.size / 2;
+    ctx.save();
+    ctx.translate(this.x + r, this.y + r);
+    ctx.fillStyle = spec.color;
+    ctx.beginPath();
+    ctx.arc(0, 0, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#fff';
+    ctx.fillStyle = '#fff';
+    ctx.lineWidth = Math.max(2, r * 0.12);
+    ctx.stroke();
+    POWER_UP_ICONS[this.type](ctx, r * 0.55, spec);
+    ctx.restore();
   }
 }
 
+// Difficulty profile named by ?difficulty=, if it exists
+function getDifficultyFromUrl(profiles, fallback) {
+  const urlParams = new URLSearchParams(window.location.search);
+  const name = urlParams.get('difficulty');
+  return name && Object.prototype.hasOwnProperty.call(profiles, name)
+    ? name
+    : fallback;
+}
+
 // Main Game class for Flappy Bird style
-class Game {
+class Game extends GameEngine {
   constructor(canvasId, config) {
-    this.canvas = document.getElementById(canvasId);
-    this.ctx = this.canvas.getContext('2d');
-    this.config = config;
+    super(canvasId, config, {
+      storagePrefix: 'dodgeDanger',
+      hudStyle: { font: 'sans-serif', color: '#fff' },
+      restartHint: 'restartHintSpace',
+      actions: ['flap'],
+      // Power-up sprites; types without one get a drawn badge
+      optionalImages: Object.keys(config.powerUps.types).map(powerUpSlot),
+    });
 
     // Bird properties
     this.bird = {
@@ -73,203 +195,406 @@ class Game {
       height: config.bird.height,
       velocity: 0,
     };
-
-    this.birdImage = null;
-    this.pipeImage = null;
-    this.backgroundImage = null;
+    // Plays the topic's idle / flap / hit clips, if the bird is animated
+    this.birdAnimation = null;
 
     this.pipes = [];
     this.pipeTimer = 0;
-    this.score = 0;
-    // High score tracking
-    this.highScore = 0;
-    this.topic = GAME_ASSETS.topic || 'default';
-    this.localStorageKey = `dodgeDanger_highScore_${this.topic}`;
-
-    this.gameOver = false;
-    this.lastTime = 0;
 
-    // Physics constants
-    this.gravity = 1500; // pixels/second²
-    this.jumpVelocity = -500; // pixels/second
-  }
+    // Power-ups waiting in pipe gaps, and the seconds left on each active
+    // effect by type
+    this.powerUps = [];
+    this.effects = {};
+    this.invulnerableTime = 0; // seconds of grace after the shield breaks
 
-  init() {
-    // Setup canvas
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+    // Collision: hitboxes from config, overridden per topic once assets load
+    this.hitboxes = { ...config.hitboxes };
+    this.collisionMode = 'hitbox'; // or 'mask'
+    this.masks = null;
 
     // Background scrolling properties
     this.bgX = 0;
     this.bgScrollSpeed = 30; // pixels per second, slower than pipes
 
-    // Initial bird position
-    this.bird.x = this.canvas.width * 0.2;
-    this.bird.y = this.canvas.height / 2;
+    // Physics constants
+    this.jumpVelocity = -500; // pixels/second
 
-    window.addEventListener('resize', () => {
-      this.canvas.width = window.innerWidth;
-      this.canvas.height = window.innerHeight;
-      if (!this.gameOver) {
-        this.bird.x = this.canvas.width * 0.2;
-      }
-    });
+    // Difficulty: the chosen profile is copied fresh for every run and its
+    // curves are sampled by the number of pipes spawned so far
+    this.difficultyName = getDifficultyFromUrl(
+      config.difficultyProfiles,
+      config.defaultDifficulty
+    );
+    this.setScoreVariant(this.difficultyVariant());
+    this.profile = null;
+    this.pipesSpawned = 0;
+    this.pipeSpeed = 0; // pixels/second
+    this.gapHeight = 0; // pixels
+    this.spawnInterval = 0; // seconds
+    this.gravity = 0; // pixels/second²
+  }
+
+  // Normal keeps the original high score key; other profiles get their own
+  difficultyVariant() {
+    return this.difficultyName === this.config.defaultDifficulty
+      ? null
+      : this.difficultyName;
+  }
+
+  setDifficulty(name) {
+    if (
+      !Object.prototype.hasOwnProperty.call(
+        this.config.difficultyProfiles,
+        name
+      )
+    ) {
+      return;
+    }
+    this.difficultyName = name;
+    this.setScoreVariant(this.difficultyVariant());
+
+    // Keep the choice in the URL so reloads and shared links keep it
+    if (window.history && window.history.replaceState) {
+      const url = new URL(window.location.href);
+      url.searchParams.set('difficulty', name);
+      window.history.replaceState(null, '', url);
+    }
 
-    // Touch/click input for jumping
-    const jumpHandler = e => {
-      e.preventDefault();
-      if (!this.gameOver) {
-        this.bird.velocity = this.jumpVelocity;
-      } else {
-        // Restart on tap when game over
-        this.restart();
+    if (this.scene !== 'loading') {
+      this.restart();
+    }
+  }
+
+  onAssetsLoaded(images) {
+    this.birdAnimation = this.createAnimationPlayer('character');
+    const extras = GAME_ASSETS.extras || {};
+    this.hitboxes = { ...this.config.hitboxes, ...extras.hitboxes };
+    this.collisionMode = getCollisionMode(extras);
+
+    if (this.collisionMode === 'mask') {
+      // One mask per frame the bird can show, so an animated bird collides
+      // with the frame on screen
+      const birdFrames = this.birdAnimation
+        ? this.animations.character.frames
+        : [images.character];
+      this.masks = {
+        character: new Map(
+          birdFrames.map(frame => [frame, createAlphaMask(frame)])
+        ),
+        item: createAlphaMask(images.item),
+      };
+      const birdMasks = [...this.masks.character.values()];
+      if (!birdMasks.every(Boolean) || !this.masks.item) {
+        console.warn('Alpha masks unavailable, using hitbox collisions');
+        this.collisionMode = 'hitbox';
       }
-    };
+    }
+  }
 
-    this.canvas.addEventListener('touchstart', jumpHandler, { passive: false });
-    this.canvas.addEventListener('click', jumpHandler);
+  // The bird tilts with its velocity (pointing up/down) unless motion is
+  // reduced. Drawing and mask collisions share the angle.
+  birdAngle() {
+    if (this.reducedMotion) return 0;
+    return Math.min(
+      Math.PI / 4,
+      Math.max(-Math.PI / 4, this.bird.velocity / 500)
+    );
+  }
 
-    // Load all images
-    const assetPromises = [
-      loadImage(this.config.bird.imageSrc),
-      loadImage(this.config.pipe.imageSrc),
-      loadImage(this.config.background.imageSrc),
-    ];
+  birdHitbox() {
+    return resolveHitbox(this.hitboxes.character, this.bird);
+  }
 
-    Promise.all(assetPromises)
-      .then(images => {
-        // Assign loaded images
-        [this.birdImage, this.pipeImage, this.backgroundImage] = images;
+  birdHitsPipe(pipe) {
+    // Cheap hitbox test first; masks only refine actual overlaps
+    const hit = pipe.isColliding(this.birdHitbox(), this.hitboxes.item);
+    if (!hit || this.collisionMode !== 'mask') return hit;
+
+    const frame = this.birdAnimation
+      ? this.birdAnimation.frame
+      : this.images.character;
+    const birdSprite = {
+      mask: this.masks.character.get(frame),
+      x: this.bird.x,
+      y: this.bird.y,
+      width: this.bird.width,
+      height: this.bird.height,
+      angle: this.birdAngle(),
+    };
+    return pipe
+      .getSprites(this.canvas.height, this.masks.item)
+      .some(sprite => masksOverlap(birdSprite, sprite));
+  }
 
-        // Load high score from localStorage
-        this.loadHighScore();
+  // Sample every difficulty curve for the current point in the run.
+  // Assistive speed slows time down: speeds scale by speedScale and gravity
+  // by its square, so pipes and jumps keep their shape, just slower.
+  applyDifficulty() {
+    const level = this.pipesSpawned;
+    const scale = this.speedScale;
+    this.pipeSpeed = sampleCurve(this.profile.speed, level) * scale;
+    this.gapHeight = sampleCurve(this.profile.gapHeight, level);
+    this.spawnInterval = sampleCurve(this.profile.spawnInterval, level) / scale;
+    this.gravity = sampleCurve(this.profile.gravity, level) * scale * scale;
+  }
 
-        // Start game
-        this.restart();
-      })
-      .catch(err => console.error(err));
+  resize() {
+    super.resize();
+    if (!this.gameOver) {
+      this.bird.x = this.canvas.width * 0.2;
+    }
   }
 
-  // Load high score from localStorage
-  loadHighScore() {
-    const storedHighScore = localStorage.getItem(this.localStorageKey);
-    if (storedHighScore !== null) {
-      this.highScore = parseInt(storedHighScore, 10);
+  // Tap, Space / ↑ or the gamepad's A button; the same inputs restart and
+  // resume through the engine's 'restart' action
+  onAction(action) {
+    if (action === 'flap' && this.isPlaying) {
+      this.bird.velocity = this.jumpVelocity * this.speedScale;
+      this.audio.play('flap');
+      if (this.birdAnimation) this.birdAnimation.play('flap', true);
     }
   }
 
-  // Save high score to localStorage
-  saveHighScore() {
-    if (this.score > this.highScore) {
-      this.highScore = this.score;
-      localStorage.setItem(this.localStorageKey, this.highScore.toString());
+  addEventListeners() {
+    // Difficulty menu
+    const difficultySelect = document.getElementById('difficulty-select');
+    if (difficultySelect) {
+      difficultySelect.value = this.difficultyName;
+      difficultySelect.addEventListener('change', () => {
+        this.setDifficulty(difficultySelect.value);
+        difficultySelect.blur();
+      });
     }
   }
 
-  restart() {
+  setup() {
+    // Copy the profile so nothing a run changes leaks into the next one
+    this.profile = JSON.parse(
+      JSON.stringify(this.config.difficultyProfiles[this.difficultyName])
+    );
+    this.pipesSpawned = 0;
+    this.applyDifficulty();
+
     this.pipes = [];
     this.pipeTimer = 0;
-    this.score = 0;
-    this.gameOver = false;
+    this.powerUps = [];
+    this.effects = {};
+    this.invulnerableTime = 0;
+    this.bird.width = this.config.bird.width;
+    this.bird.height = this.config.bird.height;
     this.bird.y = this.canvas.height / 2;
     this.bird.velocity = 0;
-    this.lastTime = performance.now();
-    requestAnimationFrame(this.loop.bind(this));
+    if (this.birdAnimation) this.birdAnimation.reset();
   }
 
-  loop(timestamp) {
-    const dt = Math.min((timestamp - this.lastTime) / 1000, 0.1); // Cap dt to prevent jumps after pause
-    this.lastTime = timestamp;
-    this.update(dt);
-    this.render();
-    if (!this.gameOver) requestAnimationFrame(this.loop.bind(this));
+  endGame() {
+    if (this.birdAnimation) this.birdAnimation.play('hit');
+    super.endGame();
   }
 
-  update(dt) {
-    if (this.gameOver) return;
+  // Effects run out in real time; everything else runs on the slowed
+  // clock while slow motion is active
+  update(realDt) {
+    this.updateEffects(realDt);
+    const dt = realDt * this.timeScale();
 
-    if (this.backgroundImage) {
+    const backgroundImage = this.images.background;
+    if (backgroundImage && !this.reducedMotion) {
       const bgWidth =
-        (this.backgroundImage.width / this.backgroundImage.height) *
-        this.canvas.height;
+        (backgroundImage.width / backgroundImage.height) * this.canvas.height;
       this.bgX = (this.bgX - this.bgScrollSpeed * dt) % bgWidth;
     }
 
+    if (this.birdAnimation) this.birdAnimation.update(dt);
+
     // Update bird physics
     this.bird.velocity += this.gravity * dt;
     this.bird.y += this.bird.velocity * dt;
 
     // Game over if bird hits top or bottom
+    const birdBounds = shapeBounds(this.birdHitbox());
     if (
-      this.bird.y < 0 ||
-      this.bird.y + this.bird.height > this.canvas.height
+      birdBounds.y < 0 ||
+      birdBounds.y + birdBounds.height > this.canvas.height
     ) {
-      this.gameOver = true;
-      this.saveHighScore(); // Save high score when game over
+      this.endGame();
       return;
     }
 
     // Spawn pipes
     this.pipeTimer -= dt;
     if (this.pipeTimer <= 0) {
-      const gapHeight = this.config.pipe.gapHeight;
+      const gapHeight = this.gapHeight;
       const minY = gapHeight * 0.5;
       const maxY = this.canvas.height - gapHeight * 1.5;
-      const gapY = minY + Math.random() * (maxY - minY);
-
-      this.pipes.push(
-        new Pipe(
-          this.pipeImage,
-          gapY,
-          gapHeight,
-          this.config.pipe.width,
-          this.config.pipe.speed,
-          this.canvas.width
-        )
+      const gapY = this.rng.range(minY, maxY);
+
+      const pipe = new Pipe(
+        this.images.item,
+        gapY,
+        gapHeight,
+        this.config.pipe.width,
+        this.pipeSpeed,
+        this.canvas.width
       );
+      this.pipes.push(pipe);
 
       // Reset timer with slight randomization
-      this.pipeTimer =
-        this.config.pipe.spawnInterval * (0.8 + Math.random() * 0.4);
+      this.pipeTimer = this.spawnInterval * this.rng.range(0.8, 1.2);
 
       // Increase difficulty over time
-      this.config.pipe.speed += this.config.difficulty.speedIncreaseRate;
-      this.config.pipe.gapHeight = Math.max(
-        80,
-        this.config.pipe.gapHeight - this.config.difficulty.gapDecreaseRate
-      );
+      this.pipesSpawned++;
+      this.applyDifficulty();
+      this.maybeSpawnPowerUp(pipe);
     }
 
     // Update pipes and check collisions
-    this.pipes.forEach(pipe => {
+    for (const pipe of this.pipes) {
       pipe.update(dt);
 
       // Score when bird passes pipe
       if (!pipe.scored && pipe.x + pipe.width < this.bird.x) {
-        this.score++;
+        this.score += this.scoreMultiplier();
         pipe.scored = true;
+        this.analytics.track('pipe_passed', { score: this.score });
+        this.audio.play('collect');
       }
 
-      // Check collisions
-      if (pipe.isColliding(this.bird)) {
-        this.gameOver = true;
-        this.saveHighScore(); // Save high score when game over
+      // Check collisions; nothing else happens once the run is over
+      if (this.invulnerableTime <= 0 && this.birdHitsPipe(pipe)) {
+        this.hitPipe();
+        if (this.gameOver) return;
       }
-    });
+    }
 
     // Remove off-screen pipes
     this.pipes = this.pipes.filter(pipe => pipe.x > -pipe.width);
+
+    // Collect power-ups the bird touches
+    const birdShape = this.birdHitbox();
+    this.powerUps = this.powerUps.filter(powerUp => {
+      powerUp.update(dt);
+      const shape = resolveHitbox(this.hitboxes.powerUp, powerUp.box);
+      if (shapesIntersect(birdShape, shape)) {
+        this.collectPowerUp(powerUp.type);
+        return false;
+      }
+      return powerUp.x > -powerUp.size;
+    });
+  }
+
+  // From config.powerUps.firstPipe on, a pipe may carry a power-up in
+  // the middle of its gap
+  maybeSpawnPowerUp(pipe) {
+    const settings = this.config.powerUps;
+    if (
+      this.pipesSpawned < settings.firstPipe ||
+      this.rng.next() >= settings.chance
+    ) {
+      return;
+    }
+    const types = Object.keys(settings.types);
+    const type = types[this.rng.int(types.length)];
+    const slot = powerUpSlot(type);
+    const size = settings.size;
+    this.powerUps.push(
+      new PowerUp(
+        type,
+        this.createAnimationPlayer(slot) || this.images[slot],
+        pipe.x + (pipe.width - size) / 2,
+        pipe.gapY + (pipe.gapHeight - size) / 2,
+        size,
+        pipe.speed
+      )
+    );
+  }
+
+  // Start (or top up) an effect. Shrink takes effect straight away; the
+  // others are checked where they apply.
+  collectPowerUp(type) {
+    const spec = this.config.powerUps.types[type];
+    this.effects[type] = spec.duration;
+    if (type === 'shrink') this.resizeBird(spec.scale);
+
+    this.analytics.track('power_up', { type, score: this.score });
+    this.audio.play('collect');
+    this.announcer.announce(
+      translate('powerUpCollected', {
+        name: this.powerUpName(type),
+        seconds: formatNumber(spec.duration),
+      })
+    );
+  }
+
+  updateEffects(dt) {
+    this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
+    Object.keys(this.effects).forEach(type => {
+      this.effects[type] -= dt;
+      if (this.effects[type] <= 0) this.endEffect(type);
+    });
+  }
+
+  // Growing back can put the bird inside a pipe, so it gets the shrink's
+  // grace period to fly clear
+  endEffect(type) {
+    delete this.effects[type];
+    if (type === 'shrink') {
+      this.resizeBird(1);
+      this.invulnerableTime = Math.max(
+        this.invulnerableTime,
+        this.config.powerUps.types.shrink.grace
+      );
+    }
+  }
+
+  // A shield absorbs the hit and leaves a moment to get clear of the pipe
+  hitPipe() {
+    if (!this.effects.shield) {
+      this.endGame();
+      return;
+    }
+    this.endEffect('shield');
+    this.invulnerableTime = this.config.powerUps.types.shield.grace;
+    this.analytics.track('shield_used', { score: this.score });
+    this.audio.play('crash');
+    this.announcer.announce(translate('shieldUsed'));
+  }
+
+  timeScale() {
+    return this.effects.slow ? this.config.powerUps.types.slow.timeScale : 1;
+  }
+
+  scoreMultiplier() {
+    return this.effects.multiplier
+      ? this.config.powerUps.types.multiplier.factor
+      : 1;
+  }
+
+  // Scale the bird from its configured size. It keeps its vertical center;
+  // x stays put so passing pipes scores at the same moment.
+  resizeBird(scale) {
+    const { bird } = this;
+    const height = this.config.bird.height * scale;
+    bird.y += (bird.height - height) / 2;
+    bird.width = this.config.bird.width * scale;
+    bird.height = height;
+  }
+
+  powerUpName(type) {
+    const spec = this.config.powerUps.types[type];
+    const params = spec.factor ? { factor: formatNumber(spec.factor) } : {};
+    return translate(spec.label, params);
   }
 
-  render() {
-    const ctx = this.ctx;
+  renderWorld(ctx) {
     const cw = this.canvas.width;
     const ch = this.canvas.height;
+    const backgroundImage = this.images.background;
 
     // Draw background with proper aspect ratio and scrolling
-    if (this.backgroundImage) {
+    if (backgroundImage) {
       // Calculate background dimensions preserving aspect ratio
-      const bgRatio = this.backgroundImage.width / this.backgroundImage.height;
+      const bgRatio = backgroundImage.width / backgroundImage.height;
       const bgHeight = ch;
       const bgWidth = bgHeight * bgRatio;
 
@@ -282,7 +607,7 @@ class Game {
       // Draw enough copies to cover the screen plus potentially one extra for smooth wrap
       let drawnWidth = currentX;
       while (drawnWidth < cw) {
-        ctx.drawImage(this.backgroundImage, drawnWidth, 0, bgWidth, bgHeight);
+        ctx.drawImage(backgroundImage, drawnWidth, 0, bgWidth, bgHeight);
         drawnWidth += bgWidth;
       }
     } else {
@@ -293,86 +618,197 @@ class Game {
 
     // Draw pipes
     this.pipes.forEach(pipe => pipe.draw(ctx, ch));
+    this.powerUps.forEach(powerUp =>
+      powerUp.draw(ctx, this.config.powerUps.types[powerUp.type])
+    );
 
     // Draw bird
     ctx.save();
-    // Rotate bird based on velocity (pointing up/down)
-    const angle = Math.min(
-      Math.PI / 4,
-      Math.max(-Math.PI / 4, this.bird.velocity / 500)
-    );
     ctx.translate(
       this.bird.x + this.bird.width / 2,
       this.bird.y + this.bird.height / 2
     );
-    ctx.rotate(angle);
-    ctx.drawImage(
-      this.birdImage,
-      -this.bird.width / 2,
-      -this.bird.height / 2,
-      this.bird.width,
-      this.bird.height
-    );
+    ctx.rotate(this.birdAngle());
+    // The bird blinks while it can pass through pipes after a shield hit
+    const blinking =
+      this.invulnerableTime > 0 &&
+      !this.reducedMotion &&
+      Math.floor(this.invulnerableTime * 10) % 2 === 0;
+    if (!blinking) {
+      drawSprite(
+        ctx,
+        this.birdAnimation || this.images.character,
+        -this.bird.width / 2,
+        -this.bird.height / 2,
+        this.bird.width,
+        this.bird.height
+      );
+    }
+    if (this.effects.shield) {
+      // Bubble around the bird
+      ctx.strokeStyle = this.config.powerUps.types.shield.color;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(
+        0,
+        0,
+        Math.max(this.bird.width, this.bird.height) * 0.75,
+        0,
+        Math.PI * 2
+      );
+      ctx.stroke();
+    }
     ctx.restore();
+  }
 
-    // Draw score
-    ctx.fillStyle = '#fff';
-    ctx.font = '40px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText(`${this.score}`, cw / 2, 50);
-
-    // Draw high score during gameplay
-    ctx.font = '20px sans-serif';
-    ctx.textAlign = 'right';
-    ctx.fillText(`High Score: ${this.highScore}`, cw - 10, 30);
-
-    // Draw game over
-    if (this.gameOver) {
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-      ctx.fillRect(0, 0, cw, ch);
+  // Big centered score with the high score in the corner
+  drawHud(ctx) {
+    const cw = this.canvas.width;
 
-      ctx.fillStyle = '#fff';
-      ctx.font = '48px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.fillText('Game Over', cw / 2, ch / 2 - 50);
-      ctx.font = '24px sans-serif';
-      ctx.fillText(`Score: ${this.score}`, cw / 2, ch / 2);
-
-      // Show high score in game over screen
-      if (this.score >= this.highScore) {
-        ctx.fillStyle = '#ffff00'; // Yellow for new high score
-        ctx.fillText(`New High Score!`, cw / 2, ch / 2 + 40);
-      } else {
-        ctx.fillStyle = '#fff';
-        ctx.fillText(`High Score: ${this.highScore}`, cw / 2, ch / 2 + 40);
-      }
+    ctx.font = `40px ${this.hudStyle.font}`;
+    ctx.textAlign = 'center';
+    this.drawHudText(ctx, formatNumber(this.score), cw / 2, 50);
+
+    // Draw high score during gameplay (top left in RTL languages)
+    ctx.font = `20px ${this.hudStyle.font}`;
+    ctx.textAlign = 'end';
+    this.drawHudText(
+      ctx,
+      translate('highScore', { score: formatNumber(this.highScore) }),
+      this.mirrorX(cw - 10),
+      30
+    );
 
-      ctx.fillStyle = '#fff';
-      ctx.fillText('Tap to restart', cw / 2, ch / 2 + 80);
-    }
+    // Seconds left on each active power-up (top right in RTL languages)
+    ctx.textAlign = 'start';
+    Object.keys(this.effects).forEach((type, i) => {
+      ctx.fillStyle = this.config.powerUps.types[type].color;
+      ctx.fillRect(this.mirrorX(10) - (isRtl() ? 12 : 0), 18 + i * 26, 12, 12);
+      this.drawHudText(
+        ctx,
+        translate('powerUpTimer', {
+          name: this.powerUpName(type),
+          seconds: formatNumber(Math.ceil(this.effects[type])),
+        }),
+        this.mirrorX(28),
+        30 + i * 26
+      );
+    });
   }
 }
 
-// Flappy Bird style config
+// Flappy Bird style config - image URLs come from the topic manifest (GAME_ASSETS)
 const gameConfig = {
   bird: {
-    imageSrc: GAME_ASSETS.character,
     width: 40,
     height: 40,
   },
   pipe: {
-    imageSrc: GAME_ASSETS.item,
     width: 120,
-    gapHeight: 200,
-    speed: 200,
-    spawnInterval: 2.5,
   },
-  background: {
-    imageSrc: GAME_ASSETS.background,
+  // Collision shapes relative to where each sprite is drawn (see
+  // collision.js); topics can override them in topic.json extras.hitboxes
+  hitboxes: {
+    character: { shape: 'rect', inset: 0.1 },
+    item: { shape: 'rect', inset: 0 },
+    powerUp: { shape: 'circle', radius: 0.5 },
+  },
+  // Power-ups ride in the gap of some pipes from the `firstPipe`th on.
+  // Each lasts `duration` seconds, and collecting one again starts it over:
+  // shield absorbs one pipe hit, then the bird can pass through pipes for
+  // `grace` seconds; slow runs the world at `timeScale`; multiplier scores
+  // `factor` points per pipe; shrink scales the bird by `scale`, with
+  // `grace` seconds of passing through pipes once it grows back. Topics can
+  // give a type its own sprite with a "powerup-<type>" asset (it can be the
+  // item art); others get a badge in the type's `color`.
+  powerUps: {
+    firstPipe: 3,
+    chance: 0.3, // per pipe
+    size: 36,
+    types: {
+      shield: {
+        label: 'powerUpShield',
+        color: '#3fa9f5',
+        duration: 10,
+        grace: 1,
+      },
+      slow: {
+        label: 'powerUpSlow',
+        color: '#8e5ee8',
+        duration: 5,
+        timeScale: 0.6,
+      },
+      multiplier: {
+        label: 'powerUpMultiplier',
+        color: '#f5a623',
+        duration: 8,
+        factor: 2,
+      },
+      shrink: {
+        label: 'powerUpShrink',
+        color: '#2ecc71',
+        duration: 6,
+        scale: 0.6,
+        grace: 1,
+      },
+    },
+  },
+  // Bundled art used when the topic is missing a slot
+  defaultAssets: {
+    character: 'assets/player.jpg',
+    item: 'assets/obstacle.jpg',
+    background: 'assets/background.jpg',
   },
-  difficulty: {
-    speedIncreaseRate: 2,
-    gapDecreaseRate: 0.5,
+  // Difficulty profiles, picked with ?difficulty= or the in-game menu. Each
+  // value is a [[pipesSpawned, value], ...] curve (see sampleCurve): pipe
+  // speed in px/s, gap height in px, seconds between pipes, gravity in px/s².
+  defaultDifficulty: 'normal',
+  difficultyProfiles: {
+    easy: {
+      speed: [
+        [0, 160],
+        [100, 280],
+      ],
+      gapHeight: [
+        [0, 260],
+        [200, 140],
+      ],
+      spawnInterval: [
+        [0, 2.8],
+        [60, 2.4],
+      ],
+      gravity: [[0, 1200]],
+    },
+    normal: {
+      speed: [
+        [0, 200],
+        [100, 400],
+      ],
+      gapHeight: [
+        [0, 200],
+        [240, 80],
+      ],
+      spawnInterval: [[0, 2.5]],
+      gravity: [[0, 1500]],
+    },
+    hard: {
+      speed: [
+        [0, 260],
+        [80, 480],
+      ],
+      gapHeight: [
+        [0, 170],
+        [120, 80],
+      ],
+      spawnInterval: [
+        [0, 2.2],
+        [60, 1.6],
+      ],
+      gravity: [
+        [0, 1700],
+        [60, 1900],
+      ],
+    },
   },
 };
 
@@ -0,0 +1,823 @@
+// engine.js - Shared game engine core for all templates
+//
+// GameEngine owns everything the templates have in common: asset loading,
+// the requestAnimationFrame loop, scenes (loading -> playing -> gameOver),
+// input actions, leaderboards, analytics events, resize handling, the HUD /
+// game-over overlay (translated and mirrored for right-to-left languages),
+// accessibility options and announcements, sound, the topic's news story
+// and result sharing.
+// A template extends it and only implements its own rules:
+//
+//   setup()               reset template state for a new run
+//   update(dt)            advance the game by dt seconds
+//   renderWorld(ctx)      draw the playfield (HUD and overlays are added on top)
+//   onAction(action)      respond to an input action (see input.js)
+//   onAssetsLoaded(images), addEventListeners(), resize(), drawHud(ctx) are
+//   optional overrides.
+//
+// Templates list the actions they use in options.actions; restart, pause
+// and mute are handled here. options.optionalImages names extra topic image
+// slots to load into this.images (null when the topic has none), and
+// this.animations holds the topic's animated slots (see animation.js).
+
+// Hide the loading overlay (if the template has one) and reveal controls
+function hideLoadingOverlay() {
+  const overlay = document.getElementById('loading-overlay');
+  if (overlay) {
+    overlay.classList.add('fade-out');
+    setTimeout(() => {
+      overlay.style.display = 'none';
+    }, 500);
+  }
+
+  // Show controls
+  const controls = document.getElementById('controls');
+  if (controls) {
+    controls.style.display = 'flex';
+  }
+}
+
+// localStorage access that survives private browsing / disabled storage
+const gameStorage = {
+  get(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  },
+  set(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      console.warn(`Could not save "${key}" to localStorage`, error);
+    }
+  },
+  remove(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (error) {
+      // Nothing to clean up if storage is unavailable
+    }
+  },
+};
+
+// Sample a piecewise-linear curve given as [[x, y], ...] points sorted by x.
+// Values outside the curve clamp to the first / last point.
+function sampleCurve(points, x) {
+  if (x <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+class GameEngine {
+  constructor(canvasId, config, options) {
+    localizeDocument();
+    this.canvas = document.getElementById(canvasId);
+    this.ctx = this.canvas.getContext('2d');
+    this.config = config;
+
+    // Storage keys are `<storagePrefix>_<kind>_<topic>`
+    this.storagePrefix = options.storagePrefix;
+    this.hudStyle = {
+      font: 'sans-serif',
+      color: '#fff',
+      ...options.hudStyle,
+    };
+    // String key (see i18n.js) for the game over screen's restart line
+    this.restartHint = options.restartHint || 'restartHintTap';
+    this.actions = [...(options.actions || []), 'restart', 'pause', 'mute'];
+    // Longest frame we simulate in one go, so a stalled tab doesn't teleport
+    this.maxFrameTime = 0.1;
+
+    // Assets
+    this.images = {};
+    this.optionalImages = options.optionalImages || [];
+    this.animations = {}; // SpriteAnimation per animated slot
+    this.assetFallbacks = []; // Slots that didn't load from the topic
+
+    // Score tracking
+    this.score = 0;
+    this.highScore = 0;
+    this.isNewHighScore = false;
+    this.topic = GAME_ASSETS.topic || 'default';
+    this.story = null; // From the topic manifest, see story.js
+    this.storyCard = document.getElementById('story-card');
+    this.shareButton = document.getElementById('btn-share');
+    this.shareStatus = document.getElementById('share-status');
+    this.shareStatusTimer = null;
+
+    // Seeded randomness: a fixed ?seed= or the daily challenge replays the
+    // same layout every run, otherwise each run gets a fresh seed
+    this.seedConfig = getRunSeedConfig(this.topic);
+
+    // Optional rule variant (difficulty, mode...) with its own leaderboard
+    this.scoreVariant = null;
+    this.leaderboard = null; // Loaded in init()
+    this.leaderboardPanel = new LeaderboardPanel();
+    this.rng = null; // Created per run in restart()
+    this.runTime = 0; // Seconds played this run, not counting pauses
+    this.runs = 0; // Runs started since the page loaded
+
+    // Options (see accessibility.js) and the screen reader mirror of the HUD
+    this.accessibility = new AccessibilitySettings(name =>
+      this.onAccessibilityChange(name)
+    );
+    this.announcer = new LiveRegion('game-announcer');
+    this.announcedScore = null;
+    // Assistive speed is fixed per run (and has its own leaderboard)
+    this.assistedRun = this.accessibility.get('assistiveSpeed');
+    this.applyHighContrast();
+
+    this.audio = new AudioManager();
+    this.muteButton = document.getElementById('btn-mute');
+
+    this.input = new InputManager(this.canvas, action =>
+      this.handleAction(action)
+    );
+    this.controlsPanel = new ControlsPanel(this.input, this.actions, {
+      onOpen: () => this.pause(),
+    });
+
+    this.analytics = createGameAnalytics();
+    this.analytics.setContext({ template: this.storagePrefix });
+
+    // 'loading' | 'playing' | 'paused' | 'countdown' | 'gameOver'
+    this.scene = 'loading';
+    // Seconds of countdown between unpausing and play continuing
+    this.resumeDelay = 3;
+    this.resumeCountdown = 0;
+    this.lastTime = 0;
+    this.frameRequest = null;
+    this.resizeRAF = null;
+    this.loop = this.loop.bind(this);
+  }
+
+  get gameOver() {
+    return this.scene === 'gameOver';
+  }
+
+  get isPlaying() {
+    return this.scene === 'playing';
+  }
+
+  // Speed multiplier for this run: below 1 in assistive speed mode
+  get speedScale() {
+    return this.assistedRun ? ASSISTIVE_SPEED_SCALE : 1;
+  }
+
+  get highContrast() {
+    return this.accessibility.get('highContrast');
+  }
+
+  get reducedMotion() {
+    return this.accessibility.get('reducedMotion');
+  }
+
+  // Seconds played this run, to one decimal place
+  get runDuration() {
+    return Math.round(this.runTime * 10) / 10;
+  }
+
+  // A new AnimationPlayer for an animated slot, or null if the topic draws
+  // it as a still image
+  createAnimationPlayer(slot) {
+    const animation = this.animations[slot];
+    return animation ? animation.createPlayer() : null;
+  }
+
+  async init() {
+    const loadStart = performance.now();
+    try {
+      // Wait for the topic manifest so asset URLs are final, then load
+      // assets (topic -> template default -> placeholder)
+      await GAME_ASSETS.ready;
+      this.showStory();
+      // Sounds load in the background; synthesized ones cover the wait
+      this.audio.load(GAME_ASSETS.files);
+      const { images, fallbacks } = await loadTopicImages(
+        GAME_ASSETS,
+        this.config.defaultAssets
+      );
+      Object.assign(
+        images,
+        await loadOptionalImages(GAME_ASSETS, this.optionalImages)
+      );
+      this.images = images;
+      this.assetFallbacks = fallbacks;
+      this.animations = await loadTopicAnimations(GAME_ASSETS, images);
+      this.onAssetsLoaded(images);
+
+      await this.loadLeaderboard();
+
+      this.addEventListeners();
+      this.addPauseListeners();
+      this.addShareListeners();
+      this.updateMuteButton();
+
+      // Initial sizing, then keep it in sync with the window
+      this.resize();
+      window.addEventListener('resize', this.handleResize.bind(this));
+
+      hideLoadingOverlay();
+
+      this.analytics.track('load', {
+        duration: Math.round(performance.now() - loadStart),
+        sincePageStart: Math.round(performance.now()),
+        fallbacks: this.assetFallbacks.length,
+      });
+      this.restart();
+    } catch (error) {
+      console.error('Error initializing game:', error);
+    }
+  }
+
+  // --- Template hooks -----------------------------------------------------
+
+  onAssetsLoaded(images) {}
+
+  addEventListeners() {}
+
+  onAction(action) {}
+
+  setup() {}
+
+  update(dt) {}
+
+  renderWorld(ctx) {}
+
+  // Default sizing: fill the window
+  resize() {
+    this.canvas.width = window.innerWidth;
+    this.canvas.height = window.innerHeight;
+  }
+
+  // --- Lifecycle ----------------------------------------------------------
+
+  setScene(scene) {
+    const previous = this.scene;
+    this.scene = scene;
+    this.updatePauseButton();
+    this.announceScene(previous);
+  }
+
+  restart() {
+    // Don't skip past a name the player is still typing
+    if (this.leaderboardPanel.awaitingEntry) return;
+    this.leaderboardPanel.close();
+
+    if (this.runs > 0) {
+      this.analytics.track('restart', { previousScore: this.score });
+    }
+    this.runs++;
+
+    // Speed changes only apply between runs
+    const assisted = this.accessibility.get('assistiveSpeed');
+    if (assisted !== this.assistedRun) {
+      this.assistedRun = assisted;
+      this.loadLeaderboard();
+    }
+
+    this.rng = createRng(this.seedConfig.seed || createRandomSeed());
+    this.score = 0;
+    this.runTime = 0;
+    this.isNewHighScore = false;
+    this.setGameOverExtrasVisible(false);
+    this.setup();
+    this.analytics.track('game_start', {
+      run: this.runs,
+      seed: this.rng.seed,
+      variant: this.scoreVariant,
+    });
+    this.setScene('playing');
+    this.audio.startMusic();
+    this.startLoop();
+  }
+
+  endGame() {
+    if (this.gameOver) return;
+    this.setScene('gameOver');
+    this.stopLoop();
+    this.saveHighScore();
+    this.setGameOverExtrasVisible(true);
+    this.audio.stopMusic();
+    this.audio.play('crash');
+    if (this.isNewHighScore) {
+      this.audio.play('highscore', 0.5);
+    }
+    const score = translate('announceGameOver', {
+      score: formatNumber(this.score),
+    });
+    const highScore = this.isNewHighScore
+      ? translate('announceNewHighScore')
+      : translate('announceHighScore', {
+          score: formatNumber(this.highScore),
+        });
+    this.announcer.announce(`${score} ${highScore}`);
+    this.analytics.track('game_over', {
+      score: this.score,
+      duration: this.runDuration,
+      highScore: this.highScore,
+      newHighScore: this.isNewHighScore,
+    });
+    this.render(); // Render the final game over screen
+  }
+
+  pause() {
+    if (this.scene !== 'playing' && this.scene !== 'countdown') return;
+    this.setScene('paused');
+    this.audio.stopMusic();
+    this.stopLoop();
+    this.render();
+  }
+
+  // Resume after a short countdown. The loop restarts from the current time,
+  // so frame timers don't see the time spent paused.
+  resume() {
+    if (this.scene !== 'paused') return;
+    this.resumeCountdown = this.resumeDelay;
+    this.setScene('countdown');
+    this.startLoop();
+  }
+
+  togglePause() {
+    if (this.scene === 'paused') {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  // Auto-pause when the page is hidden or loses focus
+  addPauseListeners() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.pause();
+    });
+    window.addEventListener('blur', () => this.pause());
+  }
+
+  // Every action from InputManager. Restart doubles as "resume" while
+  // paused; anything else goes to the template.
+  handleAction(action) {
+    switch (action) {
+      case 'pause':
+        this.togglePause();
+        break;
+      case 'mute':
+        this.toggleMuted();
+        break;
+      case 'restart':
+        if (this.gameOver) {
+          this.restart();
+        } else if (this.scene === 'paused') {
+          this.resume();
+        }
+        break;
+      default:
+        this.onAction(action);
+    }
+  }
+
+  updatePauseButton() {
+    const pauseButton = document.getElementById('btn-pause');
+    if (!pauseButton) return;
+    const paused = this.scene === 'paused';
+    pauseButton.textContent = paused ? '▶' : '❚❚';
+    pauseButton.setAttribute(
+      'aria-label',
+      translate(paused ? 'resume' : 'pause')
+    );
+    pauseButton.disabled = this.scene === 'gameOver';
+  }
+
+  startLoop() {
+    this.stopLoop();
+    this.lastTime = performance.now();
+    this.frameRequest = requestAnimationFrame(this.loop);
+  }
+
+  stopLoop() {
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+
+  loop(timestamp) {
+    // Cap dt to prevent jumps after the tab was in the background
+    const dt = Math.min((timestamp - this.lastTime) / 1000, this.maxFrameTime);
+    this.lastTime = timestamp;
+
+    if (this.scene === 'countdown') {
+      this.resumeCountdown -= dt;
+      if (this.resumeCountdown <= 0) {
+        this.setScene('playing');
+        this.audio.startMusic();
+      }
+    } else if (this.scene === 'playing') {
+      this.runTime += dt;
+      this.update(dt);
+      if (this.isPlaying && this.score !== this.announcedScore) {
+        this.announceScore();
+      }
+    }
+    this.render();
+
+    const running = this.scene === 'playing' || this.scene === 'countdown';
+    this.frameRequest = running ? requestAnimationFrame(this.loop) : null;
+  }
+
+  // Separate resize handler method for debouncing
+  handleResize() {
+    // Use requestAnimationFrame to avoid too many resize calculations
+    if (this.resizeRAF) {
+      cancelAnimationFrame(this.resizeRAF);
+    }
+    this.resizeRAF = requestAnimationFrame(() => {
+      this.resize();
+      this.resizeRAF = null;
+      // Keep the last frame visible while no loop is running
+      if (this.scene !== 'loading') {
+        this.render();
+      }
+    });
+  }
+
+  // --- Story --------------------------------------------------------------
+
+  // Fill in the loading overlay and game over card once the manifest is in
+  showStory() {
+    this.story = getTopicStory(GAME_ASSETS);
+    renderStory(document.getElementById('loading-story'), this.story);
+    renderStory(this.storyCard, this.story);
+    this.setGameOverExtrasVisible(false);
+  }
+
+  // Story card and share button, shown only on the game over screen
+  setGameOverExtrasVisible(visible) {
+    if (this.storyCard) {
+      this.storyCard.hidden = !(visible && this.story);
+    }
+    if (this.shareButton) {
+      this.shareButton.hidden = !visible;
+    }
+  }
+
+  // --- Accessibility ------------------------------------------------------
+
+  // Read state changes out through the live region. Game over is announced
+  // by endGame() once the high score is known.
+  announceScene(previous) {
+    switch (this.scene) {
+      case 'playing':
+        this.announcer.announce(
+          translate(
+            previous === 'countdown' ? 'announceResumed' : 'announceStarted',
+            { score: formatNumber(this.score) }
+          )
+        );
+        this.announcedScore = this.score;
+        break;
+      case 'paused':
+        this.announcer.announce(translate('announcePaused'));
+        break;
+      case 'countdown':
+        this.announcer.announce(
+          translate('announceCountdown', {
+            seconds: formatNumber(Math.ceil(this.resumeCountdown)),
+          })
+        );
+        break;
+    }
+  }
+
+  announceScore() {
+    this.announcedScore = this.score;
+    this.announcer.announce(
+      translate('announceScore', { score: formatNumber(this.score) })
+    );
+  }
+
+  onAccessibilityChange(name) {
+    if (name === 'highContrast') this.applyHighContrast();
+    // Keep the last frame in sync while no loop is running
+    if (this.scene !== 'loading') this.render();
+  }
+
+  // Page controls follow the HUD (see the .high-contrast styles)
+  applyHighContrast() {
+    document.body.classList.toggle('high-contrast', this.highContrast);
+  }
+
+  // --- Sound --------------------------------------------------------------
+
+  toggleMuted() {
+    this.audio.toggleMuted();
+    this.updateMuteButton();
+  }
+
+  updateMuteButton() {
+    if (!this.muteButton) return;
+    const muted = this.audio.muted;
+    this.muteButton.textContent = muted ? '🔇' : '🔊';
+    this.muteButton.setAttribute(
+      'aria-label',
+      translate(muted ? 'unmute' : 'mute')
+    );
+    this.muteButton.setAttribute('aria-pressed', String(muted));
+  }
+
+  // --- Sharing ------------------------------------------------------------
+
+  addShareListeners() {
+    if (!this.shareButton) return;
+    this.shareButton.addEventListener('click', e => {
+      e.preventDefault();
+      this.share();
+    });
+  }
+
+  async share() {
+    this.shareButton.disabled = true;
+    let message;
+    try {
+      const result = await shareResult(this);
+      this.analytics.track('share', { method: result.method });
+      if (result.method === 'download') {
+        message = result.linkCopied
+          ? translate('shareCopied')
+          : translate('shareLink', { url: result.url });
+      } else if (result.method === 'link') {
+        message = result.linkCopied
+          ? translate('shareLinkCopied')
+          : translate('shareLinkOnly', { url: result.url });
+      }
+    } catch (error) {
+      console.error('Could not share result:', error);
+      message = translate('shareUnavailable');
+    }
+    this.shareButton.disabled = false;
+    if (message) this.showShareStatus(message);
+  }
+
+  showShareStatus(message) {
+    if (!this.shareStatus) return;
+    this.shareStatus.textContent = message;
+    this.shareStatus.hidden = false;
+    clearTimeout(this.shareStatusTimer);
+    this.shareStatusTimer = setTimeout(() => {
+      this.shareStatus.hidden = true;
+    }, 4000);
+  }
+
+  // --- Rendering ----------------------------------------------------------
+
+  render() {
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.direction = GAME_LOCALE.dir;
+    this.renderWorld(ctx);
+    this.drawHud(ctx);
+    if (this.gameOver) {
+      this.drawGameOver(ctx);
+    } else if (this.scene === 'paused') {
+      this.drawPaused(ctx);
+    } else if (this.scene === 'countdown') {
+      this.drawCountdown(ctx);
+    }
+  }
+
+  // Draw an image stretched over the whole canvas, or a flat color if the
+  // image isn't available
+  drawBackground(ctx, image, fallbackColor) {
+    if (image) {
+      ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+    } else {
+      ctx.fillStyle = fallbackColor;
+      ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  // Default HUD: score at the start of the line (left, or right in RTL
+  // languages), high score at the end
+  drawHud(ctx) {
+    ctx.font = `20px ${this.hudStyle.font}`;
+    ctx.textAlign = 'start';
+    this.drawHudText(
+      ctx,
+      translate('score', { score: formatNumber(this.score) }),
+      this.mirrorX(10),
+      30
+    );
+
+    ctx.textAlign = 'end';
+    this.drawHudText(
+      ctx,
+      translate('highScore', { score: formatNumber(this.highScore) }),
+      this.mirrorX(this.canvas.width - 10),
+      30
+    );
+  }
+
+  // Flip an x coordinate for right-to-left layouts
+  mirrorX(x) {
+    return isRtl() ? this.canvas.width - x : x;
+  }
+
+  // HUD text in the template's color, or white on a black box in high
+  // contrast mode so it reads on any background. Uses the current font and
+  // textAlign.
+  drawHudText(ctx, text, x, y) {
+    if (this.highContrast) {
+      const width = ctx.measureText(text).width;
+      const size = Number((ctx.font.match(/(\d+)px/) || [])[1]) || 20;
+      // start / end depend on the text direction
+      const rtl = ctx.direction === 'rtl';
+      const align =
+        { start: rtl ? 'right' : 'left', end: rtl ? 'left' : 'right' }[
+          ctx.textAlign
+        ] || ctx.textAlign;
+      let left = x;
+      if (align === 'center') left -= width / 2;
+      if (align === 'right') left -= width;
+      ctx.fillStyle = '#000';
+      ctx.fillRect(left - 6, y - size, width + 12, size * 1.4);
+      ctx.fillStyle = '#fff';
+    } else {
+      ctx.fillStyle = this.hudStyle.color;
+    }
+    ctx.fillText(text, x, y);
+  }
+
+  // Dimming behind the pause and game over text
+  overlayColor() {
+    return this.highContrast ? 'rgba(0, 0, 0, 0.85)' : 'rgba(0, 0, 0, 0.6)';
+  }
+
+  drawPaused(ctx) {
+    const cw = this.canvas.width;
+    const ch = this.canvas.height;
+
+    ctx.fillStyle = this.overlayColor();
+    ctx.fillRect(0, 0, cw, ch);
+
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.font = `40px ${this.hudStyle.font}`;
+    ctx.fillText(translate('paused'), cw / 2, ch / 2 - 10);
+    ctx.font = `18px ${this.hudStyle.font}`;
+    ctx.fillText(translate('resumeHint'), cw / 2, ch / 2 + 30);
+  }
+
+  drawCountdown(ctx) {
+    const cw = this.canvas.width;
+    const ch = this.canvas.height;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.fillRect(0, 0, cw, ch);
+
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.font = `64px ${this.hudStyle.font}`;
+    ctx.fillText(
+      formatNumber(Math.ceil(this.resumeCountdown)),
+      cw / 2,
+      ch / 2 + 20
+    );
+  }
+
+  drawGameOver(ctx) {
+    const cw = this.canvas.width;
+    const ch = this.canvas.height;
+    const font = this.hudStyle.font;
+
+    ctx.fillStyle = this.overlayColor();
+    ctx.fillRect(0, 0, cw, ch);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = `40px ${font}`;
+    ctx.textAlign = 'center';
+    ctx.fillText(translate('gameOver'), cw / 2, ch / 2 - 40);
+
+    ctx.font = `24px ${font}`;
+    ctx.fillText(
+      translate('score', { score: formatNumber(this.score) }),
+      cw / 2,
+      ch / 2
+    );
+
+    // Show high score in game over screen
+    if (this.isNewHighScore) {
+      ctx.fillStyle = '#ffff00'; // Yellow for new high score
+      ctx.fillText(translate('newHighScore'), cw / 2, ch / 2 + 36);
+    } else {
+      ctx.fillText(
+        translate('highScore', { score: formatNumber(this.highScore) }),
+        cw / 2,
+        ch / 2 + 36
+      );
+    }
+
+    ctx.fillStyle = '#fff';
+    ctx.font = `18px ${font}`;
+    ctx.fillText(translate(this.restartHint), cw / 2, ch / 2 + 76);
+
+    if (this.seedConfig.daily) {
+      ctx.font = `16px ${font}`;
+      ctx.fillText(
+        translate('dailyChallenge', { date: this.seedConfig.daily }),
+        cw / 2,
+        ch / 2 - 90
+      );
+    }
+  }
+
+  // --- Persistence --------------------------------------------------------
+
+  // `<storagePrefix>_<kind>_<topic>[_<variant>][_assist][_daily_<date>]`
+  buildStorageKey(kind) {
+    let key = `${this.storagePrefix}_${kind}_${this.topic}`;
+    if (this.scoreVariant) {
+      key += `_${this.scoreVariant}`;
+    }
+    if (this.assistedRun) {
+      // Slower runs don't compete with full speed ones
+      key += '_assist';
+    }
+    if (this.seedConfig.daily) {
+      // Daily challenges keep their own board per day
+      key += `_daily_${this.seedConfig.daily}`;
+    }
+    return key;
+  }
+
+  // Switch to the leaderboard of another rule variant
+  setScoreVariant(variant) {
+    this.scoreVariant = variant || null;
+    if (this.leaderboard) {
+      return this.loadLeaderboard();
+    }
+    return Promise.resolve();
+  }
+
+  // Load the board for the current topic/variant. A local board first picks
+  // up any high score saved under the old single-number key. The high score
+  // is the board's best or the player's own best, whichever is higher.
+  async loadLeaderboard() {
+    const adapter = getLeaderboardAdapter();
+    const leaderboard = new Leaderboard(
+      adapter,
+      this.buildStorageKey('leaderboard')
+    );
+    this.leaderboard = leaderboard;
+
+    await leaderboard.load();
+    if (adapter instanceof LocalStorageLeaderboardAdapter) {
+      await leaderboard.migrateLegacyHighScore(
+        this.buildStorageKey('highScore')
+      );
+    }
+    // Ignore boards that were swapped out while loading
+    if (this.leaderboard === leaderboard) {
+      const saved = parseInt(gameStorage.get(this.buildStorageKey('best')), 10);
+      this.highScore = Math.max(leaderboard.best, saved || 0);
+    }
+  }
+
+  // Run details stored with a leaderboard entry
+  getRunMetadata() {
+    return {
+      seed: this.rng ? this.rng.seed : null,
+      variant: this.scoreVariant,
+      daily: this.seedConfig.daily,
+      duration: this.runDuration,
+    };
+  }
+
+  // Update the high score and offer the leaderboard if the run made it
+  saveHighScore() {
+    if (this.score > this.highScore) {
+      this.highScore = this.score;
+      this.isNewHighScore = true;
+      // Saved apart from the board, so skipping the name form keeps it
+      gameStorage.set(this.buildStorageKey('best'), String(this.score));
+    }
+
+    const leaderboard = this.leaderboard;
+    if (!leaderboard || !leaderboard.qualifies(this.score)) return;
+
+    const score = this.score;
+    const meta = this.getRunMetadata();
+    this.leaderboardPanel.open(leaderboard, {
+      allowEntry: true,
+      onSubmit: name => leaderboard.submit(name, score, meta),
+      onPlayAgain: () => this.restart(),
+    });
+  }
+}
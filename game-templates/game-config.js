@@ -1,57 +1,269 @@
 // game-config.js - Shared configuration for all games
 
-// Extract topic parameter from URL
+// Where topic folders can be found, in the order they are tried. The first
+// entry is relative to a template's index.html so a local checkout (or any
+// static server rooted at the repo) works without network access.
+const DEFAULT_ASSET_BASE_URLS = [
+  '../../game-assets',
+  'https://raw.githubusercontent.com/nivave/ecn-ai-hackathon-2025/main/game-assets',
+];
+
+// Name of the manifest file inside each game-assets/<topic>/ folder
+const TOPIC_MANIFEST_FILE = 'topic.json';
+
+// Asset slots every template relies on
+const REQUIRED_ASSET_KEYS = ['character', 'item', 'background'];
+
+// Topic folder names: letters, digits, '-' and '_' (see slugify in
+// tools/generate-games.js)
+const TOPIC_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,79}$/;
+
+// Raised when a topic manifest can't be found or doesn't match the schema
+class TopicManifestError extends Error {
+  constructor(topic, message) {
+    super(`Topic "${topic}": ${message}`);
+    this.name = 'TopicManifestError';
+    this.topic = topic;
+  }
+}
+
+// Extract topic parameter from URL. Null when it is missing or isn't a
+// folder name, so nothing is fetched for it.
 function getTopicFromUrl() {
   const urlParams = new URLSearchParams(window.location.search);
-  const topic = urlParams.get('topic') || 'default';
-  return topic;
+  const topic = urlParams.get('topic');
+  if (topic && !TOPIC_NAME_PATTERN.test(topic)) {
+    console.warn(`Ignoring invalid topic "${topic}"`);
+  }
+  return topic && TOPIC_NAME_PATTERN.test(topic) ? topic : null;
 }
 
-// Configure asset URLs based on topic
-function configureGameAssets() {
-  const topic = getTopicFromUrl();
-  const baseUrl =
-    'https://raw.githubusercontent.com/nivave/ecn-ai-hackathon-2025/main/game-assets';
+// Local game server (tools/server.js) to use for assets and scores, from
+// ?server=<url> or window.GAME_SERVER_URL. Null when playing from static files.
+function getGameServerUrl() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const serverUrl = urlParams.get('server') || window.GAME_SERVER_URL;
+  return serverUrl ? serverUrl.replace(/\/+$/, '') : null;
+}
+
+// Base URLs to try, most specific first. Override with ?assetBase=<url> or by
+// setting window.GAME_ASSET_BASE_URL (string or array) before this script.
+// With a game server configured its assets replace the defaults, so nothing
+// is fetched from GitHub.
+function getAssetBaseUrls() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const overrides = [];
+
+  if (urlParams.get('assetBase')) {
+    overrides.push(urlParams.get('assetBase'));
+  }
+  if (window.GAME_ASSET_BASE_URL) {
+    overrides.push(...[].concat(window.GAME_ASSET_BASE_URL));
+  }
+
+  const serverUrl = getGameServerUrl();
+  const defaults = serverUrl
+    ? [`${serverUrl}/game-assets`]
+    : DEFAULT_ASSET_BASE_URLS;
+
+  return [...overrides, ...defaults]
+    .map(url => url.replace(/\/+$/, ''))
+    .filter((url, index, urls) => urls.indexOf(url) === index);
+}
+
+// Resolve a manifest-relative path against the folder the manifest came from
+function resolveAssetUrl(folderUrl, path) {
+  if (/^([a-z]+:)?\/\//i.test(path) || path.startsWith('data:')) {
+    return path;
+  }
+  return `${folderUrl}/${path.replace(/^\.\//, '')}`;
+}
+
+// Check a parsed manifest and return it normalized, or throw
+function validateTopicManifest(topic, manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new TopicManifestError(
+      topic,
+      `${TOPIC_MANIFEST_FILE} must be an object`
+    );
+  }
+  if (typeof manifest.title !== 'string' || !manifest.title.trim()) {
+    throw new TopicManifestError(topic, '"title" must be a non-empty string');
+  }
+  if (
+    manifest.description !== undefined &&
+    typeof manifest.description !== 'string'
+  ) {
+    throw new TopicManifestError(topic, '"description" must be a string');
+  }
+
+  const assets = manifest.assets;
+  if (!assets || typeof assets !== 'object' || Array.isArray(assets)) {
+    throw new TopicManifestError(topic, '"assets" must be an object');
+  }
+  Object.keys(assets).forEach(key => {
+    if (typeof assets[key] !== 'string' || !assets[key]) {
+      throw new TopicManifestError(
+        topic,
+        `"assets.${key}" must be a non-empty path`
+      );
+    }
+  });
+
+  const extras = manifest.extras === undefined ? {} : manifest.extras;
+  if (!extras || typeof extras !== 'object' || Array.isArray(extras)) {
+    throw new TopicManifestError(topic, '"extras" must be an object');
+  }
+
+  // Optional { <lang>: { title, summary } }, see i18n.js
+  const translations =
+    manifest.translations === undefined ? {} : manifest.translations;
+  if (
+    !translations ||
+    typeof translations !== 'object' ||
+    Array.isArray(translations)
+  ) {
+    throw new TopicManifestError(topic, '"translations" must be an object');
+  }
+  Object.keys(translations).forEach(lang => {
+    const translation = translations[lang];
+    const valid =
+      translation &&
+      typeof translation === 'object' &&
+      ['title', 'summary'].every(
+        field =>
+          translation[field] === undefined ||
+          typeof translation[field] === 'string'
+      );
+    if (!valid) {
+      throw new TopicManifestError(
+        topic,
+        `"translations.${lang}" must have string "title" / "summary"`
+      );
+    }
+  });
 
-  // Create URLs with fallbacks to local assets
   return {
-    character: `${baseUrl}/${topic}/character.png`,
-    item: `${baseUrl}/${topic}/item.png`,
-    background: `${baseUrl}/${topic}/background.png`,
-    topic: topic,
+    title: manifest.title.trim(),
+    description: manifest.description || '',
+    assets: { ...assets },
+    extras: extras,
+    translations: translations,
   };
 }
 
-// Enhanced image loader with fallback
-function loadImageWithFallback(src, fallbackSrc) {
-  return new Promise(resolve => {
-    const img = new Image();
-    img.onload = () => resolve(img);
-    img.onerror = () => {
-      console.warn(`Failed to load image: ${src}, trying fallback`);
-      // If fallback is provided, try it
-      if (fallbackSrc) {
-        const fallbackImg = new Image();
-        fallbackImg.onload = () => resolve(fallbackImg);
-        fallbackImg.onerror = () => {
-          console.error(`Failed to load fallback image: ${fallbackSrc}`);
-          // Return a 1x1 transparent placeholder
-          const placeholder = new Image(1, 1);
-          placeholder.src =
-            'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-          resolve(placeholder);
-        };
-        fallbackImg.src = fallbackSrc;
-      } else {
-        // No fallback, return placeholder
-        const placeholder = new Image(1, 1);
-        placeholder.src =
-          'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-        resolve(placeholder);
-      }
+// Fetch <base>/<topic>/topic.json from each base in turn. Resolves with the
+// validated manifest and the folder URL it was loaded from.
+async function loadTopicManifest(topic, baseUrls) {
+  const tried = [];
+
+  for (const baseUrl of baseUrls) {
+    const folderUrl = `${baseUrl}/${encodeURIComponent(topic)}`;
+    const manifestUrl = `${folderUrl}/${TOPIC_MANIFEST_FILE}`;
+    let response;
+
+    try {
+      response = await fetch(manifestUrl);
+    } catch (error) {
+      tried.push(`${manifestUrl} (${error.message})`);
+      continue;
+    }
+    if (!response.ok) {
+      tried.push(`${manifestUrl} (HTTP ${response.status})`);
+      continue;
+    }
+
+    // A manifest that exists but is broken is an error, not a reason to keep
+    // looking - otherwise a typo silently falls through to the remote copy.
+    let manifest;
+    try {
+      manifest = await response.json();
+    } catch (error) {
+      throw new TopicManifestError(
+        topic,
+        `${manifestUrl} is not valid JSON (${error.message})`
+      );
+    }
+
+    return {
+      manifest: validateTopicManifest(topic, manifest),
+      folderUrl: folderUrl,
     };
-    img.src = src;
-  });
+  }
+
+  throw new TopicManifestError(
+    topic,
+    `no ${TOPIC_MANIFEST_FILE} found (tried: ${tried.join(', ')})`
+  );
+}
+
+// Configure asset URLs based on topic. The returned object starts out with
+// the conventional <topic>/{character,item,background}.png paths and is
+// filled in from the topic manifest once `ready` resolves. Without a topic
+// the template's own art is used straight away.
+function configureGameAssets() {
+  const topic = getTopicFromUrl();
+  const baseUrls = getAssetBaseUrls();
+
+  if (!topic) {
+    const assets = {
+      character: null,
+      item: null,
+      background: null,
+      topic: null,
+      title: '',
+      description: '',
+      extras: {},
+      localized: {},
+      files: {},
+      baseUrls: baseUrls,
+      manifestError: null,
+    };
+    assets.ready = Promise.resolve(assets);
+    return assets;
+  }
+
+  const folderUrl = `${baseUrls[0]}/${encodeURIComponent(topic)}`;
+
+  const assets = {
+    character: `${folderUrl}/character.png`,
+    item: `${folderUrl}/item.png`,
+    background: `${folderUrl}/background.png`,
+    topic: topic,
+    title: topic,
+    description: '',
+    extras: {},
+    // Title / summary in the page language, if the topic translates them
+    localized: {},
+    // Every asset path declared in the manifest, resolved to a URL
+    files: {},
+    baseUrls: baseUrls,
+    manifestError: null,
+  };
+
+  assets.ready = loadTopicManifest(topic, baseUrls).then(
+    ({ manifest, folderUrl }) => {
+      Object.keys(manifest.assets).forEach(key => {
+        assets.files[key] = resolveAssetUrl(folderUrl, manifest.assets[key]);
+      });
+      // Slots missing from the manifest are left empty for the loader to fill
+      REQUIRED_ASSET_KEYS.forEach(key => {
+        assets[key] = assets.files[key] || null;
+      });
+      assets.localized = getTopicTranslation(manifest);
+      assets.title = assets.localized.title || manifest.title;
+      assets.description = manifest.description;
+      assets.extras = manifest.extras;
+      return assets;
+    },
+    error => {
+      console.error(`${error.message}. Falling back to default asset paths.`);
+      assets.manifestError = error;
+      return assets;
+    }
+  );
+
+  return assets;
 }
 
 // Get game assets
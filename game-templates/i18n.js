@@ -0,0 +1,270 @@
+// i18n.js - Translated strings, number formatting and text direction
+//
+// The language comes from ?lang=<code>, then the browser's preferred
+// languages, then English. translate('score', { score: 3 }) looks a key up in
+// I18N_STRINGS and fills in {placeholders}; keys a catalog lacks fall back to
+// English. Static page text is marked up with data-i18n="<key>" (textContent)
+// and data-i18n-label="<key>" (aria-label) and filled in by
+// localizeDocument().
+//
+// Topics can translate their own title and summary in topic.json:
+//
+//   "translations": { "he": { "title": "...", "summary": "..." } }
+
+const I18N_DEFAULT_LANGUAGE = 'en';
+const RTL_LANGUAGES = ['he', 'ar', 'fa', 'ur'];
+
+const I18N_STRINGS = {
+  en: {
+    collectItTitle: 'Collect It Game',
+    dodgeTitle: 'Dodge the Danger',
+    catchItTitle: 'Catch It',
+    loading: 'Loading game assets...',
+    score: 'Score: {score}',
+    highScore: 'High Score: {score}',
+    newHighScore: 'New High Score!',
+    gameOver: 'Game Over',
+    paused: 'Paused',
+    resumeHint: 'Tap or press P to resume',
+    dailyChallenge: 'Daily Challenge {date}',
+    restartHintTap: 'Tap to restart',
+    restartHintEnter: 'Tap or Press Enter to Restart',
+    restartHintSpace: 'Tap or press Space to restart',
+    points: 'points',
+    // Buttons and panels
+    pause: 'Pause',
+    resume: 'Resume',
+    mute: 'Mute',
+    unmute: 'Unmute',
+    controls: 'Controls',
+    reset: 'Reset',
+    done: 'Done',
+    share: 'Share',
+    difficulty: 'Difficulty',
+    difficultyEasy: 'Easy',
+    difficultyNormal: 'Normal',
+    difficultyHard: 'Hard',
+    mode: 'Mode',
+    modeClassic: 'Classic',
+    modeWrap: 'Wrap-around',
+    modeObstacles: 'Obstacles',
+    modeMulti: 'Multi-item',
+    modeTimeAttack: 'Time attack',
+    leaderboard: 'Leaderboard',
+    leaderboardPrompt: 'New high score! Enter your name',
+    save: 'Save',
+    skip: 'Skip',
+    playAgain: 'Play again',
+    accessibility: 'Accessibility',
+    highContrast: 'High contrast HUD',
+    slowerSpeed: 'Slower speed (next game)',
+    reduceMotion: 'Reduce motion',
+    // Controls panel
+    actionUp: 'Up',
+    actionDown: 'Down',
+    actionLeft: 'Left',
+    actionRight: 'Right',
+    actionFlap: 'Flap',
+    actionRestart: 'Restart / resume',
+    actionPause: 'Pause',
+    actionMute: 'Mute',
+    keySpace: 'Space',
+    keyEscape: 'Esc',
+    pressKey: 'Press a key…',
+    noKey: 'None',
+    changeKey: 'Change key for {action}',
+    // Screen reader announcements
+    announceStarted: 'Game started. Score {score}',
+    announceResumed: 'Resumed. Score {score}',
+    announcePaused: 'Paused. Press P or tap to resume',
+    announceCountdown: 'Resuming in {seconds} seconds',
+    announceScore: 'Score {score}',
+    announceGameOver: 'Game over. Score {score}.',
+    announceNewHighScore: 'New high score!',
+    announceHighScore: 'High score {score}.',
+    livesLeft: '{lives} lives left',
+    timeLeft: 'Time: {seconds}',
+    secondsLeft: '{seconds} seconds left',
+    boardFilled: 'The board is full. You win!',
+    powerUpShield: 'Shield',
+    powerUpSlow: 'Slow motion',
+    powerUpMultiplier: 'Score ×{factor}',
+    powerUpShrink: 'Shrink',
+    powerUpTimer: '{name}: {seconds}',
+    powerUpCollected: '{name} for {seconds} seconds',
+    shieldUsed: 'Shield used up',
+    // Sharing and the story card
+    shareText: 'I scored {score} in {title}!',
+    shareCopied: 'Image saved and link copied',
+    shareLink: 'Image saved. Link: {url}',
+    shareLinkCopied: 'Link copied',
+    shareLinkOnly: 'Link: {url}',
+    shareUnavailable: 'Sharing is not available here',
+    readStory: 'Read the story ({source})',
+    // Launcher
+    launcherTitle: 'News Games',
+    loadingGames: 'Loading games...',
+    launcherUnavailable: 'Could not load the list of games',
+    unknownTopic: 'There is no game about "{topic}". Pick one below.',
+    unknownTemplate: 'There is no "{template}" game. Pick one below.',
+    bestScore: 'Best: {score}',
+    notPlayed: 'Not played yet',
+  },
+  he: {
+    collectItTitle: 'אסוף את זה',
+    dodgeTitle: 'התחמק מהסכנה',
+    catchItTitle: 'תפוס את זה',
+    loading: 'טוען את המשחק...',
+    score: 'ניקוד: {score}',
+    highScore: 'שיא: {score}',
+    newHighScore: 'שיא חדש!',
+    gameOver: 'המשחק נגמר',
+    paused: 'מושהה',
+    resumeHint: 'הקישו או לחצו P כדי להמשיך',
+    dailyChallenge: 'האתגר היומי {date}',
+    restartHintTap: 'הקישו כדי לשחק שוב',
+    restartHintEnter: 'הקישו או לחצו Enter כדי לשחק שוב',
+    restartHintSpace: 'הקישו או לחצו רווח כדי לשחק שוב',
+    points: 'נקודות',
+    pause: 'השהיה',
+    resume: 'המשך',
+    mute: 'השתקה',
+    unmute: 'ביטול השתקה',
+    controls: 'מקשים',
+    reset: 'איפוס',
+    done: 'סיום',
+    share: 'שיתוף',
+    difficulty: 'רמת קושי',
+    difficultyEasy: 'קל',
+    difficultyNormal: 'רגיל',
+    difficultyHard: 'קשה',
+    mode: 'מצב משחק',
+    modeClassic: 'קלאסי',
+    modeWrap: 'בלי קירות',
+    modeObstacles: 'מכשולים',
+    modeMulti: 'הרבה פריטים',
+    modeTimeAttack: 'נגד השעון',
+    leaderboard: 'טבלת שיאים',
+    leaderboardPrompt: 'שיא חדש! הכניסו את שמכם',
+    save: 'שמירה',
+    skip: 'דילוג',
+    playAgain: 'משחק חדש',
+    accessibility: 'נגישות',
+    highContrast: 'ניגודיות גבוהה',
+    slowerSpeed: 'מהירות איטית (מהמשחק הבא)',
+    reduceMotion: 'הפחתת תנועה',
+    actionUp: 'למעלה',
+    actionDown: 'למטה',
+    actionLeft: 'שמאלה',
+    actionRight: 'ימינה',
+    actionFlap: 'קפיצה',
+    actionRestart: 'משחק חדש / המשך',
+    actionPause: 'השהיה',
+    actionMute: 'השתקה',
+    keySpace: 'רווח',
+    keyEscape: 'יציאה (Esc)',
+    pressKey: 'לחצו על מקש…',
+    noKey: 'אין',
+    changeKey: 'שינוי המקש של {action}',
+    announceStarted: 'המשחק התחיל. ניקוד {score}',
+    announceResumed: 'המשחק ממשיך. ניקוד {score}',
+    announcePaused: 'מושהה. לחצו P או הקישו כדי להמשיך',
+    announceCountdown: 'ממשיכים בעוד {seconds} שניות',
+    announceScore: 'ניקוד {score}',
+    announceGameOver: 'המשחק נגמר. ניקוד {score}.',
+    announceNewHighScore: 'שיא חדש!',
+    announceHighScore: 'השיא {score}.',
+    livesLeft: 'נשארו {lives} חיים',
+    timeLeft: 'זמן: {seconds}',
+    secondsLeft: 'נשארו {seconds} שניות',
+    boardFilled: 'הלוח מלא. ניצחתם!',
+    powerUpShield: 'מגן',
+    powerUpSlow: 'הילוך איטי',
+    powerUpMultiplier: 'ניקוד ×{factor}',
+    powerUpShrink: 'הקטנה',
+    powerUpTimer: '{name}: {seconds}',
+    powerUpCollected: '{name} ל-{seconds} שניות',
+    shieldUsed: 'המגן נשבר',
+    shareText: 'השגתי {score} נקודות ב{title}!',
+    shareCopied: 'התמונה נשמרה והקישור הועתק',
+    shareLink: 'התמונה נשמרה. קישור: {url}',
+    shareLinkCopied: 'הקישור הועתק',
+    shareLinkOnly: 'קישור: {url}',
+    shareUnavailable: 'אי אפשר לשתף כאן',
+    readStory: 'לכתבה המלאה ({source})',
+    launcherTitle: 'משחקי חדשות',
+    loadingGames: 'טוען משחקים...',
+    launcherUnavailable: 'לא ניתן לטעון את רשימת המשחקים',
+    unknownTopic: 'אין משחק על "{topic}". בחרו משחק מהרשימה.',
+    unknownTemplate: 'אין משחק מסוג "{template}". בחרו משחק מהרשימה.',
+    bestScore: 'שיא: {score}',
+    notPlayed: 'עוד לא שוחק',
+  },
+};
+
+// First supported language among ?lang= and the browser's preferences
+function detectLanguage() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const preferred = navigator.languages || [navigator.language];
+  const candidates = [urlParams.get('lang'), ...preferred];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    // 'he-IL' -> 'he'; 'iw' is the legacy code for Hebrew
+    const code = candidate.toLowerCase().split('-')[0];
+    const language = code === 'iw' ? 'he' : code;
+    if (I18N_STRINGS[language]) return language;
+  }
+  return I18N_DEFAULT_LANGUAGE;
+}
+
+function createLocale(lang) {
+  return {
+    lang,
+    dir: RTL_LANGUAGES.includes(lang) ? 'rtl' : 'ltr',
+    numberFormat: new Intl.NumberFormat(lang),
+  };
+}
+
+const GAME_LOCALE = createLocale(detectLanguage());
+
+function translate(key, params = {}) {
+  const strings = I18N_STRINGS[GAME_LOCALE.lang];
+  const template =
+    key in strings ? strings[key] : I18N_STRINGS[I18N_DEFAULT_LANGUAGE][key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+function formatNumber(value) {
+  return GAME_LOCALE.numberFormat.format(value);
+}
+
+function isRtl() {
+  return GAME_LOCALE.dir === 'rtl';
+}
+
+// The topic.json translation ({ title, summary }) for the current language,
+// or an empty object
+function getTopicTranslation(manifest) {
+  const translations = manifest.translations || {};
+  return translations[GAME_LOCALE.lang] || {};
+}
+
+// Set the page language and direction and translate data-i18n elements
+function localizeDocument() {
+  document.documentElement.lang = GAME_LOCALE.lang;
+  document.documentElement.dir = GAME_LOCALE.dir;
+
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = translate(element.getAttribute('data-i18n'));
+  });
+  document.querySelectorAll('[data-i18n-label]').forEach(element => {
+    element.setAttribute(
+      'aria-label',
+      translate(element.getAttribute('data-i18n-label'))
+    );
+  });
+}
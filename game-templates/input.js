@@ -0,0 +1,432 @@
+// input.js - Maps physical input to abstract game actions
+//
+// Keys, canvas taps and swipes, on-screen buttons and gamepads all turn into
+// actions ('up', 'flap', 'restart', ...) passed to a single handler, so the
+// templates never look at raw events. Bindings are kept per device:
+//
+//   keys     KeyboardEvent.key, letters lowercased and ' ' as 'Space'
+//   gamepad  standard mapping button indices (the left stick acts as the
+//            d-pad, buttons 12-15)
+//   touch    'tap' and 'swipeUp' / 'swipeDown' / 'swipeLeft' / 'swipeRight'
+//   buttons  ids of on-screen buttons
+//
+// Key and gamepad bindings can be remapped by the player and are saved in
+// localStorage for every template. Besides one-off actions, isHeld(action)
+// tells whether a key or gamepad button for it is down right now, for
+// movement that lasts as long as the input does.
+
+const INPUT_BINDINGS_KEY = 'input_bindings';
+const REMAPPABLE_DEVICES = ['keys', 'gamepad'];
+const SWIPE_THRESHOLD = 30; // px before a touch counts as a swipe
+const GAMEPAD_AXIS_THRESHOLD = 0.5;
+
+// Every action, in the order they fire when one input has several, with
+// the string key (see i18n.js) of its label in the controls panel
+const INPUT_ACTIONS = {
+  up: 'actionUp',
+  down: 'actionDown',
+  left: 'actionLeft',
+  right: 'actionRight',
+  flap: 'actionFlap',
+  restart: 'actionRestart',
+  pause: 'actionPause',
+  mute: 'actionMute',
+};
+
+const DEFAULT_INPUT_BINDINGS = {
+  keys: {
+    up: ['ArrowUp', 'w'],
+    down: ['ArrowDown', 's'],
+    left: ['ArrowLeft', 'a'],
+    right: ['ArrowRight', 'd'],
+    flap: ['Space', 'ArrowUp', 'w'],
+    restart: ['Enter', 'Space'],
+    pause: ['p', 'Escape'],
+    mute: ['m'],
+  },
+  gamepad: {
+    up: [12],
+    down: [13],
+    left: [14],
+    right: [15],
+    flap: [0],
+    restart: [0],
+    pause: [9],
+  },
+  touch: {
+    up: ['swipeUp'],
+    down: ['swipeDown'],
+    left: ['swipeLeft'],
+    right: ['swipeRight'],
+    flap: ['tap'],
+    restart: ['tap'],
+  },
+  buttons: {
+    up: ['btn-up'],
+    down: ['btn-down'],
+    left: ['btn-left'],
+    right: ['btn-right'],
+    pause: ['btn-pause'],
+    mute: ['btn-mute'],
+  },
+};
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+};
+// Key names that are words, as string keys
+const KEY_LABEL_STRINGS = { Space: 'keySpace', Escape: 'keyEscape' };
+
+function normalizeKey(key) {
+  if (key === ' ' || key === 'Spacebar') return 'Space';
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function formatKeyName(key) {
+  if (KEY_LABEL_STRINGS[key]) return translate(KEY_LABEL_STRINGS[key]);
+  return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// Fields, selects and focused buttons keep their own keyboard behavior
+function isFormControl(target) {
+  return Boolean(
+    target && ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(target.tagName)
+  );
+}
+
+function copyBindings(bindings) {
+  return JSON.parse(JSON.stringify(bindings));
+}
+
+// Defaults with the player's saved key / gamepad bindings on top. Unknown
+// actions and malformed entries in storage are ignored.
+function loadInputBindings() {
+  const bindings = copyBindings(DEFAULT_INPUT_BINDINGS);
+  let saved = null;
+  try {
+    saved = JSON.parse(gameStorage.get(INPUT_BINDINGS_KEY));
+  } catch (error) {
+    console.warn('Ignoring unreadable input bindings', error);
+  }
+  if (!saved || typeof saved !== 'object') return bindings;
+
+  REMAPPABLE_DEVICES.forEach(device => {
+    Object.entries(saved[device] || {}).forEach(([action, inputs]) => {
+      if (INPUT_ACTIONS[action] && Array.isArray(inputs)) {
+        bindings[device][action] = inputs;
+      }
+    });
+  });
+  return bindings;
+}
+
+class InputManager {
+  // `canvas` receives taps and swipes; `onAction(action)` gets every action
+  constructor(canvas, onAction) {
+    this.canvas = canvas;
+    this.onAction = onAction;
+    this.bindings = loadInputBindings();
+    // Off while a menu like the controls panel has the keyboard
+    this.enabled = true;
+    this.capture = null; // Resolver waiting for the next key, see captureKey()
+    this.touchStart = null;
+    this.heldKeys = new Set();
+    this.gamepadButtons = new Map(); // Pressed buttons per gamepad index
+    this.gamepadFrame = null;
+
+    this.addKeyListeners();
+    this.addTouchListeners();
+    this.addButtonListeners();
+    this.addGamepadListeners();
+  }
+
+  // Actions bound to `input` on `device`
+  actionsFor(device, input) {
+    const bindings = this.bindings[device];
+    return Object.keys(INPUT_ACTIONS).filter(action =>
+      (bindings[action] || []).includes(input)
+    );
+  }
+
+  emit(actions) {
+    if (!this.enabled) return;
+    actions.forEach(action => this.onAction(action));
+  }
+
+  addKeyListeners() {
+    window.addEventListener('keydown', e => {
+      if (this.capture) {
+        e.preventDefault();
+        this.capture(e.key === 'Escape' ? null : normalizeKey(e.key));
+        return;
+      }
+      if (isFormControl(e.target)) return;
+
+      const key = normalizeKey(e.key);
+      const actions = this.actionsFor('keys', key);
+      if (!actions.length) return;
+      e.preventDefault(); // Keep arrows and Space from scrolling the page
+      this.heldKeys.add(key);
+      if (!e.repeat) this.emit(actions);
+    });
+    window.addEventListener('keyup', e => {
+      this.heldKeys.delete(normalizeKey(e.key));
+    });
+    // Key ups are lost while another window has focus
+    window.addEventListener('blur', () => this.heldKeys.clear());
+  }
+
+  // Whether a key or gamepad button bound to `action` is currently down
+  isHeld(action) {
+    if (!this.enabled) return false;
+    const keys = this.bindings.keys[action] || [];
+    const buttons = this.bindings.gamepad[action] || [];
+    if (keys.some(key => this.heldKeys.has(key))) return true;
+    return [...this.gamepadButtons.values()].some(pressed =>
+      buttons.some(index => pressed.has(index))
+    );
+  }
+
+  // Taps fire on touchstart so flapping feels immediate; swipes are judged
+  // when the finger lifts
+  addTouchListeners() {
+    this.canvas.addEventListener(
+      'touchstart',
+      e => {
+        e.preventDefault();
+        const touch = e.touches[0];
+        this.touchStart = { x: touch.clientX, y: touch.clientY };
+        this.emit(this.actionsFor('touch', 'tap'));
+      },
+      { passive: false }
+    );
+    this.canvas.addEventListener(
+      'touchend',
+      e => {
+        e.preventDefault();
+        if (!this.touchStart) return;
+        const touch = e.changedTouches[0];
+        const gesture = getSwipeGesture(
+          touch.clientX - this.touchStart.x,
+          touch.clientY - this.touchStart.y
+        );
+        this.touchStart = null;
+        if (gesture) this.emit(this.actionsFor('touch', gesture));
+      },
+      { passive: false }
+    );
+    // Mouse clicks count as taps (touches don't also click, see above)
+    this.canvas.addEventListener('click', e => {
+      e.preventDefault();
+      this.emit(this.actionsFor('touch', 'tap'));
+    });
+  }
+
+  addButtonListeners() {
+    Object.values(this.bindings.buttons)
+      .flat()
+      .filter((id, index, ids) => ids.indexOf(id) === index)
+      .forEach(id => {
+        const button = document.getElementById(id);
+        if (!button) return;
+        button.addEventListener('click', e => {
+          e.preventDefault();
+          // Give the keyboard back to the game
+          button.blur();
+          this.emit(this.actionsFor('buttons', id));
+        });
+      });
+  }
+
+  // Gamepads have no button events, so poll them every frame while one is
+  // connected
+  addGamepadListeners() {
+    window.addEventListener('gamepadconnected', () =>
+      this.startGamepadPolling()
+    );
+    window.addEventListener('gamepaddisconnected', e => {
+      this.gamepadButtons.delete(e.gamepad && e.gamepad.index);
+    });
+  }
+
+  startGamepadPolling() {
+    if (this.gamepadFrame !== null) return;
+    const poll = () => {
+      const connected = this.pollGamepads();
+      this.gamepadFrame = connected ? requestAnimationFrame(poll) : null;
+    };
+    this.gamepadFrame = requestAnimationFrame(poll);
+  }
+
+  // Fire actions for buttons pressed since the last poll. Returns whether
+  // any gamepad is still connected.
+  pollGamepads() {
+    const gamepads = navigator.getGamepads
+      ? Array.from(navigator.getGamepads()).filter(Boolean)
+      : [];
+
+    gamepads.forEach(gamepad => {
+      const previous = this.gamepadButtons.get(gamepad.index) || new Set();
+      const pressed = new Set();
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed) pressed.add(index);
+      });
+      const [x = 0, y = 0] = gamepad.axes;
+      if (y < -GAMEPAD_AXIS_THRESHOLD) pressed.add(12);
+      if (y > GAMEPAD_AXIS_THRESHOLD) pressed.add(13);
+      if (x < -GAMEPAD_AXIS_THRESHOLD) pressed.add(14);
+      if (x > GAMEPAD_AXIS_THRESHOLD) pressed.add(15);
+
+      pressed.forEach(index => {
+        if (!previous.has(index)) {
+          this.emit(this.actionsFor('gamepad', index));
+        }
+      });
+      this.gamepadButtons.set(gamepad.index, pressed);
+    });
+    return gamepads.length > 0;
+  }
+
+  // --- Remapping ----------------------------------------------------------
+
+  // Replace the inputs bound to `action` on a remappable device and save
+  setBinding(device, action, inputs) {
+    if (!REMAPPABLE_DEVICES.includes(device) || !INPUT_ACTIONS[action]) {
+      throw new Error(`Cannot bind ${device} input to "${action}"`);
+    }
+    this.bindings[device][action] = inputs;
+    this.saveBindings();
+  }
+
+  resetBindings() {
+    this.bindings = copyBindings(DEFAULT_INPUT_BINDINGS);
+    gameStorage.remove(INPUT_BINDINGS_KEY);
+  }
+
+  saveBindings() {
+    const saved = {};
+    REMAPPABLE_DEVICES.forEach(device => {
+      saved[device] = this.bindings[device];
+    });
+    gameStorage.set(INPUT_BINDINGS_KEY, JSON.stringify(saved));
+  }
+
+  // Resolve with the next key pressed (normalized), or null for Escape.
+  // The key is swallowed instead of firing actions.
+  captureKey() {
+    if (this.capture) this.capture(null);
+    return new Promise(resolve => {
+      this.capture = key => {
+        this.capture = null;
+        resolve(key);
+      };
+    });
+  }
+}
+
+// 'swipeUp' etc. for a touch that moved (dx, dy), or null for a tap
+function getSwipeGesture(dx, dy) {
+  if (Math.max(Math.abs(dx), Math.abs(dy)) <= SWIPE_THRESHOLD) return null;
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return dx > 0 ? 'swipeRight' : 'swipeLeft';
+  }
+  return dy > 0 ? 'swipeDown' : 'swipeUp';
+}
+
+// Dialog listing the keys for the current game's actions, where each can
+// be rebound by pressing a new key
+class ControlsPanel {
+  // `actions` are the ones the game uses; onOpen / onClose let the game
+  // pause and hand the keyboard over
+  constructor(input, actions, { onOpen, onClose } = {}) {
+    this.input = input;
+    this.actions = actions;
+    this.onOpen = onOpen;
+    this.onClose = onClose;
+    this.root = document.getElementById('controls-panel');
+    this.list = document.getElementById('controls-list');
+    this.openButton = document.getElementById('btn-controls');
+    this.isOpen = false;
+    this.capturing = null; // Action waiting for a new key
+
+    if (!this.root) return;
+
+    if (this.openButton) {
+      this.openButton.addEventListener('click', e => {
+        e.preventDefault();
+        this.open();
+      });
+    }
+    document.getElementById('controls-reset').addEventListener('click', e => {
+      e.preventDefault();
+      this.input.resetBindings();
+      this.render();
+    });
+    document.getElementById('controls-close').addEventListener('click', e => {
+      e.preventDefault();
+      this.close();
+    });
+  }
+
+  open() {
+    if (!this.root || this.isOpen) return;
+    this.isOpen = true;
+    this.input.enabled = false;
+    if (this.onOpen) this.onOpen();
+    this.render();
+    this.root.hidden = false;
+  }
+
+  close() {
+    if (!this.root || !this.isOpen) return;
+    // Drop a pending capture so the next key goes to the game again
+    if (this.input.capture) this.input.capture(null);
+    this.isOpen = false;
+    this.input.enabled = true;
+    this.root.hidden = true;
+    if (this.onClose) this.onClose();
+  }
+
+  async rebind(action) {
+    this.capturing = action;
+    this.render();
+    const key = await this.input.captureKey();
+    // A click on another row may have taken over the capture
+    if (this.capturing === action) this.capturing = null;
+    if (key) this.input.setBinding('keys', action, [key]);
+    if (this.isOpen) this.render();
+  }
+
+  render() {
+    const rows = this.actions.map(action => {
+      const row = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'controls-action';
+      label.textContent = translate(INPUT_ACTIONS[action]);
+
+      const keys = this.input.bindings.keys[action] || [];
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'controls-key';
+      button.textContent =
+        this.capturing === action
+          ? translate('pressKey')
+          : keys.map(formatKeyName).join(' / ') || translate('noKey');
+      button.setAttribute(
+        'aria-label',
+        translate('changeKey', { action: label.textContent })
+      );
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        this.rebind(action);
+      });
+
+      row.append(label, button);
+      return row;
+    });
+    this.list.replaceChildren(...rows);
+  }
+}
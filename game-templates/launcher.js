@@ -0,0 +1,322 @@
+// launcher.js - Gallery of every template and topic
+//
+// Templates and topics come from the game server's API (tools/server.js,
+// ?server=<url> or the page's own origin) or, on a static host, from
+// game-assets/catalog.json written by tools/generate-games.js. Each topic
+// gets a card with its cover image (or a thumbnail drawn from its background
+// and character), the best score per template from localStorage and links
+// to ?template=<name>&topic=<topic>.
+//
+// Opening the launcher with both parameters starts that game. Unknown
+// templates or topics show the gallery with a notice instead of a game
+// that can't load.
+
+const LAUNCHER_CATALOG_URL = '../game-assets/catalog.json';
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 180;
+// Launcher parameters passed on to the games
+const LAUNCHER_KEPT_PARAMS = ['server', 'lang'];
+
+// Display name (string key) and storage prefix of the bundled templates;
+// other templates are shown by folder name with a camelCase prefix
+const LAUNCHER_TEMPLATES = {
+  'catch-it': { titleKey: 'catchItTitle', storagePrefix: 'catchIt' },
+  'collect-it': { titleKey: 'collectItTitle', storagePrefix: 'collectIt' },
+  'dodge-the-danger': { titleKey: 'dodgeTitle', storagePrefix: 'dodgeDanger' },
+};
+
+function getTemplateInfo(template) {
+  const known = LAUNCHER_TEMPLATES[template];
+  if (known) {
+    return {
+      title: translate(known.titleKey),
+      storagePrefix: known.storagePrefix,
+    };
+  }
+  return {
+    title: template,
+    storagePrefix: template.replace(/-(\w)/g, (match, char) =>
+      char.toUpperCase()
+    ),
+  };
+}
+
+// Highest score saved for a template / topic pair, over every difficulty,
+// assistive and daily leaderboard and best score (plus any old high score
+// key a game hasn't migrated yet), or null if it hasn't been played here. `topics` are all
+// topic names, so topic "a" doesn't pick up the boards of topic "a_b".
+function getBestScore(storagePrefix, topic, topics = []) {
+  const longer = topics.filter(other => other.startsWith(`${topic}_`));
+  const matches = (key, kind, name) => {
+    const base = `${storagePrefix}_${kind}_${name}`;
+    return key === base || key.startsWith(`${base}_`);
+  };
+  const isOwnKey = (key, kind) =>
+    matches(key, kind, topic) &&
+    !longer.some(other => matches(key, kind, other));
+
+  let best = null;
+  const consider = score => {
+    if (Number.isFinite(score) && (best === null || score > best)) {
+      best = score;
+    }
+  };
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (isOwnKey(key, 'leaderboard')) {
+        const entries = parseBoard(localStorage.getItem(key));
+        entries.forEach(entry => consider(entry && entry.score));
+      } else if (isOwnKey(key, 'best') || isOwnKey(key, 'highScore')) {
+        consider(parseInt(localStorage.getItem(key), 10));
+      }
+    }
+  } catch (error) {
+    // Storage disabled: nothing has been played here
+  }
+  return best;
+}
+
+// Entries of a stored leaderboard; unreadable boards count as empty
+function parseBoard(stored) {
+  try {
+    const entries = JSON.parse(stored);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// { templates, topics } with every topic as { topic, title, assets } and
+// asset URLs ready to load. Tries the game server first, then the catalog.
+async function loadLauncherCatalog() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const serverUrl = (
+    urlParams.get('server') ||
+    window.GAME_SERVER_URL ||
+    ''
+  ).replace(/\/+$/, '');
+
+  try {
+    const [templates, topics] = await Promise.all(
+      ['templates', 'topics'].map(async name => {
+        const response = await fetch(`${serverUrl}/api/${name}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return (await response.json())[name];
+      })
+    );
+    // The API also lists stories that don't have art yet
+    const origin = serverUrl || window.location.origin;
+    return {
+      templates,
+      topics: topics
+        .filter(topic => topic.hasFolder)
+        .map(topic => ({
+          ...topic,
+          assets: mapValues(topic.assets, url => new URL(url, origin).href),
+        })),
+    };
+  } catch (error) {
+    // No game server here; fall back to the static catalog
+  }
+
+  const response = await fetch(LAUNCHER_CATALOG_URL);
+  if (!response.ok) {
+    throw new Error(`${LAUNCHER_CATALOG_URL}: HTTP ${response.status}`);
+  }
+  const catalog = await response.json();
+  const folderUrl = new URL(LAUNCHER_CATALOG_URL, window.location.href);
+  return {
+    templates: catalog.templates,
+    topics: catalog.topics.map(topic => ({
+      ...topic,
+      assets: mapValues(
+        topic.assets,
+        file =>
+          new URL(`${encodeURIComponent(topic.topic)}/${file}`, folderUrl).href
+      ),
+    })),
+  };
+}
+
+function mapValues(object, transform) {
+  return Object.fromEntries(
+    Object.entries(object || {}).map(([key, value]) => [key, transform(value)])
+  );
+}
+
+// Canvas showing the topic's background with its character in front, for
+// topics without a cover image. Missing art falls back to the placeholder
+// background.
+async function createThumbnail(assets) {
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = THUMBNAIL_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const [background, character] = await Promise.all(
+    [assets.background, assets.character].map(src =>
+      loadImage(src).catch(() => null)
+    )
+  );
+
+  // Cover the frame, cropping the background's longer side
+  const backgroundImage = background || createPlaceholderSprite('background');
+  const scale = Math.max(
+    THUMBNAIL_WIDTH / backgroundImage.width,
+    THUMBNAIL_HEIGHT / backgroundImage.height
+  );
+  const width = backgroundImage.width * scale;
+  const height = backgroundImage.height * scale;
+  ctx.drawImage(
+    backgroundImage,
+    (THUMBNAIL_WIDTH - width) / 2,
+    (THUMBNAIL_HEIGHT - height) / 2,
+    width,
+    height
+  );
+
+  if (character) {
+    const size = THUMBNAIL_HEIGHT * 0.6;
+    ctx.drawImage(
+      character,
+      (THUMBNAIL_WIDTH - size) / 2,
+      THUMBNAIL_HEIGHT - size - 12,
+      size,
+      size
+    );
+  }
+  return canvas;
+}
+
+class Launcher {
+  constructor() {
+    this.gallery = document.getElementById('launcher-gallery');
+    this.status = document.getElementById('launcher-status');
+    this.notice = document.getElementById('launcher-notice');
+    this.catalog = null;
+  }
+
+  async init() {
+    localizeDocument();
+    const urlParams = new URLSearchParams(window.location.search);
+    const template = urlParams.get('template');
+    const topic = urlParams.get('topic');
+
+    try {
+      this.catalog = await loadLauncherCatalog();
+    } catch (error) {
+      console.error('Could not load the game list:', error);
+      this.status.textContent = translate('launcherUnavailable');
+      return;
+    }
+
+    const knownTemplate =
+      !template || this.catalog.templates.includes(template);
+    const knownTopic =
+      !topic || this.catalog.topics.some(entry => entry.topic === topic);
+    if (template && topic && knownTemplate && knownTopic) {
+      window.location.replace(this.gameUrl(template, topic));
+      return;
+    }
+    if (!knownTopic) {
+      this.showNotice(translate('unknownTopic', { topic }));
+    } else if (!knownTemplate) {
+      this.showNotice(translate('unknownTemplate', { template }));
+    }
+
+    this.status.hidden = true;
+    this.render(knownTopic ? topic : null);
+  }
+
+  showNotice(message) {
+    this.notice.textContent = message;
+    this.notice.hidden = false;
+  }
+
+  // `values` plus the launcher's own server / lang parameters
+  buildQuery(values) {
+    const current = new URLSearchParams(window.location.search);
+    const params = new URLSearchParams(values);
+    LAUNCHER_KEPT_PARAMS.forEach(name => {
+      if (current.get(name)) params.set(name, current.get(name));
+    });
+    return params.toString();
+  }
+
+  // The template's page for a topic
+  gameUrl(template, topic) {
+    const query = this.buildQuery({ topic });
+    return `${encodeURIComponent(template)}/index.html?${query}`;
+  }
+
+  // Deep link back to this launcher, which then opens the game
+  launcherUrl(template, topic) {
+    return `?${this.buildQuery({ template, topic })}`;
+  }
+
+  // One card per topic; `selected` is scrolled to and highlighted
+  render(selected) {
+    const cards = this.catalog.topics.map(topic => this.createCard(topic));
+    this.gallery.replaceChildren(...cards);
+
+    const card =
+      cards[this.catalog.topics.findIndex(t => t.topic === selected)];
+    if (card) {
+      card.classList.add('selected');
+      if (card.scrollIntoView) card.scrollIntoView({ block: 'center' });
+    }
+  }
+
+  createCard(topic) {
+    const card = document.createElement('li');
+    card.className = 'launcher-card';
+    card.id = `topic-${topic.topic}`;
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'launcher-thumbnail';
+    thumbnail.setAttribute('aria-hidden', 'true');
+    if (topic.assets.cover) {
+      const cover = document.createElement('img');
+      cover.src = topic.assets.cover;
+      cover.alt = '';
+      thumbnail.appendChild(cover);
+    } else {
+      createThumbnail(topic.assets).then(canvas =>
+        thumbnail.appendChild(canvas)
+      );
+    }
+
+    const title = document.createElement('h2');
+    title.textContent = getTopicTranslation(topic).title || topic.title;
+
+    const links = document.createElement('ul');
+    links.className = 'launcher-links';
+    this.catalog.templates.forEach(template => {
+      const info = getTemplateInfo(template);
+      const best = getBestScore(
+        info.storagePrefix,
+        topic.topic,
+        this.catalog.topics.map(entry => entry.topic)
+      );
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = this.launcherUrl(template, topic.topic);
+      link.textContent = info.title;
+      const score = document.createElement('span');
+      score.className = 'launcher-best';
+      score.textContent =
+        best === null
+          ? translate('notPlayed')
+          : translate('bestScore', { score: formatNumber(best) });
+      item.append(link, score);
+      links.appendChild(item);
+    });
+
+    card.append(thumbnail, title, links);
+    return card;
+  }
+}
+
+window.addEventListener('load', () => {
+  new Launcher().init();
+});
@@ -0,0 +1,294 @@
+// leaderboard.js - Per-topic top-N leaderboards with pluggable storage
+//
+// Each template/topic (plus rule variant and daily challenge) has its own
+// board, identified by `<storagePrefix>_leaderboard_<topic>[_<variant>]...`.
+// Entries look like:
+//
+//   { name: 'ABC', score: 12, date: '2025-05-01T10:00:00.000Z',
+//     meta: { seed, variant, daily, duration } }
+//
+// Boards are read and written through a storage adapter:
+//
+//   getEntries(boardId)       -> Promise<entries>, best first
+//   addEntry(boardId, entry)  -> Promise<entries> after inserting the entry
+//
+// LocalStorageLeaderboardAdapter keeps boards in localStorage (the default).
+// HttpLeaderboardAdapter talks to a score server, picked with
+// ?leaderboard=<url>, window.GAME_LEADERBOARD_URL, or the /api of the game
+// server (see getGameServerUrl):
+//
+//   GET  <url>/scores?board=<id>          -> { entries: [...] }
+//   POST <url>/scores  { board, entry }   -> { entries: [...] }
+
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_NAME_LENGTH = 12;
+// Name given to scores carried over from the old single high score keys
+const LEADERBOARD_LEGACY_NAME = '---';
+// Last name typed into the entry form, to prefill the next one
+const LEADERBOARD_NAME_KEY = 'leaderboard_lastName';
+
+// Best score first; ties go to whoever got there first
+function sortLeaderboardEntries(entries) {
+  return entries
+    .slice()
+    .sort(
+      (a, b) => b.score - a.score || (a.date || '').localeCompare(b.date || '')
+    );
+}
+
+// Trim a player name to something safe to show and store
+function sanitizeLeaderboardName(name) {
+  const cleaned = String(name || '')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, LEADERBOARD_NAME_LENGTH);
+  return cleaned || '???';
+}
+
+// Keep only well-formed entries from stored or fetched data
+function normalizeLeaderboardEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries.filter(
+    entry =>
+      entry &&
+      typeof entry.name === 'string' &&
+      typeof entry.score === 'number' &&
+      Number.isFinite(entry.score)
+  );
+}
+
+class LocalStorageLeaderboardAdapter {
+  constructor(storage = gameStorage, size = LEADERBOARD_SIZE) {
+    this.storage = storage;
+    this.size = size;
+  }
+
+  async getEntries(boardId) {
+    const stored = this.storage.get(boardId);
+    if (stored === null) return [];
+    try {
+      return sortLeaderboardEntries(
+        normalizeLeaderboardEntries(JSON.parse(stored))
+      );
+    } catch (error) {
+      console.warn(`Ignoring unreadable leaderboard "${boardId}"`, error);
+      return [];
+    }
+  }
+
+  async addEntry(boardId, entry) {
+    const entries = await this.getEntries(boardId);
+    const updated = sortLeaderboardEntries([...entries, entry]).slice(
+      0,
+      this.size
+    );
+    this.storage.set(boardId, JSON.stringify(updated));
+    return updated;
+  }
+}
+
+class HttpLeaderboardAdapter {
+  // `options.fetch` replaces the global fetch (e.g. in tests)
+  constructor(baseUrl, options = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async request(path, init) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, init);
+    if (!response.ok) {
+      throw new Error(`Leaderboard request failed: HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return sortLeaderboardEntries(normalizeLeaderboardEntries(data.entries));
+  }
+
+  getEntries(boardId) {
+    return this.request(`/scores?board=${encodeURIComponent(boardId)}`);
+  }
+
+  addEntry(boardId, entry) {
+    return this.request('/scores', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ board: boardId, entry }),
+    });
+  }
+}
+
+// Adapter for this page: a score server if one is configured, else local
+function getLeaderboardAdapter() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const gameServerUrl = getGameServerUrl();
+  const serverUrl =
+    urlParams.get('leaderboard') ||
+    window.GAME_LEADERBOARD_URL ||
+    (gameServerUrl && `${gameServerUrl}/api`);
+  if (serverUrl) {
+    return new HttpLeaderboardAdapter(serverUrl);
+  }
+  return new LocalStorageLeaderboardAdapter();
+}
+
+class Leaderboard {
+  constructor(adapter, boardId, size = LEADERBOARD_SIZE) {
+    this.adapter = adapter;
+    this.boardId = boardId;
+    this.size = size;
+    this.entries = [];
+  }
+
+  get best() {
+    return this.entries.length > 0 ? this.entries[0].score : 0;
+  }
+
+  // A failing backend leaves an empty board rather than breaking the game
+  async load() {
+    try {
+      this.entries = (await this.adapter.getEntries(this.boardId)).slice(
+        0,
+        this.size
+      );
+    } catch (error) {
+      console.warn(`Could not load leaderboard "${this.boardId}"`, error);
+      this.entries = [];
+    }
+    return this.entries;
+  }
+
+  // Whether a score earns a place on the board
+  qualifies(score) {
+    if (score <= 0) return false;
+    if (this.entries.length < this.size) return true;
+    return score > this.entries[this.entries.length - 1].score;
+  }
+
+  // Add a score and return the stored entry. If the backend fails the entry
+  // is still shown on the local copy of the board.
+  async submit(name, score, meta = {}, date = new Date().toISOString()) {
+    const entry = { name: sanitizeLeaderboardName(name), score, date, meta };
+    try {
+      this.entries = (await this.adapter.addEntry(this.boardId, entry)).slice(
+        0,
+        this.size
+      );
+    } catch (error) {
+      console.warn(`Could not save to leaderboard "${this.boardId}"`, error);
+      this.entries = sortLeaderboardEntries([...this.entries, entry]).slice(
+        0,
+        this.size
+      );
+    }
+    return entry;
+  }
+
+  // Move a pre-leaderboard `<prefix>_highScore_<topic>` value onto the board
+  async migrateLegacyHighScore(legacyKey) {
+    const stored = gameStorage.get(legacyKey);
+    if (stored === null) return;
+
+    const score = parseInt(stored, 10) || 0;
+    if (score > 0 && !this.entries.some(entry => entry.score >= score)) {
+      await this.submit(
+        LEADERBOARD_LEGACY_NAME,
+        score,
+        { migrated: true },
+        null
+      );
+    }
+    gameStorage.remove(legacyKey);
+  }
+}
+
+// Game over panel: a name form when the score made the board, and the
+// board itself. Uses the #leaderboard-* elements from the template page.
+class LeaderboardPanel {
+  constructor() {
+    this.root = document.getElementById('leaderboard-panel');
+    this.form = document.getElementById('leaderboard-form');
+    this.nameInput = document.getElementById('leaderboard-name');
+    this.list = document.getElementById('leaderboard-list');
+    this.skipButton = document.getElementById('leaderboard-skip');
+    this.playAgainButton = document.getElementById('leaderboard-play-again');
+    this.leaderboard = null;
+    this.handlers = {};
+    this.isOpen = false;
+    // True while the name form is waiting, so restart keys don't skip it
+    this.awaitingEntry = false;
+
+    if (!this.root) return;
+
+    this.form.addEventListener('submit', e => {
+      e.preventDefault();
+      this.submitName();
+    });
+    this.skipButton.addEventListener('click', e => {
+      e.preventDefault();
+      this.awaitingEntry = false;
+      this.form.hidden = true;
+    });
+    this.playAgainButton.addEventListener('click', e => {
+      e.preventDefault();
+      this.close();
+      if (this.handlers.onPlayAgain) this.handlers.onPlayAgain();
+    });
+  }
+
+  // options: { allowEntry, onSubmit(name) -> Promise<entry>, onPlayAgain() }
+  open(leaderboard, options) {
+    if (!this.root) return;
+    this.leaderboard = leaderboard;
+    this.handlers = options;
+    this.isOpen = true;
+    this.awaitingEntry = options.allowEntry;
+    this.form.hidden = !options.allowEntry;
+    this.nameInput.value = gameStorage.get(LEADERBOARD_NAME_KEY) || '';
+    this.renderEntries(leaderboard.entries);
+    this.root.hidden = false;
+    if (options.allowEntry) this.nameInput.focus();
+  }
+
+  close() {
+    if (!this.root) return;
+    this.isOpen = false;
+    this.awaitingEntry = false;
+    this.root.hidden = true;
+  }
+
+  async submitName() {
+    if (!this.awaitingEntry) return;
+    this.awaitingEntry = false;
+    this.form.hidden = true;
+
+    const name = sanitizeLeaderboardName(this.nameInput.value);
+    gameStorage.set(LEADERBOARD_NAME_KEY, name);
+    const entry = await this.handlers.onSubmit(name);
+    this.renderEntries(this.leaderboard.entries, entry);
+  }
+
+  // Rows are built with textContent, since names can come from a server
+  renderEntries(entries, highlight) {
+    const rows = entries.map(entry => {
+      const row = document.createElement('li');
+      if (
+        highlight &&
+        entry.name === highlight.name &&
+        entry.score === highlight.score &&
+        entry.date === highlight.date
+      ) {
+        row.classList.add('highlight');
+      }
+
+      const name = document.createElement('span');
+      name.className = 'leaderboard-entry-name';
+      name.textContent = entry.name;
+      const score = document.createElement('span');
+      score.className = 'leaderboard-entry-score';
+      score.textContent = String(entry.score);
+
+      row.append(name, score);
+      return row;
+    });
+    this.list.replaceChildren(...rows);
+  }
+}
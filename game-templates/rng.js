@@ -0,0 +1,62 @@
+// rng.js - Seedable pseudo-random number generator and daily challenge seeds
+//
+// Every random decision in a run goes through the engine's `this.rng`, so the
+// same seed always produces the same layout. Seeds come from the URL:
+//   ?seed=<anything>   replay a specific run
+//   ?daily=1           today's challenge for this topic (same for everyone)
+
+// Hash a string seed into a 32-bit integer (FNV-1a)
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32 - small, fast and good enough for game layouts
+function createRng(seed) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: String(seed),
+    // Float in [0, 1), like Math.random()
+    next,
+    // Float in [min, max)
+    range: (min, max) => min + next() * (max - min),
+    // Integer in [0, max)
+    int: max => Math.floor(next() * max),
+  };
+}
+
+// Today's date as YYYY-MM-DD in UTC, so every reader gets the same challenge
+function getDailyDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Work out how runs should be seeded from the URL. `seed` is null when runs
+// should be random; `daily` is the date key when playing the daily challenge.
+function getRunSeedConfig(topic) {
+  const urlParams = new URLSearchParams(window.location.search);
+  const daily = urlParams.get('daily');
+
+  if (daily && daily !== '0' && daily !== 'false') {
+    const dateKey = getDailyDateKey();
+    return { seed: `daily:${dateKey}:${topic}`, daily: dateKey };
+  }
+  return { seed: urlParams.get('seed') || null, daily: null };
+}
+
+// Random seed for a free-play run, short enough to share as ?seed=
+function createRandomSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
@@ -0,0 +1,214 @@
+// share.js - Result cards for the game over screen
+//
+// createResultCard() draws the run onto an offscreen canvas (topic
+// background, character, score, high score and story title; mirrored for
+// right-to-left languages). shareResult()
+// sends it through the Web Share API, or where sharing files isn't
+// supported downloads the image and copies a deep link to the game. If the
+// card can't be exported (art from a server without CORS taints the
+// canvas), the text and link are shared on their own.
+
+const RESULT_CARD_WIDTH = 1200;
+const RESULT_CARD_HEIGHT = 630;
+// URL parameters a deep link keeps, so it reopens the same game and rules
+const SHARE_URL_PARAMS = ['topic', 'difficulty', 'mode', 'daily', 'seed'];
+
+// Split text into lines that fit maxWidth, capped at maxLines (the last
+// line gets an ellipsis if text was cut)
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += '…';
+  }
+  return lines;
+}
+
+// Link that reopens this template with the same topic (and rule params)
+function buildShareUrl() {
+  const current = new URL(window.location.href);
+  const url = new URL(current.pathname, current.href);
+  SHARE_URL_PARAMS.forEach(name => {
+    const value = current.searchParams.get(name);
+    if (value) url.searchParams.set(name, value);
+  });
+  return url.toString();
+}
+
+function createResultCard(game) {
+  const canvas = document.createElement('canvas');
+  canvas.width = RESULT_CARD_WIDTH;
+  canvas.height = RESULT_CARD_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  const font = game.hudStyle.font;
+
+  // Background art, darkened so the text stays readable
+  if (game.images.background) {
+    ctx.drawImage(game.images.background, 0, 0, width, height);
+  } else {
+    ctx.fillStyle = '#223';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(0, 0, width, height);
+
+  // Character on the start side, text beside it
+  const rtl = isRtl();
+  const mirror = x => (rtl ? width - x : x);
+  ctx.direction = GAME_LOCALE.dir;
+
+  if (game.images.character) {
+    ctx.drawImage(
+      game.images.character,
+      rtl ? width - 400 : 80,
+      height / 2 - 160,
+      320,
+      320
+    );
+  }
+
+  const textX = mirror(460);
+  const textWidth = width - 460 - 60;
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'start';
+
+  const title = game.story
+    ? game.story.title
+    : GAME_ASSETS.title || document.title;
+  ctx.font = `bold 40px ${font}`;
+  const titleLines = wrapText(ctx, title, textWidth, 3);
+  titleLines.forEach((line, i) => {
+    ctx.fillText(line, textX, 120 + i * 48);
+  });
+
+  const scoreY = 120 + titleLines.length * 48 + 70;
+  ctx.font = `bold 96px ${font}`;
+  ctx.fillText(formatNumber(game.score), textX, scoreY + 40);
+  ctx.font = `32px ${font}`;
+  ctx.fillText(translate('points'), textX, scoreY + 90);
+
+  ctx.fillStyle = game.isNewHighScore ? '#ff0' : '#fff';
+  ctx.fillText(
+    game.isNewHighScore
+      ? translate('newHighScore')
+      : translate('highScore', { score: formatNumber(game.highScore) }),
+    textX,
+    scoreY + 140
+  );
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.font = `24px ${font}`;
+  ctx.textAlign = 'end';
+  ctx.fillText(document.title, mirror(width - 40), height - 30);
+
+  return canvas;
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Could not create the result image'));
+      }
+    }, 'image/png');
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The result card as a PNG, or null if the canvas can't be read back
+async function createResultImage(game) {
+  try {
+    return await canvasToBlob(createResultCard(game));
+  } catch (error) {
+    console.warn('Result image unavailable, sharing text only', error);
+    return null;
+  }
+}
+
+// Share the text and link without an image: the share sheet if there is
+// one, else the link is copied
+async function shareText(text, url) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: document.title, text, url });
+      return { method: 'share', url, linkCopied: false };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { method: 'cancelled', url, linkCopied: false };
+      }
+      console.warn('Sharing failed, copying the link instead', error);
+    }
+  }
+  return { method: 'link', url, linkCopied: await copyText(url) };
+}
+
+// Share the run. Resolves with { method: 'share' | 'download' | 'link' |
+// 'cancelled', url, linkCopied }.
+async function shareResult(game) {
+  const url = buildShareUrl();
+  const text = translate('shareText', {
+    score: formatNumber(game.score),
+    title: document.title,
+  });
+  const blob = await createResultImage(game);
+  if (!blob) return shareText(text, url);
+
+  const filename = `${game.storagePrefix}-${game.topic}-${game.score}.png`;
+  const file = new File([blob], filename, { type: 'image/png' });
+
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({
+        files: [file],
+        title: document.title,
+        text,
+        url,
+      });
+      return { method: 'share', url, linkCopied: false };
+    } catch (error) {
+      // Closing the share sheet isn't a failure worth falling back from
+      if (error.name === 'AbortError') {
+        return { method: 'cancelled', url, linkCopied: false };
+      }
+      console.warn('Sharing failed, downloading instead', error);
+    }
+  }
+
+  downloadBlob(blob, filename);
+  return { method: 'download', url, linkCopied: await copyText(url) };
+}
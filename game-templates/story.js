@@ -0,0 +1,107 @@
+// story.js - The news story behind a topic, shown on the loading overlay and
+// the game over screen
+//
+// tools/generate-games.js copies each inventory.csv row into topic.json as
+// `extras.story` = { id, topic, title, summary, source: { label, url } }.
+// Hand-written manifests may have no story (the manifest title and
+// description are used instead) or a raw markdown `source` string such as
+// "([fox10tv.com](https://...))". A topic translation for the page language
+// (assets.localized, see i18n.js) replaces the title and summary.
+
+// Pull { label, url } out of a parsed source object, a markdown link or a
+// bare URL. Only http(s) links are accepted.
+function parseStorySource(source) {
+  if (!source) return null;
+
+  let label = '';
+  let url = '';
+  if (typeof source === 'object') {
+    label = source.label || '';
+    url = source.url || '';
+  } else {
+    const text = String(source).trim();
+    const match = text.match(/\[([^\]]*)\]\(\s*(\S+?)\s*\)/);
+    if (match) {
+      label = match[1].trim();
+      url = match[2];
+    } else {
+      url = text;
+    }
+  }
+
+  if (!/^https?:\/\/\S+$/i.test(url)) return null;
+  // The pattern lets through links the browser can't parse (a bad port, say)
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (!label) {
+    label = parsed.hostname.replace(/^www\./, '');
+  }
+  return { label, url };
+}
+
+// { title, summary, source } for the loaded topic, or null if there is
+// nothing worth showing (no manifest, or an untitled story)
+function getTopicStory(assets) {
+  if (assets.manifestError) return null;
+
+  const story = (assets.extras && assets.extras.story) || {};
+  const localized = assets.localized || {};
+  const title = (
+    localized.title ||
+    story.title ||
+    story.topic ||
+    assets.title ||
+    ''
+  ).trim();
+  if (!title) return null;
+
+  return {
+    title,
+    summary: (
+      localized.summary ||
+      story.summary ||
+      assets.description ||
+      ''
+    ).trim(),
+    source: parseStorySource(story.source),
+  };
+}
+
+// Fill `container` with the story. Built with textContent since titles
+// come straight from the CSV. An empty story hides the container.
+function renderStory(container, story) {
+  if (!container) return;
+  if (!story) {
+    container.hidden = true;
+    return;
+  }
+
+  const title = document.createElement('h2');
+  title.className = 'story-title';
+  title.textContent = story.title;
+  const parts = [title];
+
+  if (story.summary) {
+    const summary = document.createElement('p');
+    summary.className = 'story-summary';
+    summary.textContent = story.summary;
+    parts.push(summary);
+  }
+
+  if (story.source) {
+    const link = document.createElement('a');
+    link.className = 'story-link';
+    link.href = story.source.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = translate('readStory', { source: story.source.label });
+    parts.push(link);
+  }
+
+  container.replaceChildren(...parts);
+  container.hidden = false;
+}
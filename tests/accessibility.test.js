@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+test('the live region mirrors the score and game state', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=a11y' });
+  const { game } = sim;
+  const announcer = sim.element('game-announcer');
+  assert.strictEqual(announcer.textContent, 'Game started. Score 0');
+
+  game.item = new (sim.get('Item'))(game.config, 11, 10);
+  sim.advanceUntil(() => game.score === 1);
+  assert.strictEqual(announcer.textContent, 'Score 1');
+
+  sim.press('p');
+  assert.strictEqual(announcer.textContent, 'Paused. Press P or tap to resume');
+  sim.press('p');
+  assert.strictEqual(announcer.textContent, 'Resuming in 3 seconds');
+  sim.advanceUntil(() => game.isPlaying, 5);
+  assert.strictEqual(announcer.textContent, 'Resumed. Score 1');
+
+  sim.advanceUntil(() => game.gameOver);
+  assert.strictEqual(
+    announcer.textContent,
+    'Game over. Score 1. New high score!'
+  );
+});
+
+test('high contrast draws the HUD in white on black boxes', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const scoreColor = () =>
+    sim.game.ctx.texts.find(entry => entry.text.startsWith('Score')).fillStyle;
+  sim.advance(0.1);
+  assert.strictEqual(scoreColor(), '#000');
+
+  const checkbox = sim.element('a11y-highContrast');
+  assert.strictEqual(checkbox.checked, false);
+  checkbox.checked = true;
+  checkbox.dispatchEvent(new (sim.get('Event'))('change'));
+  sim.advance(0.1);
+
+  assert.strictEqual(scoreColor(), '#fff');
+  assert.ok(sim.document.body.classList.contains('high-contrast'));
+  assert.strictEqual(sim.storage.getItem('a11y_highContrast'), '1');
+
+  // The URL parameter overrides the saved choice
+  const fromUrl = await loadGame('dodge-the-danger', {
+    search: '?topic=1&contrast=normal',
+    storage: { a11y_highContrast: '1' },
+  });
+  assert.strictEqual(fromUrl.game.highContrast, false);
+});
+
+test('assistive speed slows both games and keeps its own leaderboard', async () => {
+  const dodge = await loadGame('dodge-the-danger', {
+    search: '?topic=1&speed=assist',
+  });
+  const { game } = dodge;
+  assert.strictEqual(game.speedScale, 0.6);
+  assert.strictEqual(game.pipeSpeed, 200 * 0.6);
+  assert.strictEqual(game.gravity, 1500 * 0.6 * 0.6);
+  assert.strictEqual(
+    game.leaderboard.boardId,
+    'dodgeDanger_leaderboard_1_assist'
+  );
+
+  dodge.advance(0.2);
+  dodge.press(' ');
+  assert.strictEqual(game.bird.velocity, game.jumpVelocity * 0.6);
+
+  const collect = await loadGame('collect-it', { search: '?topic=1' });
+  const normalSpeed = collect.game.gameSpeed;
+  // Switching mid-run waits for the next game
+  collect.game.accessibility.set('assistiveSpeed', true);
+  assert.strictEqual(collect.game.gameSpeed, normalSpeed);
+  collect.advanceUntil(() => collect.game.gameOver);
+  collect.click('leaderboard-skip');
+  collect.tap();
+  await collect.flush();
+  assert.strictEqual(collect.game.gameSpeed, normalSpeed / 0.6);
+  assert.strictEqual(
+    collect.game.leaderboard.boardId,
+    'collectIt_leaderboard_1_assist'
+  );
+});
+
+test('reduced motion stops the background scroll and bird rotation', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1',
+    media: { '(prefers-reduced-motion: reduce)': true },
+  });
+  const { game } = sim;
+  assert.strictEqual(game.reducedMotion, true);
+
+  sim.advance(0.5);
+  assert.strictEqual(game.bgX, 0);
+  const rotations = game.ctx.calls.filter(([name]) => name === 'rotate');
+  assert.ok(rotations.length > 0);
+  assert.ok(rotations.every(([, angle]) => angle === 0));
+
+  const moving = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  moving.advance(0.5);
+  assert.ok(moving.game.bgX < 0);
+});
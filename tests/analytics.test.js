@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+// Load a game with an in-memory sink and return it alongside the sim
+async function loadWithMemorySink(template, options = {}) {
+  const sim = await loadGame(template, {
+    ...options,
+    window: { GAME_ANALYTICS: ['memory'], ...options.window },
+  });
+  const sink = sim.game.analytics.getSink(sim.get('MemoryAnalyticsSink'));
+  return { sim, sink };
+}
+
+// Copy values out of the game's vm realm so deepStrictEqual compares shapes
+const plain = value => JSON.parse(JSON.stringify(value));
+const names = sink => plain(sink.events.map(event => event.name));
+
+test('a collect-it run reports load, start, items and game over', async () => {
+  const { sim, sink } = await loadWithMemorySink('collect-it', {
+    search: '?topic=1&seed=events',
+  });
+  const { game } = sim;
+  game.item = new (sim.get('Item'))(game.config, 11, 10);
+  sim.advanceUntil(() => game.gameOver);
+  game.analytics.flush();
+
+  assert.deepStrictEqual(names(sink), [
+    'load',
+    'game_start',
+    'item_collected',
+    'game_over',
+  ]);
+  assert.ok(sink.events.every(event => event.topic === '1'));
+  assert.ok(sink.events.every(event => event.template === 'collectIt'));
+
+  const [gameOver] = sink.named('game_over');
+  assert.strictEqual(gameOver.data.score, 1);
+  assert.ok(gameOver.data.duration > 0);
+  assert.strictEqual(sink.named('game_start')[0].data.seed, 'events');
+});
+
+test('dodge-the-danger reports passed pipes and restarts', async () => {
+  const { sim, sink } = await loadWithMemorySink('dodge-the-danger', {
+    search: '?topic=1&seed=events',
+  });
+  const { game } = sim;
+  game.profile.gravity = [[0, 0]];
+  game.gravity = 0;
+  sim.advanceUntil(() => game.score === 1, 5);
+  game.endGame();
+  sim.click('leaderboard-skip');
+  sim.tap();
+  game.analytics.flush();
+
+  assert.deepStrictEqual(names(sink).slice(-4), [
+    'pipe_passed',
+    'game_over',
+    'restart',
+    'game_start',
+  ]);
+  assert.strictEqual(sink.named('restart')[0].data.previousScore, 1);
+  assert.strictEqual(sink.named('game_start')[1].data.run, 2);
+});
+
+test('asset fallbacks are reported', async () => {
+  const { sim, sink } = await loadWithMemorySink('collect-it', {
+    search: '?topic=1',
+    failingImages: ['game-assets/1/item.png'],
+    console: { ...console, warn() {} },
+  });
+  sim.game.analytics.flush();
+
+  const [fallback] = sink.named('asset_fallback');
+  assert.deepStrictEqual(plain(fallback.data), {
+    fallbacks: [{ slot: 'item', source: 'placeholder' }],
+  });
+  assert.strictEqual(sink.named('load')[0].data.fallbacks, 1);
+});
+
+test('events are batched until the batch fills or the delay passes', async () => {
+  const { sim, sink } = await loadWithMemorySink('collect-it', {
+    search: '?topic=1',
+  });
+  const bus = sim.game.analytics;
+
+  assert.strictEqual(sink.events.length, 0);
+  sim.clock.tick(bus.flushDelay);
+  assert.deepStrictEqual(names(sink), ['load', 'game_start']);
+
+  for (let i = 0; i < bus.batchSize; i++) bus.track('ping');
+  assert.strictEqual(sink.named('ping').length, bus.batchSize);
+});
+
+test('the beacon sink posts batches to the configured endpoint', async () => {
+  const beacons = [];
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1&analyticsEndpoint=https://stats.example/collect',
+    navigator: {
+      sendBeacon: (url, blob) => {
+        beacons.push({ url, blob });
+        return true;
+      },
+    },
+  });
+  sim.setHidden(true); // leaving the page flushes the queue
+
+  assert.strictEqual(beacons.length, 1);
+  assert.strictEqual(beacons[0].url, 'https://stats.example/collect');
+  const { events } = JSON.parse(await beacons[0].blob.text());
+  assert.deepStrictEqual(
+    events.map(event => event.name),
+    ['load', 'game_start']
+  );
+});
+
+test('opting out stops all events and is remembered', async () => {
+  const { sim, sink } = await loadWithMemorySink('collect-it', {
+    search: '?topic=1',
+  });
+  sim.game.analytics.setOptOut(true);
+  sim.game.endGame();
+  sim.game.analytics.flush();
+
+  assert.strictEqual(sink.events.length, 0);
+  assert.strictEqual(sim.storage.getItem('analytics_optOut'), '1');
+
+  const next = await loadWithMemorySink('collect-it', {
+    search: '?topic=1',
+    storage: sim.storage.dump(),
+  });
+  next.sim.game.analytics.flush();
+  assert.strictEqual(next.sink.events.length, 0);
+
+  const viaUrl = await loadWithMemorySink('collect-it', {
+    search: '?topic=1&analytics=off',
+  });
+  viaUrl.sim.game.analytics.flush();
+  assert.strictEqual(viaUrl.sink.events.length, 0);
+});
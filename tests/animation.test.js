@@ -0,0 +1,276 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Serve one topic.json for every manifest request
+const serveManifest = manifest => async () => ({
+  ok: true,
+  status: 200,
+  json: async () => manifest,
+});
+
+// Harness images are 100x100, so 50px frames make a 2x2 sheet
+const animatedBird = {
+  title: 'Flappy',
+  assets: {
+    character: 'bird.png',
+    'character-sheet': 'bird-sheet.png',
+    item: 'pipe.png',
+  },
+  extras: {
+    animations: {
+      character: {
+        sheet: 'character-sheet',
+        frameWidth: 50,
+        frameHeight: 50,
+        clips: {
+          idle: { frames: [0, 1], fps: 4 },
+          flap: { frames: [2, 3], fps: 10, loop: false, next: 'idle' },
+          hit: { frames: [3] },
+        },
+      },
+      // A clip on art the topic doesn't have is skipped
+      item: { frames: ['pipe-2', 'item'] },
+    },
+  },
+};
+
+test('clips step through their frames and hand over when they end', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const SpriteAnimation = sim.get('SpriteAnimation');
+  const animation = new SpriteAnimation(['a', 'b', 'c'], {
+    move: { fps: 10 },
+    hit: { frames: [2, 0], durations: [300, 100], loop: false, next: 'gone' },
+  });
+  assert.strictEqual(animation.defaultClip, 'move');
+
+  const player = animation.createPlayer();
+  player.update(0.25);
+  assert.strictEqual(player.frame, 'c');
+  player.update(0.1);
+  assert.strictEqual(player.frame, 'a'); // looped
+
+  // Unknown clips are ignored; `next` only applies when the clip exists
+  player.play('fly');
+  assert.strictEqual(player.clipName, 'move');
+  player.play('hit');
+  player.update(0.35);
+  assert.strictEqual(player.frame, 'a');
+  player.update(5);
+  assert.strictEqual(player.frame, 'a');
+  assert.strictEqual(player.finished, true);
+
+  // Rates that aren't positive play at the default 8 fps
+  for (const fps of [-4, 0, Infinity, '12']) {
+    const clip = new SpriteAnimation(['a', 'b'], { idle: { fps } }).clips.idle;
+    assert.deepStrictEqual(plain(clip.durations), [125, 125]);
+  }
+  const fallback = new SpriteAnimation(['a', 'b'], { idle: { fps: -4 } });
+  const stepped = fallback.createPlayer();
+  stepped.update(0.2);
+  assert.strictEqual(stepped.frame, 'b');
+
+  assert.throws(
+    () => new SpriteAnimation(['a'], { idle: { frames: [0, 4] } }),
+    /missing frame 4/
+  );
+});
+
+test('the bird flaps, idles and shows its hit frame from a sprite sheet', async () => {
+  const warnings = [];
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=flappy',
+    fetch: serveManifest(animatedBird),
+    console: { ...console, warn: message => warnings.push(message) },
+  });
+  const { game } = sim;
+  assert.deepStrictEqual(Object.keys(game.animations), ['character']);
+  assert.match(warnings.join('\n'), /"item" skipped: no asset "pipe-2"/);
+
+  const player = game.birdAnimation;
+  assert.strictEqual(player.clipName, 'idle');
+  sim.press(' ');
+  assert.strictEqual(player.clipName, 'flap');
+  sim.advance(0.1);
+  assert.deepStrictEqual(plain({ x: player.frame.x, y: player.frame.y }), {
+    x: 50,
+    y: 50,
+  });
+  sim.advance(0.15);
+  assert.strictEqual(player.clipName, 'idle');
+
+  // Frames are cut out of the sheet when drawn
+  const sheetDraws = game.ctx.calls.filter(
+    ([name, image, ...args]) =>
+      name === 'drawImage' &&
+      image.src.endsWith('bird-sheet.png') &&
+      args.length === 8
+  );
+  assert.ok(sheetDraws.length > 0);
+
+  sim.advanceUntil(() => game.gameOver, 10);
+  assert.strictEqual(player.clipName, 'hit');
+  game.restart();
+  assert.strictEqual(player.clipName, 'idle');
+});
+
+test('the catcher walks, idles and shows its hit frame; items animate', async () => {
+  const sim = await loadGame('catch-it', {
+    search: '?topic=basket',
+    fetch: serveManifest({
+      title: 'Basket',
+      assets: {
+        'character-sheet': 'basket-sheet.png',
+        item: 'apple.png',
+        'item-2': 'apple-2.png',
+      },
+      extras: {
+        animations: {
+          character: {
+            sheet: 'character-sheet',
+            frameWidth: 50,
+            frameHeight: 50,
+            clips: {
+              idle: { frames: [0] },
+              move: { frames: [1, 2], fps: 10 },
+              hit: { frames: [3], loop: false, next: 'idle' },
+            },
+          },
+          item: { frames: ['item', 'item-2'], clips: { idle: { fps: 10 } } },
+        },
+      },
+    }),
+    console: { ...console, warn() {} },
+  });
+  const { game } = sim;
+  game.spawnTimer = Infinity;
+  const catcher = game.catcherAnimation;
+  assert.strictEqual(catcher.clipName, 'idle');
+
+  sim.hold('ArrowRight');
+  sim.advance(0.05);
+  assert.strictEqual(catcher.clipName, 'move');
+  sim.release('ArrowRight');
+  sim.advance(0.05);
+  assert.strictEqual(catcher.clipName, 'idle');
+
+  // Every falling item draws the item clip's current frame
+  const FallingObject = sim.get('FallingObject');
+  game.objects.push(new FallingObject('item', 0, 48, 0));
+  const drawnItems = () =>
+    game.ctx.calls
+      .filter(([name, image]) => name === 'drawImage' && image.src)
+      .map(([, image]) => String(image.src).split('/').pop())
+      .filter(file => file.startsWith('apple'));
+  game.ctx.calls.length = 0;
+  sim.advance(0.25);
+  assert.ok(drawnItems().includes('apple.png'));
+  assert.ok(drawnItems().includes('apple-2.png'));
+
+  // A hit plays through, even while the catcher keeps moving
+  const hazard = new FallingObject('hazard', game.catcher.x, 44, 0);
+  hazard.y = game.catcher.y;
+  game.objects.push(hazard);
+  sim.hold('ArrowLeft');
+  sim.advance(1 / 60);
+  assert.strictEqual(game.lives, game.config.lives - 1);
+  assert.strictEqual(catcher.clipName, 'hit');
+  sim.advance(0.2);
+  assert.strictEqual(catcher.clipName, 'move');
+  sim.release('ArrowLeft');
+
+  game.restart();
+  assert.strictEqual(catcher.clipName, 'idle');
+});
+
+test('topics without animations draw their still images', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  assert.deepStrictEqual(plain(sim.game.animations), {});
+  assert.strictEqual(sim.game.birdAnimation, null);
+  sim.advance(0.2);
+  assert.ok(
+    sim.game.ctx.calls.some(
+      ([name, image, ...args]) =>
+        name === 'drawImage' &&
+        image === sim.game.images.character &&
+        args.length === 4
+    )
+  );
+});
+
+test('the snake head turns to face where it is going', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=turn' });
+  const { game } = sim;
+  const headDraws = () =>
+    game.ctx.calls.filter(
+      ([name, image]) => name === 'drawImage' && image === game.images.character
+    ).length;
+  const lastTransform = () =>
+    game.ctx.calls
+      .filter(([name]) => name === 'rotate' || name === 'scale')
+      .pop();
+
+  sim.press('ArrowDown');
+  sim.advance(0.25);
+  assert.ok(headDraws() > 0);
+  assert.deepStrictEqual(lastTransform(), ['rotate', Math.PI / 2]);
+
+  sim.press('ArrowLeft');
+  sim.advance(0.25);
+  assert.deepStrictEqual(lastTransform(), ['scale', -1, 1]);
+});
+
+test('snake segments use the body, tail and turn sprites', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=snake',
+    fetch: serveManifest({
+      title: 'Snake',
+      assets: {
+        character: 'head.png',
+        item: 'apple.png',
+        body: 'body.png',
+        tail: 'tail.png',
+        turn: 'turn.png',
+      },
+    }),
+    console: { ...console, warn() {} },
+  });
+  const { game } = sim;
+  assert.ok(game.images.body.src.endsWith('body.png'));
+  assert.ok(game.images.turn.src.endsWith('turn.png'));
+
+  const sprites = { head: 'h', body: 'b', tail: 't', turn: 'c', item: 'i' };
+  const character = game.character;
+  // Heading up after turning: head, corner, straight body, tail
+  character.segments = [
+    { x: 2, y: 2 },
+    { x: 2, y: 3 },
+    { x: 1, y: 3 },
+    { x: 0, y: 3 },
+  ];
+  character.direction = { x: 0, y: -1 };
+  const parts = [0, 1, 2, 3].map(i => plain(character.segmentPart(i, sprites)));
+  assert.deepStrictEqual(parts, [
+    { sprite: 'h', direction: { x: 0, y: -1 } },
+    { sprite: 'c', corner: 1 },
+    { sprite: 'b', direction: { x: 1, y: 0 } },
+    { sprite: 't', direction: { x: 1, y: 0 } },
+  ]);
+
+  // Topics without segment art show the item on every segment, unturned
+  const itemsOnly = { head: 'h', item: 'i' };
+  assert.deepStrictEqual(
+    [1, 2, 3].map(i => plain(character.segmentPart(i, itemsOnly))),
+    [{ sprite: 'i' }, { sprite: 'i' }, { sprite: 'i' }]
+  );
+
+  sim.advance(0.1);
+  const drawn = game.ctx.calls
+    .filter(([name]) => name === 'drawImage')
+    .map(([, image]) => String(image.src).split('/').pop());
+  for (const file of ['head.png', 'turn.png', 'body.png', 'tail.png']) {
+    assert.ok(drawn.includes(file), file);
+  }
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+// Just enough of WebAudio to record what gets played
+function createFakeAudio() {
+  const started = [];
+  const param = () => ({
+    value: 1,
+    setValueAtTime() {},
+    exponentialRampToValueAtTime() {},
+  });
+  const node = extra => ({ connect() {}, ...extra });
+
+  class FakeAudioContext {
+    constructor() {
+      this.state = 'suspended';
+      this.currentTime = 0;
+      this.sampleRate = 44100;
+      this.destination = node();
+    }
+    resume() {
+      this.state = 'running';
+      return Promise.resolve();
+    }
+    createGain() {
+      return node({ gain: param() });
+    }
+    createBiquadFilter() {
+      return node({ frequency: param() });
+    }
+    createBuffer(channels, length) {
+      return { getChannelData: () => new Float32Array(length) };
+    }
+    createOscillator() {
+      const oscillator = node({
+        frequency: param(),
+        start: () => started.push({ type: 'oscillator' }),
+        stop() {},
+      });
+      return oscillator;
+    }
+    createBufferSource() {
+      const source = node({
+        start: () =>
+          started.push({ type: 'buffer', buffer: source.buffer, source }),
+        stop: () => {
+          source.stopped = true;
+        },
+      });
+      return source;
+    }
+    async decodeAudioData(data) {
+      return { decoded: data };
+    }
+  }
+
+  return { started, globals: { AudioContext: FakeAudioContext } };
+}
+
+// Topic manifest with its own sounds; sound files decode to their URL
+const soundTopicFetch = async url => {
+  if (String(url).endsWith('topic.json')) {
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        title: 'Loud topic',
+        assets: { 'sfx-flap': 'flap.mp3', music: 'loop.ogg' },
+      }),
+    };
+  }
+  return { ok: true, status: 200, arrayBuffer: async () => String(url) };
+};
+
+async function loadWithAudio(template, options = {}) {
+  const audio = createFakeAudio();
+  const sim = await loadGame(template, {
+    ...options,
+    window: { ...audio.globals, ...options.window },
+  });
+  await sim.flush();
+  return { sim, started: audio.started };
+}
+
+const topicSounds = started =>
+  started.filter(entry => entry.buffer && entry.buffer.decoded);
+
+test('sounds wait for the first gesture to unlock audio', async () => {
+  const { sim, started } = await loadWithAudio('dodge-the-danger', {
+    search: '?topic=1',
+  });
+  const { audio } = sim.game;
+  assert.strictEqual(audio.enabled, true);
+
+  audio.play('flap');
+  assert.strictEqual(started.length, 0);
+
+  sim.press(' ');
+  assert.strictEqual(audio.unlocked, true);
+  assert.strictEqual(audio.ctx.state, 'running');
+});
+
+test('topics without sounds fall back to synthesized effects', async () => {
+  const { sim, started } = await loadWithAudio('dodge-the-danger', {
+    search: '?topic=1',
+    console: { ...console, warn() {} },
+  });
+  sim.press(' ');
+  const before = started.length;
+
+  sim.game.audio.play('flap');
+  assert.ok(started.length > before);
+  assert.ok(started.slice(before).every(entry => entry.type === 'oscillator'));
+  assert.strictEqual(topicSounds(started).length, 0);
+});
+
+test('topic sounds and looping music are loaded from the manifest', async () => {
+  const { sim, started } = await loadWithAudio('dodge-the-danger', {
+    search: '?topic=loud',
+    fetch: soundTopicFetch,
+    console: { ...console, warn() {} },
+  });
+  const { game } = sim;
+  sim.press(' ');
+  await sim.flush();
+
+  const [music] = topicSounds(started);
+  assert.match(music.buffer.decoded, /loud\/loop\.ogg$/);
+  assert.strictEqual(music.source.loop, true);
+
+  game.audio.play('flap');
+  const flap = topicSounds(started).pop();
+  assert.match(flap.buffer.decoded, /loud\/flap\.mp3$/);
+
+  sim.advanceUntil(() => game.gameOver);
+  assert.strictEqual(music.source.stopped, true);
+  assert.strictEqual(game.audio.musicSource, null);
+});
+
+test('mute is toggled with the button or M and remembered', async () => {
+  const { sim, started } = await loadWithAudio('collect-it', {
+    search: '?topic=1',
+  });
+  const button = sim.element('btn-mute');
+  assert.strictEqual(button.textContent, '🔊');
+
+  sim.click('btn-mute');
+  assert.strictEqual(sim.game.audio.muted, true);
+  assert.strictEqual(button.textContent, '🔇');
+  assert.strictEqual(sim.storage.getItem('audio_muted'), '1');
+
+  sim.game.audio.unlock();
+  const before = started.length;
+  sim.game.audio.play('collect');
+  assert.strictEqual(started.length, before);
+
+  sim.press('m');
+  assert.strictEqual(sim.game.audio.muted, false);
+
+  const reloaded = await loadWithAudio('collect-it', {
+    search: '?topic=1',
+    storage: { audio_muted: '1' },
+  });
+  assert.strictEqual(reloaded.sim.game.audio.muted, true);
+  assert.strictEqual(reloaded.sim.element('btn-mute').textContent, '🔇');
+});
+
+test('games run silently without WebAudio', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  assert.strictEqual(sim.game.audio.enabled, false);
+
+  sim.tap();
+  sim.advanceUntil(() => sim.game.gameOver);
+  assert.strictEqual(sim.game.gameOver, true);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, StubEvent } = require('./harness');
+
+// Drop an object straight onto (or next to) the catcher
+function dropObject(sim, kind, x) {
+  const { game } = sim;
+  const FallingObject = sim.get('FallingObject');
+  const size = game.config[kind].size;
+  const object = new FallingObject(kind, x, size, 300);
+  object.y = game.catcher.y - size;
+  game.objects.push(object);
+  return object;
+}
+
+// Keep the spawner quiet so only the test's objects fall
+function stopSpawning(game) {
+  game.spawnTimer = Infinity;
+}
+
+test('holding an arrow key slides the catcher until it hits the edge', async () => {
+  const sim = await loadGame('catch-it', { search: '?topic=1' });
+  const { game } = sim;
+  const start = game.catcher.x;
+
+  sim.hold('ArrowRight');
+  sim.advance(0.2);
+  const moved = game.catcher.x;
+  assert.ok(moved > start);
+
+  sim.release('ArrowRight');
+  sim.advance(0.2);
+  assert.strictEqual(game.catcher.x, moved);
+
+  sim.hold('a');
+  sim.advance(5);
+  assert.strictEqual(game.catcher.x, 0);
+  sim.release('a');
+});
+
+test('dragging on the canvas moves the catcher under the finger', async () => {
+  const sim = await loadGame('catch-it', { search: '?topic=1' });
+  const { game, canvas } = sim;
+  const touch = { clientX: 100, clientY: 300 };
+
+  canvas.dispatchEvent(
+    new StubEvent('touchmove', { touches: [touch], changedTouches: [touch] })
+  );
+  sim.advance(1 / 60);
+  assert.strictEqual(game.catcher.x + game.catcher.width / 2, 100);
+});
+
+test('catching items scores and speeds up the spawns', async () => {
+  const sim = await loadGame('catch-it', { search: '?topic=1&seed=catch' });
+  const { game } = sim;
+  stopSpawning(game);
+  const interval = game.spawnInterval;
+
+  dropObject(sim, 'item', game.catcher.x);
+  sim.advanceUntil(() => game.score === 1, 1);
+  assert.strictEqual(game.score, 1);
+  assert.strictEqual(game.objects.length, 0);
+  assert.strictEqual(game.lives, 3);
+
+  game.score = 40;
+  game.catchItem();
+  assert.ok(game.spawnInterval < interval);
+  assert.ok(game.hazardChance > game.config.difficulty.hazardChance[0][1]);
+});
+
+test('hazards and missed items cost lives until the run ends', async () => {
+  const sim = await loadGame('catch-it', { search: '?topic=1' });
+  const { game } = sim;
+  stopSpawning(game);
+
+  dropObject(sim, 'hazard', game.catcher.x);
+  sim.advanceUntil(() => game.lives === 2, 1);
+  assert.strictEqual(game.lives, 2);
+  assert.strictEqual(sim.element('game-announcer').textContent, '2 lives left');
+  sim.advance(1 / 60);
+  assert.ok(sim.drawnText().includes('♥♥♡'));
+
+  // A hazard that falls past is fine; a missed item is not
+  dropObject(sim, 'hazard', 0).x = game.canvas.width;
+  dropObject(sim, 'item', 0).x = game.canvas.width;
+  sim.advanceUntil(() => game.lives === 1, 2);
+  assert.strictEqual(game.lives, 1);
+  assert.strictEqual(game.objects.length, 0);
+
+  dropObject(sim, 'hazard', game.catcher.x);
+  sim.advanceUntil(() => game.gameOver, 1);
+  assert.strictEqual(game.scene, 'gameOver');
+  assert.ok(sim.drawnText().includes('Game Over'));
+});
+
+test('every topic folder loads and plays unchanged', async () => {
+  for (const topic of ['1', 'sharks', 'forest-adventure', 'no-such-topic']) {
+    const sim = await loadGame('catch-it', {
+      search: `?topic=${topic}`,
+      console: { ...console, warn() {}, error() {} },
+    });
+    assert.ok(sim.game.images.character, topic);
+    assert.ok(sim.game.images.item, topic);
+    sim.advanceUntil(() => sim.game.gameOver, 60);
+    assert.strictEqual(sim.game.scene, 'gameOver', topic);
+    assert.strictEqual(
+      sim.game.buildStorageKey('highScore'),
+      `catchIt_highScore_${topic}`
+    );
+  }
+});
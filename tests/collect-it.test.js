@@ -0,0 +1,361 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, StubEvent } = require('./harness');
+
+const TICK = 0.2; // seconds per snake step at the starting speed
+
+// Copy values out of the game's vm realm so deepStrictEqual compares shapes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('snake moves right until it hits the wall', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=walls' });
+  const { game } = sim;
+  assert.deepStrictEqual(plain(game.character.segments[0]), { x: 10, y: 10 });
+
+  sim.advanceUntil(() => game.gameOver);
+
+  assert.strictEqual(game.scene, 'gameOver');
+  assert.strictEqual(game.character.segments[0].x, 19);
+  assert.ok(sim.drawnText().includes('Game Over'));
+});
+
+test('arrow keys steer the snake', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=steer' });
+  const { game } = sim;
+
+  sim.press('ArrowDown');
+  sim.advance(TICK * 2.5);
+
+  const head = game.character.segments[0];
+  assert.strictEqual(head.x, 10);
+  assert.ok(head.y > 10);
+});
+
+test('collecting an item scores, grows the snake and respawns the item', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=eat' });
+  const { game } = sim;
+  const Item = sim.get('Item');
+  game.item = new Item(game.config, 11, 10);
+
+  sim.advanceUntil(() => game.score === 1, 1);
+
+  assert.strictEqual(game.score, 1);
+  assert.strictEqual(game.character.segments.length, 2);
+  assert.ok(game.item.x !== 11 || game.item.y !== 10);
+});
+
+test('Character.move reports wall and self collisions', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const Character = sim.get('Character');
+  const gridSize = { w: 5, h: 5 };
+
+  const character = new Character({}, gridSize, { w: 1, h: 1 });
+  character.segments = [{ x: 4, y: 2 }];
+  assert.strictEqual(character.move(), false);
+
+  // A loop: moving up runs into the body
+  character.segments = [
+    { x: 2, y: 2 },
+    { x: 2, y: 3 },
+    { x: 1, y: 3 },
+    { x: 1, y: 2 },
+    { x: 1, y: 1 },
+    { x: 2, y: 1 },
+  ];
+  character.direction = { x: 0, y: -1 };
+  character.nextDirection = { x: 0, y: -1 };
+  assert.strictEqual(character.move(), false);
+});
+
+test('Character.grow adds a segment where the tail was', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const Character = sim.get('Character');
+  const character = new Character({}, { w: 10, h: 10 }, { w: 1, h: 1 });
+
+  assert.strictEqual(character.move(), true);
+  character.grow();
+
+  assert.deepStrictEqual(plain(character.segments), [
+    { x: 6, y: 5 },
+    { x: 5, y: 5 },
+  ]);
+});
+
+test('Character.setDirection ignores reversing into the body', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const Character = sim.get('Character');
+  const character = new Character({}, { w: 10, h: 10 }, { w: 1, h: 1 });
+  character.segments.push({ x: 4, y: 5 });
+
+  character.setDirection({ x: -1, y: 0 });
+  assert.deepStrictEqual(plain(character.nextDirection), { x: 1, y: 0 });
+});
+
+test('spawnItem never places the item on the snake', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=spawn' });
+  const { game } = sim;
+
+  // Fill every cell but one
+  const segments = [];
+  for (let y = 0; y < game.gridSize.h; y++) {
+    for (let x = 0; x < game.gridSize.w; x++) {
+      if (x !== 3 || y !== 7) segments.push({ x, y });
+    }
+  }
+  game.character.segments = segments;
+
+  game.spawnItem();
+  assert.strictEqual(game.item.x, 3);
+  assert.strictEqual(game.item.y, 7);
+});
+
+test('the same seed spawns items in the same places', async () => {
+  const positions = async () => {
+    const sim = await loadGame('collect-it', { search: '?topic=1&seed=same' });
+    const { game } = sim;
+    const seen = [{ x: game.item.x, y: game.item.y }];
+    for (let i = 0; i < 5; i++) {
+      game.spawnItem();
+      seen.push({ x: game.item.x, y: game.item.y });
+    }
+    return seen;
+  };
+
+  assert.deepStrictEqual(await positions(), await positions());
+});
+
+test('Enter restarts after the leaderboard entry and keeps the high score', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=again' });
+  const { game } = sim;
+  const Item = sim.get('Item');
+  game.item = new Item(game.config, 11, 10);
+
+  sim.advanceUntil(() => game.gameOver);
+  assert.strictEqual(game.score, 1);
+
+  // The name form holds off restarts until it's saved or skipped
+  sim.press('Enter');
+  assert.strictEqual(game.scene, 'gameOver');
+  sim.click('leaderboard-skip');
+  sim.press('Enter');
+
+  assert.strictEqual(game.scene, 'playing');
+  assert.strictEqual(game.score, 0);
+  assert.strictEqual(game.highScore, 1);
+  sim.advance(TICK * 2.5);
+  assert.strictEqual(game.character.segments[0].x, 12);
+});
+
+test('tapping the canvas restarts after game over', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const { game } = sim;
+
+  sim.advanceUntil(() => game.gameOver);
+  sim.tap();
+
+  assert.strictEqual(game.scene, 'playing');
+});
+
+test('the snake speeds up along the speed curve as the score grows', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=fast' });
+  const { game } = sim;
+  const Item = sim.get('Item');
+  const startSpeed = game.gameSpeed;
+
+  game.item = new Item(game.config, 11, 10);
+  sim.advanceUntil(() => game.score === 1, 1);
+
+  assert.ok(game.gameSpeed < startSpeed);
+  assert.strictEqual(
+    game.gameSpeed,
+    sim.get('sampleCurve')(game.config.speedCurve, 1)
+  );
+});
+
+test('segments are drawn between cells part way through a tick', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=smooth' });
+  const { game } = sim;
+
+  sim.advance(0.3); // one move plus half of the next tick
+  const head = game.character.interpolatedPosition(0, 0.5);
+
+  assert.strictEqual(head.y, 10);
+  assert.ok(head.x > 10 && head.x < 11);
+});
+
+test('sampleCurve interpolates between points and clamps at the ends', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const sampleCurve = sim.get('sampleCurve');
+  const curve = [
+    [0, 200],
+    [10, 100],
+  ];
+
+  assert.strictEqual(sampleCurve(curve, -5), 200);
+  assert.strictEqual(sampleCurve(curve, 5), 150);
+  assert.strictEqual(sampleCurve(curve, 50), 100);
+});
+
+test('the snake ignores steering while paused', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=pause' });
+  const { game } = sim;
+
+  sim.click('btn-pause');
+  sim.press('ArrowDown');
+  sim.advance(5);
+
+  assert.strictEqual(game.scene, 'paused');
+  assert.deepStrictEqual(plain(game.character.segments[0]), { x: 10, y: 10 });
+  assert.deepStrictEqual(plain(game.character.nextDirection), { x: 1, y: 0 });
+});
+
+test('wrap-around mode brings the snake back on the far side', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&mode=wrap' });
+  const { game } = sim;
+  assert.strictEqual(game.modeName, 'wrap');
+  assert.strictEqual(
+    game.buildStorageKey('highScore'),
+    'collectIt_highScore_1_wrap'
+  );
+  game.items = [];
+
+  // Ten cells to the edge, then one more
+  sim.advanceUntil(() => game.character.segments[0].x === 0, 3);
+  assert.strictEqual(game.scene, 'playing');
+  assert.deepStrictEqual(plain(game.character.segments[0]), { x: 0, y: 10 });
+
+  // Drawn at its new cell straight away, not slid across the board
+  assert.deepStrictEqual(plain(game.character.interpolatedPosition(0, 0.5)), {
+    x: 0,
+    y: 10,
+  });
+  game.character.segments.push({ x: 19, y: 10 });
+  assert.deepStrictEqual(plain(game.character.stepTowards(1, 0)), {
+    x: 1,
+    y: 0,
+  });
+});
+
+test('obstacle mode scatters walls off the starting row', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1&mode=obstacles&seed=rocks',
+  });
+  const { game } = sim;
+  assert.strictEqual(game.obstacles.length, 12);
+  assert.ok(game.obstacles.every(cell => cell.y !== 10));
+  assert.ok(!game.isObstacle(game.item));
+
+  game.obstacles.push({ x: 12, y: 10 });
+  sim.advanceUntil(() => game.gameOver, 1);
+  assert.strictEqual(game.scene, 'gameOver');
+  assert.deepStrictEqual(plain(game.character.segments[0]), { x: 12, y: 10 });
+});
+
+test('a full board stops placing obstacles and ends the run as a win', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1&mode=obstacles&seed=full',
+  });
+  const { game } = sim;
+
+  // Asking for more walls than there are cells places what fits
+  const { w, h } = game.gridSize;
+  game.obstacles = [];
+  game.items = [];
+  game.placeObstacles(w * h);
+  assert.strictEqual(game.obstacles.length, w * (h - 1)); // off the start row
+
+  // The snake covers every cell but the one next to its head
+  game.obstacles = [];
+  const head = plain(game.character.segments[0]);
+  const last = { x: head.x + 1, y: head.y };
+  const body = [];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const isHead = x === head.x && y === head.y;
+      if (!isHead && (x !== last.x || y !== last.y)) body.push({ x, y });
+    }
+  }
+  game.character.segments = [head, ...body];
+  assert.strictEqual(game.spawnItem(), true);
+  assert.deepStrictEqual({ x: game.item.x, y: game.item.y }, last);
+  assert.strictEqual(game.spawnItem(1), false);
+  assert.strictEqual(game.items.length, 1);
+
+  // Eating it leaves nowhere for a new item
+  sim.advanceUntil(() => game.gameOver, 1);
+  assert.strictEqual(game.score, 1);
+  assert.strictEqual(game.items.length, 0);
+  assert.match(
+    sim.element('game-announcer').textContent,
+    /^The board is full\. You win! /
+  );
+});
+
+test('multi-item mode keeps several items out and bonus items expire', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1&mode=multi&seed=many',
+  });
+  const { game } = sim;
+  const Item = sim.get('Item');
+  assert.strictEqual(game.items.length, 3);
+  assert.ok(game.items.every(item => !item.bonus));
+
+  // Every regular item eaten brings a bonus while there isn't one
+  game.mode.bonus.chance = 1;
+  game.items[1] = new Item(game.config, 11, 10);
+  sim.advanceUntil(() => game.score === 1, 1);
+  assert.strictEqual(game.items.length, 4);
+  const bonus = game.items[3];
+  assert.strictEqual(bonus.bonus, true);
+  assert.strictEqual(bonus.points, 3);
+
+  // Collecting it is worth its points; it isn't replaced
+  bonus.x = game.character.segments[0].x + 1;
+  bonus.y = 10;
+  sim.advanceUntil(() => game.score === 4, 1);
+  assert.strictEqual(game.items.length, 3);
+
+  game.items.push(new Item(game.config, 0, 0, { points: 3, lifetime: 1 }));
+  sim.advance(1.1);
+  assert.ok(game.items.every(item => !item.bonus));
+});
+
+test('time attack ends the run when the clock runs out', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1&mode=time-attack',
+  });
+  const { game } = sim;
+  assert.strictEqual(game.timeLeft, 60);
+  sim.advance(0.1);
+  assert.ok(sim.drawnText().includes('Time: 60'));
+
+  game.timeLeft = 10.1;
+  sim.advance(0.2);
+  assert.strictEqual(
+    sim.element('game-announcer').textContent,
+    '10 seconds left'
+  );
+
+  game.timeLeft = 0.3;
+  sim.advance(0.4);
+  assert.strictEqual(game.scene, 'gameOver');
+  assert.strictEqual(game.character.segments[0].x, 12);
+});
+
+test('the mode menu switches rules and high score', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&mode=nope' });
+  const { game } = sim;
+  const select = sim.element('mode-select');
+  assert.strictEqual(game.modeName, 'classic');
+  assert.strictEqual(select.value, 'classic');
+  assert.strictEqual(game.leaderboard.boardId, 'collectIt_leaderboard_1');
+
+  select.value = 'obstacles';
+  select.dispatchEvent(new StubEvent('change'));
+  assert.strictEqual(game.scene, 'playing');
+  assert.strictEqual(game.obstacles.length, 12);
+  assert.strictEqual(
+    game.leaderboard.boardId,
+    'collectIt_leaderboard_1_obstacles'
+  );
+});
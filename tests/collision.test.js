@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('resolveHitbox insets rects and sizes circles from the sprite box', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const resolveHitbox = sim.get('resolveHitbox');
+  const box = { x: 100, y: 50, width: 40, height: 20 };
+
+  assert.deepStrictEqual(
+    plain(resolveHitbox({ shape: 'rect', inset: 0.25 }, box)),
+    {
+      type: 'rect',
+      x: 110,
+      y: 55,
+      width: 20,
+      height: 10,
+    }
+  );
+  assert.deepStrictEqual(
+    plain(resolveHitbox({ shape: 'rect', inset: { left: 0.5 } }, box)),
+    { type: 'rect', x: 120, y: 50, width: 20, height: 20 }
+  );
+  assert.deepStrictEqual(
+    plain(resolveHitbox({ shape: 'circle', radius: 0.4 }, box)),
+    {
+      type: 'circle',
+      x: 120,
+      y: 60,
+      radius: 8,
+    }
+  );
+});
+
+test('a circle hitbox misses a rect it only shares a bounding-box corner with', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const shapesIntersect = sim.get('shapesIntersect');
+  const circle = { type: 'circle', x: 0, y: 0, radius: 10 };
+
+  assert.strictEqual(
+    shapesIntersect(circle, { x: 8, y: 8, width: 10, height: 10 }),
+    false
+  );
+  assert.strictEqual(
+    shapesIntersect(circle, { x: 5, y: -2, width: 10, height: 4 }),
+    true
+  );
+});
+
+test('masksOverlap ignores overlaps in transparent padding', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const masksOverlap = sim.get('masksOverlap');
+  // 4x4 masks solid only in the middle 2x2
+  const solid = new Uint8Array([
+    0, 0, 0, 0, 0, 1, 1, 0, 0, 1, 1, 0, 0, 0, 0, 0,
+  ]);
+  const mask = { width: 4, height: 4, solid };
+  const a = { mask, x: 0, y: 0, width: 40, height: 40 };
+
+  // Rectangles overlap by 10px, but only where both sprites are transparent
+  assert.strictEqual(
+    masksOverlap(a, { mask, x: 30, y: 0, width: 40, height: 40 }),
+    false
+  );
+  assert.strictEqual(
+    masksOverlap(a, { mask, x: 15, y: 0, width: 40, height: 40 }),
+    true
+  );
+});
+
+test('masksOverlap turns sprites by their angle', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const masksOverlap = sim.get('masksOverlap');
+  // A bar across the middle of a 40x40 sprite, and a solid block below it
+  const bar = {
+    width: 4,
+    height: 4,
+    solid: new Uint8Array([0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0]),
+  };
+  const full = { width: 1, height: 1, solid: new Uint8Array([1]) };
+  const block = { mask: full, x: 0, y: 32, width: 40, height: 20 };
+  const a = { mask: bar, x: 0, y: 0, width: 40, height: 40 };
+
+  assert.strictEqual(masksOverlap(a, block), false);
+  // Tilted, the bar's end dips past the bottom of its own rectangle
+  assert.strictEqual(masksOverlap({ ...a, angle: Math.PI / 4 }, block), true);
+});
+
+test('the bird collides with the mask of the frame on screen', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=flappy&collision=mask',
+    fetch: async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        title: 'Flappy',
+        assets: { 'character-sheet': 'bird-sheet.png', item: 'pipe.png' },
+        extras: {
+          animations: {
+            character: {
+              sheet: 'character-sheet',
+              frameWidth: 50,
+              frameHeight: 50,
+              clips: { idle: { frames: [0] }, hit: { frames: [3] } },
+            },
+          },
+        },
+      }),
+    }),
+    console: { ...console, warn() {} },
+  });
+  const { game } = sim;
+  assert.strictEqual(game.collisionMode, 'mask');
+  assert.strictEqual(game.masks.character.size, 4);
+
+  // Only the idle frame is solid
+  const idle = game.birdAnimation.frame;
+  const solid = { width: 1, height: 1, solid: new Uint8Array([1]) };
+  game.masks.character.forEach((mask, frame) => {
+    if (frame === idle) game.masks.character.set(frame, solid);
+  });
+  game.masks.item = solid;
+  const Pipe = sim.get('Pipe');
+  const pipe = new Pipe(null, game.bird.y + 10, 100, 60, 0, game.bird.x);
+  game.bird.velocity = 0;
+
+  assert.strictEqual(game.birdHitsPipe(pipe), true);
+  game.birdAnimation.play('hit');
+  assert.strictEqual(game.birdHitsPipe(pipe), false);
+});
+
+test('topic manifests can override the template hitboxes', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  assert.strictEqual(sim.game.hitboxes.character.shape, 'circle');
+  assert.strictEqual(sim.game.hitboxes.item.shape, 'rect');
+
+  const other = await loadGame('dodge-the-danger', { search: '?topic=2' });
+  assert.strictEqual(other.game.hitboxes.character.shape, 'rect');
+});
+
+test('?collision=mask only counts contact between solid pixels', async () => {
+  const run = async search => {
+    const sim = await loadGame('dodge-the-danger', { search });
+    const { game } = sim;
+    game.profile.gravity = [[0, 0]];
+    game.gravity = 0;
+    game.bird.y = 10; // In line with the top pipe
+    sim.advanceUntil(() => game.gameOver || game.score > 0, 5);
+    return game;
+  };
+
+  const hitbox = await run('?topic=2');
+  assert.strictEqual(hitbox.collisionMode, 'hitbox');
+  assert.strictEqual(hitbox.scene, 'gameOver');
+
+  // The harness canvas reads back fully transparent pixels
+  const masked = await run('?topic=2&collision=mask');
+  assert.strictEqual(masked.collisionMode, 'mask');
+  assert.strictEqual(masked.scene, 'playing');
+  assert.strictEqual(masked.score, 1);
+});
+
+test('collision masks can be built from art on another origin', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=2&collision=mask&assetBase=https://cdn.example/game-assets',
+    fetch: async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        title: 'Remote',
+        assets: { character: 'character.png', item: 'item.png' },
+      }),
+    }),
+    console: { ...console, warn() {} },
+  });
+
+  assert.strictEqual(sim.game.collisionMode, 'mask');
+  assert.ok(sim.game.masks.character && sim.game.masks.item);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseCsv,
+  parseCsvRecords,
+  parseMarkdownLink,
+} = require('../tools/csv');
+
+test('quoted fields keep commas, newlines and doubled quotes', () => {
+  const text =
+    '\ufeffa,b,c\r\n' +
+    '1,"two, three","say ""hi"""\r\n' +
+    '\r\n' +
+    '"multi\nline",,last';
+  assert.deepStrictEqual(parseCsv(text), [
+    ['a', 'b', 'c'],
+    ['1', 'two, three', 'say "hi"'],
+    ['multi\nline', '', 'last'],
+  ]);
+
+  assert.throws(() => parseCsv('a,"open\n'), /Unterminated quoted field/);
+});
+
+test('records are keyed by the trimmed header and remember their line', () => {
+  const records = parseCsvRecords(
+    ' ID ,Title,Summary\n7, Cat yoga ,"A cat, on a mat"\n8,Short\n'
+  );
+  assert.deepStrictEqual(records, [
+    { _line: 2, ID: '7', Title: 'Cat yoga', Summary: 'A cat, on a mat' },
+    { _line: 3, ID: '8', Title: 'Short', Summary: '' },
+  ]);
+  assert.deepStrictEqual(parseCsvRecords(''), []);
+
+  // Lines are counted in the source, across quoted newlines and blank lines
+  const lines = parseCsvRecords('ID,Note\n1,"two\nlines"\n\n2,x\n').map(
+    record => record._line
+  );
+  assert.deepStrictEqual(lines, [2, 5]);
+});
+
+test('Source columns accept markdown links and plain URLs', () => {
+  assert.deepStrictEqual(
+    parseMarkdownLink(
+      '([fox10tv.com](https://www.fox10tv.com/2023/03/28/story/?utm_source=x))'
+    ),
+    {
+      label: 'fox10tv.com',
+      url: 'https://www.fox10tv.com/2023/03/28/story/?utm_source=x',
+    }
+  );
+  assert.deepStrictEqual(parseMarkdownLink('[](https://www.example.org/a)'), {
+    label: 'example.org',
+    url: 'https://www.example.org/a',
+  });
+  assert.deepStrictEqual(parseMarkdownLink('https://news.example/b'), {
+    label: 'news.example',
+    url: 'https://news.example/b',
+  });
+  assert.strictEqual(parseMarkdownLink('see the paper'), null);
+  assert.strictEqual(parseMarkdownLink(''), null);
+});
@@ -0,0 +1,435 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, StubEvent } = require('./harness');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Switch off gravity for the current run so the bird hovers in place
+function hover(game) {
+  game.profile.gravity = [[0, 0]];
+  game.gravity = 0;
+}
+
+// Advance until `count` pipes have spawned and return them in spawn order
+// (pipes that scroll off screen are dropped from game.pipes)
+function collectPipes(sim, count, maxSeconds = 10) {
+  const spawned = [];
+  sim.advanceUntil(() => {
+    sim.game.pipes.forEach(pipe => {
+      if (!spawned.includes(pipe)) spawned.push(pipe);
+    });
+    return spawned.length >= count;
+  }, maxSeconds);
+  return spawned;
+}
+
+test('the bird falls and the run ends without input', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+
+  sim.advanceUntil(() => game.gameOver, 2);
+
+  assert.strictEqual(game.scene, 'gameOver');
+  assert.ok(game.bird.y + game.bird.height > sim.canvas.height);
+  assert.ok(sim.drawnText().includes('Game Over'));
+});
+
+test('tapping makes the bird flap upwards', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  sim.advance(0.2);
+  const before = game.bird.y;
+
+  sim.tap();
+  sim.advance(0.1);
+
+  assert.ok(game.bird.y < before);
+  assert.strictEqual(game.scene, 'playing');
+});
+
+test('Pipe.isColliding only hits outside the gap', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const Pipe = sim.get('Pipe');
+  const pipe = new Pipe(null, 100, 150, 50, 0, 200);
+  const bird = { x: 190, y: 150, width: 20, height: 20 };
+
+  assert.strictEqual(pipe.isColliding(bird), false);
+  assert.strictEqual(pipe.isColliding({ ...bird, y: 90 }), true);
+  assert.strictEqual(pipe.isColliding({ ...bird, y: 240 }), true);
+  // Outside the pipe horizontally the height doesn't matter
+  assert.strictEqual(pipe.isColliding({ ...bird, x: 100, y: 0 }), false);
+});
+
+test('passing a pipe scores a point', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&seed=pass',
+  });
+  const { game } = sim;
+  // Hover in the middle of the gap
+  hover(game);
+
+  assert.ok(sim.advanceUntil(() => game.score === 1, 5));
+  assert.strictEqual(game.scene, 'playing');
+});
+
+test('hitting a pipe ends the run', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&seed=hit',
+  });
+  const { game } = sim;
+  hover(game);
+  game.bird.y = 10; // Above the gap, in line with the top pipe
+
+  sim.advanceUntil(() => game.gameOver, 5);
+
+  assert.strictEqual(game.scene, 'gameOver');
+  assert.strictEqual(game.score, 0);
+});
+
+test('pipes speed up as they spawn', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&seed=ramp',
+  });
+  hover(sim.game);
+  sim.game.bird.x = -500;
+
+  const pipes = collectPipes(sim, 3);
+
+  assert.ok(pipes[1].speed > pipes[0].speed);
+  assert.ok(pipes[2].speed > pipes[1].speed);
+});
+
+test('the same seed produces the same pipe gaps', async () => {
+  const gaps = async () => {
+    const sim = await loadGame('dodge-the-danger', {
+      search: '?topic=1&seed=gaps',
+      height: 800,
+    });
+    // Keep the bird out of the pipes' way
+    hover(sim.game);
+    sim.game.bird.x = -500;
+    return collectPipes(sim, 3).map(pipe => pipe.gapY);
+  };
+
+  const first = await gaps();
+  assert.strictEqual(new Set(first).size, 3);
+  assert.deepStrictEqual(first, await gaps());
+});
+
+test('tapping after the leaderboard entry restarts the run', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  hover(game);
+  sim.advanceUntil(() => game.score === 1, 5);
+  game.endGame();
+
+  sim.tap();
+  assert.strictEqual(game.scene, 'gameOver');
+
+  sim.element('leaderboard-name').value = 'Ada';
+  sim.element('leaderboard-form').dispatchEvent(new StubEvent('submit'));
+  await sim.flush();
+  sim.tap();
+
+  assert.strictEqual(game.scene, 'playing');
+  assert.strictEqual(game.score, 0);
+  assert.strictEqual(game.pipes.length, 0);
+});
+
+test('P pauses and the world stays frozen while paused', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  sim.advance(0.2);
+
+  sim.press('p');
+  const { y, velocity } = game.bird;
+  const pipeTimer = game.pipeTimer;
+  sim.clock.tick(60 * 1000); // a minute passes with no frames scheduled
+
+  assert.strictEqual(game.scene, 'paused');
+  assert.strictEqual(game.bird.y, y);
+  assert.strictEqual(game.pipeTimer, pipeTimer);
+  assert.ok(sim.drawnText().includes('Paused'));
+});
+
+test('resuming counts down before play continues without a time jump', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  sim.advance(0.2);
+  sim.press('Escape');
+  sim.clock.tick(60 * 1000);
+  const { y } = game.bird;
+  const pipeTimer = game.pipeTimer;
+
+  sim.tap();
+  assert.strictEqual(game.scene, 'countdown');
+  sim.advance(1.5);
+  assert.ok(sim.drawnText().includes('2'));
+  assert.strictEqual(game.bird.y, y);
+
+  sim.advanceUntil(() => game.isPlaying, 3);
+  sim.advance(1 / 60);
+
+  assert.strictEqual(game.scene, 'playing');
+  assert.ok(game.pipeTimer < pipeTimer);
+  assert.ok(pipeTimer - game.pipeTimer < 0.1);
+});
+
+test('hiding the page or losing focus pauses the game', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+
+  sim.setHidden(true);
+  assert.strictEqual(game.scene, 'paused');
+
+  sim.setHidden(false);
+  sim.click('btn-pause');
+  assert.strictEqual(game.scene, 'countdown');
+
+  sim.blur();
+  assert.strictEqual(game.scene, 'paused');
+});
+
+test('restarting resets the difficulty ramp', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  const startSpeed = game.pipeSpeed;
+  hover(game);
+  game.bird.x = -500;
+  collectPipes(sim, 3);
+  assert.ok(game.pipeSpeed > startSpeed);
+
+  game.endGame();
+  game.restart();
+
+  assert.strictEqual(game.pipeSpeed, startSpeed);
+  assert.strictEqual(
+    game.config.difficultyProfiles.normal.speed[0][1],
+    startSpeed
+  );
+});
+
+test('?difficulty= picks a profile with its own high score slot', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&difficulty=hard',
+    storage: {
+      dodgeDanger_highScore_1: '7',
+      dodgeDanger_highScore_1_hard: '3',
+    },
+  });
+  const { game } = sim;
+
+  assert.strictEqual(game.difficultyName, 'hard');
+  assert.strictEqual(game.highScore, 3);
+  assert.ok(game.pipeSpeed > game.config.difficultyProfiles.normal.speed[0][1]);
+
+  game.setDifficulty('normal');
+  await sim.flush();
+  assert.strictEqual(game.highScore, 7);
+  assert.strictEqual(game.leaderboard.boardId, 'dodgeDanger_leaderboard_1');
+});
+
+test('the difficulty menu switches profile and restarts', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  const select = sim.element('difficulty-select');
+  assert.strictEqual(select.value, 'normal');
+  sim.advance(0.3);
+
+  select.value = 'easy';
+  select.dispatchEvent(new StubEvent('change'));
+
+  assert.strictEqual(game.difficultyName, 'easy');
+  assert.strictEqual(game.scene, 'playing');
+  assert.strictEqual(game.gravity, 1200);
+  assert.strictEqual(
+    game.leaderboard.boardId,
+    'dodgeDanger_leaderboard_1_easy'
+  );
+});
+
+test('unknown difficulty names fall back to normal', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&difficulty=impossible',
+  });
+
+  assert.strictEqual(sim.game.difficultyName, 'normal');
+});
+
+test('power-ups ride in pipe gaps from the third pipe on', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&seed=powerups',
+  });
+  const { game } = sim;
+  game.config.powerUps.chance = 1;
+  hover(game);
+  game.bird.x = -500;
+
+  collectPipes(sim, 2);
+  assert.strictEqual(game.powerUps.length, 0);
+
+  const pipe = collectPipes(sim, 3)[2];
+  assert.strictEqual(game.powerUps.length, 1);
+  const [powerUp] = game.powerUps;
+  assert.ok(Object.keys(game.config.powerUps.types).includes(powerUp.type));
+  assert.strictEqual(powerUp.speed, pipe.speed);
+  assert.strictEqual(powerUp.x + powerUp.size / 2, pipe.x + pipe.width / 2);
+  assert.strictEqual(
+    powerUp.y + powerUp.size / 2,
+    pipe.gapY + pipe.gapHeight / 2
+  );
+});
+
+test('flying through a power-up starts its effect with a HUD timer', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  hover(game);
+  const PowerUp = sim.get('PowerUp');
+  const { x, y } = game.bird;
+  game.powerUps.push(new PowerUp('shrink', null, x, y, 36, 0));
+
+  sim.advance(0.1);
+  assert.strictEqual(game.powerUps.length, 0);
+  assert.strictEqual(game.bird.width, 24);
+  assert.strictEqual(game.bird.y + 12, y + 20); // still centered
+  assert.ok(sim.drawnText().includes('Shrink: 6'));
+
+  sim.advance(6);
+  assert.strictEqual(plain(game.effects).shrink, undefined);
+  assert.strictEqual(game.bird.height, 40);
+  assert.ok(!sim.drawnText().some(text => text.startsWith('Shrink')));
+});
+
+test('a shield absorbs one pipe hit', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&seed=hit',
+  });
+  const { game } = sim;
+  hover(game);
+  game.bird.y = 10; // in line with the top pipe
+  game.collectPowerUp('shield');
+
+  sim.advanceUntil(() => game.invulnerableTime > 0, 5);
+  assert.strictEqual(game.scene, 'playing');
+  assert.strictEqual(game.effects.shield, undefined);
+
+  // Once the grace period is over the next hit counts
+  sim.advanceUntil(() => game.gameOver, 5);
+  assert.strictEqual(game.scene, 'gameOver');
+});
+
+test('nothing scores or gets collected after the hit that ends the run', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  hover(game);
+  game.pipeTimer = 10;
+  const Pipe = sim.get('Pipe');
+  const PowerUp = sim.get('PowerUp');
+  const { bird } = game;
+
+  // A pipe the bird is inside, then one it has just flown past
+  const hit = new Pipe(null, bird.y + bird.height + 50, 100, 60, 0, bird.x);
+  const passed = new Pipe(null, 0, 100, 60, 0, bird.x - 61);
+  game.pipes = [hit, passed];
+  game.powerUps = [new PowerUp('slow', null, bird.x, bird.y, 36, 0)];
+
+  sim.advance(0.05);
+  assert.strictEqual(game.scene, 'gameOver');
+  assert.strictEqual(game.score, 0);
+  assert.strictEqual(passed.scored, false);
+  assert.strictEqual(game.powerUps.length, 1);
+  assert.deepStrictEqual(plain(game.effects), {});
+});
+
+test('growing back from shrink inside a pipe gives a moment to get clear', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  hover(game);
+  game.pipeTimer = 10;
+  game.collectPowerUp('shrink');
+  game.effects.shrink = 0.01;
+
+  // The full-size bird overlaps the pipe's top half
+  const Pipe = sim.get('Pipe');
+  const { bird } = game;
+  game.pipes = [new Pipe(null, bird.y + 30, 100, 60, 0, bird.x)];
+
+  sim.advance(0.05);
+  assert.strictEqual(game.bird.height, 40);
+  assert.strictEqual(game.scene, 'playing');
+  assert.ok(game.invulnerableTime > 0);
+
+  sim.advanceUntil(() => game.gameOver, 2);
+  assert.strictEqual(game.scene, 'gameOver');
+});
+
+test('slow motion and the score multiplier', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&seed=pass',
+  });
+  const { game } = sim;
+  hover(game);
+  sim.advance(0.1); // first pipe out
+  game.collectPowerUp('slow');
+  game.collectPowerUp('multiplier');
+
+  // The world runs at 0.6x while the effect timers count real seconds
+  const pipeTimer = game.pipeTimer;
+  sim.advance(0.5);
+  assert.ok(Math.abs(pipeTimer - game.pipeTimer - 0.3) < 0.02);
+  assert.ok(Math.abs(game.effects.slow - 4.5) < 0.02);
+
+  assert.ok(sim.advanceUntil(() => game.score > 0, 5));
+  assert.strictEqual(game.score, 2);
+  assert.ok(sim.drawnText().some(text => text.startsWith('Score ×2: ')));
+
+  sim.advance(5);
+  assert.deepStrictEqual(plain(game.effects), {});
+  assert.strictEqual(game.timeScale(), 1);
+  assert.strictEqual(game.scoreMultiplier(), 1);
+});
+
+test('topics can give a power-up its own sprite', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=star&seed=star',
+    fetch: async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        title: 'Star',
+        assets: {
+          character: 'bird.png',
+          item: 'star.png',
+          'powerup-shield': 'star.png',
+        },
+      }),
+    }),
+    console: { ...console, warn() {} },
+  });
+  const { game } = sim;
+  assert.ok(game.images['powerup-shield'].src.endsWith('star.png'));
+  assert.strictEqual(game.images['powerup-slow'], null);
+  game.config.powerUps.chance = 1;
+  game.config.powerUps.firstPipe = 0;
+  hover(game);
+  game.bird.x = -500;
+
+  const seen = new Set();
+  assert.ok(
+    sim.advanceUntil(() => {
+      game.powerUps.forEach(powerUp => seen.add(powerUp.type));
+      return seen.size === 4;
+    }, 30)
+  );
+  const sprites = game.ctx.calls.filter(
+    ([name, image, ...args]) =>
+      name === 'drawImage' &&
+      image === game.images['powerup-shield'] &&
+      args.length === 4
+  );
+  assert.ok(sprites.length > 0);
+  // Types without a sprite are drawn as badges
+  assert.ok(
+    game.ctx.calls.some(([name, text]) => name === 'fillText' && text === '×2')
+  );
+});
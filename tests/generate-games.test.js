@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  planGames,
+  writeGames,
+  pickTemplate,
+  slugify,
+} = require('../tools/generate-games');
+
+// Temporary repo with templates, topic folders and the two CSVs.
+// `folders` maps topic folder names to the files in them.
+function makeRepo({
+  inventory,
+  params = 'id,template_id,params,topic\n',
+  folders = {},
+}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'games-'));
+  ['catch-it', 'collect-it', 'dodge-the-danger'].forEach(template => {
+    const dir = path.join(root, 'game-templates', template);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), '');
+  });
+  Object.entries(folders).forEach(([folder, files]) => {
+    const dir = path.join(root, 'game-assets', folder);
+    fs.mkdirSync(dir, { recursive: true });
+    files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+  });
+  fs.mkdirSync(path.join(root, 'game-assets'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'inventory.csv'), inventory);
+  fs.writeFileSync(path.join(root, 'params.csv'), params);
+  return {
+    root,
+    options: {
+      inventory: path.join(root, 'inventory.csv'),
+      params: path.join(root, 'params.csv'),
+      assets: path.join(root, 'game-assets'),
+      templates: path.join(root, 'game-templates'),
+      out: path.join(root, 'out'),
+      baseUrl: '',
+      dryRun: false,
+      strict: false,
+    },
+  };
+}
+
+const ART = ['character.png', 'item.png', 'background.jpg'];
+
+test('slugs are URL safe and stories get a manifest and launch URL', t => {
+  const { root, options } = makeRepo({
+    inventory: [
+      'ID,Topic,Title,Summary,Source',
+      '11,"Café Owner, 90, Retires",The Last Espresso,"Fifty years,\none cup at a time",([news.example](https://www.news.example/cafe))',
+      '12,Café Owner 90 Retires,,,',
+      'x,Bad ID,Bad,,',
+      '11,Duplicate,Again,,',
+    ].join('\n'),
+    params:
+      'id,template_id,params,topic\n11,catch-it,difficulty=hard&lang=he,\n',
+  });
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  assert.strictEqual(slugify('  Ünïcode & Spaces!! '), 'unicode-spaces');
+  assert.strictEqual(slugify('a'.repeat(70)).length, 60);
+
+  const { games, issues } = planGames(options);
+  assert.deepStrictEqual(
+    games.map(({ id, topic, template, url }) => ({ id, topic, template, url })),
+    [
+      {
+        id: '11',
+        topic: 'cafe-owner-90-retires',
+        template: 'catch-it',
+        url: 'game-templates/catch-it/index.html?difficulty=hard&lang=he&topic=cafe-owner-90-retires',
+      },
+      {
+        id: '12',
+        topic: 'cafe-owner-90-retires-12',
+        template: pickTemplate('12', [
+          'catch-it',
+          'collect-it',
+          'dodge-the-danger',
+        ]),
+        url: `game-templates/${games[1].template}/index.html?topic=cafe-owner-90-retires-12`,
+      },
+    ]
+  );
+  assert.deepStrictEqual(games[0].manifest, {
+    title: 'The Last Espresso',
+    description: 'Fifty years,\none cup at a time',
+    assets: {},
+    extras: {
+      story: {
+        id: '11',
+        topic: 'Café Owner, 90, Retires',
+        title: 'The Last Espresso',
+        summary: 'Fifty years,\none cup at a time',
+        source: { label: 'news.example', url: 'https://www.news.example/cafe' },
+      },
+    },
+  });
+  assert.strictEqual(games[1].title, 'Café Owner 90 Retires');
+
+  const codes = issues.map(issue => `${issue.line}:${issue.field}`);
+  assert.ok(codes.includes('5:ID')); // non-numeric
+  assert.ok(codes.includes('6:ID')); // duplicate
+  assert.ok(codes.includes('4:Title'));
+  assert.ok(codes.includes('4:Source'));
+});
+
+test('stories can reuse existing art folders and missing art is reported', t => {
+  const { root, options } = makeRepo({
+    inventory:
+      'ID,Topic,Title,Summary,Source\n1,Divers,Divers,,\n2,Stars,Stars,,\n3,Pets,Pets,,\n',
+    params: 'id,template_id,params,topic\n1,,,deep-sea\n3,,,nowhere\n',
+    folders: { 'deep-sea': ART, forest: ART, sketches: ['character.png'] },
+  });
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const { games, issues } = planGames(options);
+  assert.deepStrictEqual(
+    games.map(game => game.topic),
+    ['deep-sea', 'stars', 'pets']
+  );
+  assert.deepStrictEqual(games[0].manifest.assets, {
+    character: 'character.png',
+    item: 'item.png',
+    background: 'background.jpg',
+  });
+
+  const folderError = issues.find(issue => issue.field === 'topic');
+  assert.strictEqual(folderError.severity, 'error');
+  assert.match(folderError.message, /no topic folder "nowhere"/);
+
+  // The art warning names the unused folders that have a full set of art
+  const artWarning = issues.find(
+    issue => issue.field === 'assets' && issue.id === '2'
+  );
+  assert.match(
+    artWarning.message,
+    /game-assets\/stars; fallbacks will be used/
+  );
+  assert.match(
+    artWarning.message,
+    /"topic" in .*params\.csv to one of: forest$/
+  );
+});
+
+test('adding a template does not move stories picked by hash', () => {
+  const ids = ['165147983', '0', '-1585085081', '849691510'];
+  const before = ids.map(id =>
+    pickTemplate(id, ['collect-it', 'dodge-the-danger'])
+  );
+  const after = ids.map(id =>
+    pickTemplate(id, ['catch-it', 'collect-it', 'dodge-the-danger', 'tetris'])
+  );
+  assert.deepStrictEqual(after, before);
+  assert.deepStrictEqual(before, [
+    'dodge-the-danger',
+    'dodge-the-danger',
+    'dodge-the-danger',
+    'collect-it',
+  ]);
+  // Template sets without the hashed templates still get a pick
+  assert.strictEqual(pickTemplate('1', ['tetris']), 'tetris');
+});
+
+test('writes topic.json, the catalog, games.json and report.json', t => {
+  const { root, options } = makeRepo({
+    inventory: 'ID,Topic,Title,Summary,Source\n5,Sharks,Sharks Again,Bite,\n',
+    folders: { sharks: ['cover-image.png', ...ART] },
+  });
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(options.assets, 'sharks', 'topic.json'),
+    JSON.stringify({ title: 'Old', translations: { he: { title: 'כרישים' } } })
+  );
+
+  writeGames(options, planGames(options));
+  const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const manifest = read(path.join(options.assets, 'sharks', 'topic.json'));
+  assert.strictEqual(manifest.title, 'Sharks Again');
+  assert.deepStrictEqual(manifest.translations, { he: { title: 'כרישים' } });
+  assert.strictEqual(manifest.extras.story.id, '5');
+
+  const catalog = read(path.join(options.assets, 'catalog.json'));
+  assert.deepStrictEqual(catalog.templates, [
+    'catch-it',
+    'collect-it',
+    'dodge-the-danger',
+  ]);
+  assert.strictEqual(catalog.topics[0].assets.cover, 'cover-image.png');
+
+  const [game] = read(path.join(options.out, 'games.json'));
+  assert.strictEqual(game.topic, 'sharks');
+  const report = read(path.join(options.out, 'report.json'));
+  assert.strictEqual(report.games, 1);
+  assert.strictEqual(report.errors, 0);
+});
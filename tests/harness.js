@@ -0,0 +1,677 @@
+// harness.js - Headless simulation harness for the game templates
+//
+// Loads a template's scripts (in the order its index.html lists them) into a
+// Node vm context with a stub DOM, a recording canvas, fake timers and a
+// fake requestAnimationFrame clock. Nothing touches the network unless a test
+// passes `network`: fetch is served from the repo on disk and images "load"
+// instantly.
+//
+//   const { loadGame } = require('./harness');
+//   const sim = await loadGame('collect-it', { search: '?topic=1&seed=abc' });
+//   sim.press('ArrowUp');
+//   sim.advance(1); // simulate one second at 60fps
+//   assert.equal(sim.game.score, 0);
+//
+// loadLauncher() does the same for the launcher page (game-templates/index.html).
+//
+// Run the suite with: node --test tests/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const TEMPLATES_DIR = path.join(ROOT_DIR, 'game-templates');
+
+// Minimal EventTarget: records listeners and lets tests dispatch events
+class StubEventTarget {
+  constructor() {
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(
+      registered => registered !== listener
+    );
+  }
+
+  dispatchEvent(event) {
+    event.target = event.target || this;
+    (this.listeners[event.type] || []).slice().forEach(listener => {
+      listener.call(this, event);
+    });
+    return !event.defaultPrevented;
+  }
+}
+
+class StubEvent {
+  constructor(type, init = {}) {
+    Object.assign(this, init);
+    this.type = type;
+    this.defaultPrevented = false;
+  }
+
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+
+  stopPropagation() {}
+}
+
+class StubCustomEvent extends StubEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.detail = init.detail;
+  }
+}
+
+const PAGE_ORIGIN = 'http://localhost';
+
+// Like browsers, drawing another origin's image without CORS (crossOrigin)
+// taints a canvas, and reading a tainted canvas back throws
+function taintsCanvas(image) {
+  if (!image) return false;
+  if (image.tainted) return true;
+  if (typeof image.src !== 'string' || image.crossOrigin) return false;
+  return new URL(image.src, `${PAGE_ORIGIN}/`).origin !== PAGE_ORIGIN;
+}
+
+const securityError = () =>
+  new DOMException('The canvas has been tainted', 'SecurityError');
+
+// 2D context that records every call, so tests can assert on what was drawn
+function createContext2d(canvas) {
+  const calls = [];
+  const state = {
+    canvas,
+    calls,
+    fillStyle: '#000',
+    strokeStyle: '#000',
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+    lineWidth: 1,
+    direction: 'ltr',
+    imageSmoothingEnabled: true,
+    // Text drawn since the last clearRect, for HUD assertions
+    texts: [],
+  };
+
+  const methods = {
+    clearRect() {
+      state.texts = [];
+    },
+    drawImage(image) {
+      if (taintsCanvas(image)) canvas.tainted = true;
+    },
+    fillText(text, x, y) {
+      state.texts.push({
+        text: String(text),
+        x,
+        y,
+        fillStyle: state.fillStyle,
+      });
+    },
+    measureText: text => ({ width: String(text).length * 8 }),
+    createLinearGradient: () => ({ addColorStop() {} }),
+    createRadialGradient: () => ({ addColorStop() {} }),
+    createPattern: () => ({}),
+    getImageData: (x, y, w, h) => {
+      if (canvas.tainted) throw securityError();
+      return {
+        width: w,
+        height: h,
+        data: new Uint8ClampedArray(w * h * 4),
+      };
+    },
+    putImageData() {},
+    isPointInPath: () => false,
+  };
+
+  return new Proxy(state, {
+    get(target, key) {
+      if (key in target) return target[key];
+      return (...args) => {
+        calls.push([key, ...args]);
+        return methods[key] ? methods[key](...args) : undefined;
+      };
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    },
+  });
+}
+
+class StubElement extends StubEventTarget {
+  constructor(tagName, id) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.id = id || '';
+    this.style = {};
+    this.dataset = {};
+    this.attributes = {};
+    this.children = [];
+    this.parentElement = null;
+    this.textContent = '';
+    this.innerHTML = '';
+    this.hidden = false;
+    this.disabled = false;
+    this.value = '';
+    this.href = '';
+    this.clientWidth = 400;
+    this.clientHeight = 400;
+    const classes = new Set();
+    this.classList = {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      toggle: (name, force) => {
+        const on = force === undefined ? !classes.has(name) : force;
+        on ? classes.add(name) : classes.delete(name);
+        return on;
+      },
+      contains: name => classes.has(name),
+    };
+
+    if (this.tagName === 'CANVAS') {
+      this.width = 300;
+      this.height = 150;
+      this._context = null;
+    }
+  }
+
+  getContext() {
+    if (!this._context) this._context = createContext2d(this);
+    return this._context;
+  }
+
+  toDataURL() {
+    if (this.tainted) throw securityError();
+    return 'data:image/png;base64,';
+  }
+
+  toBlob(callback, type = 'image/png') {
+    if (this.tainted) throw securityError();
+    callback(new Blob([], { type }));
+  }
+
+  getBoundingClientRect() {
+    const width = this.width || this.clientWidth;
+    const height = this.height || this.clientHeight;
+    return { left: 0, top: 0, width, height, right: width, bottom: height };
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  appendChild(child) {
+    child.parentElement = this;
+    this.children.push(child);
+    return child;
+  }
+
+  append(...children) {
+    children.forEach(child => {
+      if (typeof child === 'object') this.appendChild(child);
+    });
+  }
+
+  replaceChildren(...children) {
+    this.children.forEach(child => {
+      child.parentElement = null;
+    });
+    this.children = [];
+    this.append(...children);
+  }
+
+  remove() {
+    if (this.parentElement) {
+      const siblings = this.parentElement.children;
+      siblings.splice(siblings.indexOf(this), 1);
+      this.parentElement = null;
+    }
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  focus() {}
+
+  blur() {}
+
+  click() {
+    this.dispatchEvent(new StubEvent('click'));
+  }
+}
+
+// Pull the element ids out of a template's index.html so getElementById
+// returns the same elements the page has (hidden ones start out hidden, and
+// quoted attributes are copied over)
+function readElementIds(html) {
+  const ids = [];
+  const pattern = /<(\w+)([^>]*)>/g;
+  let match;
+  while ((match = pattern.exec(html))) {
+    const id = match[2].match(/\sid="([^"]+)"/);
+    if (id) {
+      ids.push({
+        tag: match[1],
+        id: id[1],
+        hidden: /\shidden(\s|=|\/?$)/.test(match[2]),
+        attributes: Object.fromEntries(
+          [...match[2].matchAll(/\s([\w-]+)="([^"]*)"/g)].map(
+            ([, name, value]) => [name, value]
+          )
+        ),
+      });
+    }
+  }
+  return ids;
+}
+
+function readScriptSources(html) {
+  const sources = [];
+  const pattern = /<script[^>]*\ssrc="([^"]+)"/g;
+  let match;
+  while ((match = pattern.exec(html))) {
+    sources.push(match[1]);
+  }
+  return sources;
+}
+
+// Serve fetch() from the repo so asset manifests resolve offline. Absolute
+// URLs only reach the network through `network` (e.g. a local mock server).
+function createFetch(templateDir, network) {
+  return async (url, init) => {
+    const target = String(url);
+    const notFound = { ok: false, status: 404, json: async () => ({}) };
+    if (/^[a-z]+:/i.test(target)) {
+      return network ? network(target, init) : notFound;
+    }
+
+    const file = path.resolve(templateDir, target.split('?')[0]);
+    if (!file.startsWith(ROOT_DIR) || !fs.existsSync(file)) return notFound;
+
+    const body = fs.readFileSync(file, 'utf8');
+    return {
+      ok: true,
+      status: 200,
+      json: async () => JSON.parse(body),
+      text: async () => body,
+    };
+  };
+}
+
+function createStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+    clear: () => data.clear(),
+    key: index => Array.from(data.keys())[index] || null,
+    get length() {
+      return data.size;
+    },
+    dump: () => Object.fromEntries(data),
+  };
+}
+
+// Fake clock driving performance.now, setTimeout/setInterval and rAF
+function createClock() {
+  const clock = {
+    now: 0,
+    nextId: 1,
+    timers: new Map(),
+    frames: new Map(),
+  };
+
+  clock.setTimeout = (callback, delay = 0, ...args) => {
+    const id = clock.nextId++;
+    clock.timers.set(id, { callback, at: clock.now + delay, args });
+    return id;
+  };
+  clock.setInterval = (callback, delay = 0, ...args) => {
+    const id = clock.nextId++;
+    clock.timers.set(id, {
+      callback,
+      at: clock.now + delay,
+      args,
+      interval: Math.max(1, delay),
+    });
+    return id;
+  };
+  clock.clearTimeout = id => clock.timers.delete(id);
+  clock.clearInterval = clock.clearTimeout;
+  clock.requestAnimationFrame = callback => {
+    const id = clock.nextId++;
+    clock.frames.set(id, callback);
+    return id;
+  };
+  clock.cancelAnimationFrame = id => clock.frames.delete(id);
+
+  // Move time forward by ms, firing due timers, then run one animation frame
+  clock.tick = ms => {
+    const target = clock.now + ms;
+    for (;;) {
+      const due = Array.from(clock.timers.entries())
+        .filter(([, timer]) => timer.at <= target)
+        .sort((a, b) => a[1].at - b[1].at)[0];
+      if (!due) break;
+      const [id, timer] = due;
+      clock.now = Math.max(clock.now, timer.at);
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        clock.timers.delete(id);
+      }
+      timer.callback(...timer.args);
+    }
+    clock.now = target;
+
+    const frames = Array.from(clock.frames.values());
+    clock.frames.clear();
+    frames.forEach(callback => callback(clock.now));
+  };
+
+  return clock;
+}
+
+// Let pending promise callbacks (asset loading, manifest fetches) settle
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Stub window / document for the index.html in `pageDir`, with its scripts
+// run in a vm context
+function createPage(pageDir, options = {}) {
+  const pagePath = `/${path.relative(ROOT_DIR, pageDir)}/index.html`;
+  const html = fs.readFileSync(path.join(pageDir, 'index.html'), 'utf8');
+  const clock = createClock();
+  const storage = createStorage(options.storage);
+  const failingImages = options.failingImages || [];
+  const noCorsImages = options.noCorsImages || [];
+
+  const window = new StubEventTarget();
+  const document = new StubEventTarget();
+  const body = new StubElement('body');
+  const container = new StubElement('div');
+  container.clientWidth = options.width || 400;
+  container.clientHeight = options.height || 400;
+
+  const elements = new Map();
+  readElementIds(html).forEach(({ tag, id, hidden, attributes }) => {
+    const element = new StubElement(tag, id);
+    element.hidden = hidden;
+    Object.assign(element.attributes, attributes);
+    (tag === 'canvas' ? container : body).appendChild(element);
+    elements.set(id, element);
+  });
+
+  Object.assign(document, {
+    body,
+    documentElement: new StubElement('html'),
+    visibilityState: 'visible',
+    hidden: false,
+    getElementById: id => elements.get(id) || null,
+    createElement: tag => new StubElement(tag),
+    querySelector: () => null,
+    // Only attribute selectors ('[data-x]') over the elements with ids
+    querySelectorAll: selector => {
+      const attribute = selector.match(/^\[([\w-]+)\]$/);
+      if (!attribute) return [];
+      return [...elements.values()].filter(
+        element => element.getAttribute(attribute[1]) !== null
+      );
+    },
+  });
+
+  class StubImage extends StubEventTarget {
+    constructor(width, height) {
+      super();
+      this.width = width || 0;
+      this.height = height || 0;
+      this.naturalWidth = this.width;
+      this.naturalHeight = this.height;
+      this._src = '';
+    }
+
+    get src() {
+      return this._src;
+    }
+
+    set src(value) {
+      this._src = value;
+      // Hosts without CORS headers refuse requests made with crossOrigin
+      const fails =
+        failingImages.some(pattern => value.includes(pattern)) ||
+        (this.crossOrigin &&
+          noCorsImages.some(pattern => value.includes(pattern)));
+      setImmediate(() => {
+        if (fails) {
+          if (this.onerror) this.onerror(new StubEvent('error'));
+          return;
+        }
+        this.width = this.width || 100;
+        this.height = this.height || 100;
+        this.naturalWidth = this.width;
+        this.naturalHeight = this.height;
+        if (this.onload) this.onload();
+      });
+    }
+  }
+
+  const navigator = {
+    language: options.language || 'en-US',
+    languages: [options.language || 'en-US'],
+    userAgent: 'node-harness',
+    getGamepads: () => [],
+    ...options.navigator,
+  };
+
+  Object.assign(window, {
+    location: {
+      search: options.search || '',
+      pathname: pagePath,
+      origin: PAGE_ORIGIN,
+      href: `http://localhost${pagePath}${options.search || ''}`,
+      // Where location.replace() sent the page, if anywhere
+      replacedWith: null,
+      replace(url) {
+        this.replacedWith = url;
+      },
+    },
+    innerWidth: options.width || 400,
+    innerHeight: options.height || 400,
+    devicePixelRatio: 1,
+    matchMedia: query => ({
+      matches: Boolean(options.media && options.media[query]),
+      addEventListener() {},
+      removeEventListener() {},
+    }),
+    ...options.window,
+  });
+
+  const context = {
+    window,
+    document,
+    navigator,
+    console: options.console || console,
+    localStorage: storage,
+    Image: StubImage,
+    Event: StubEvent,
+    CustomEvent: StubCustomEvent,
+    URL,
+    URLSearchParams,
+    Blob,
+    File,
+    Intl,
+    Promise,
+    fetch: options.fetch || createFetch(pageDir, options.network),
+    performance: { now: () => clock.now },
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    setInterval: clock.setInterval,
+    clearInterval: clock.clearInterval,
+    requestAnimationFrame: clock.requestAnimationFrame,
+    cancelAnimationFrame: clock.cancelAnimationFrame,
+    ...options.globals,
+  };
+  window.window = window;
+  window.document = document;
+  window.navigator = navigator;
+  window.localStorage = storage;
+  vm.createContext(context);
+
+  readScriptSources(html).forEach(src => {
+    const file = path.resolve(pageDir, src);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+
+  const get = name => vm.runInContext(name, context);
+  return { window, document, elements, clock, storage, get };
+}
+
+async function loadGame(templateName, options = {}) {
+  const page = createPage(path.join(TEMPLATES_DIR, templateName), options);
+  const { window, document, elements, clock, storage, get } = page;
+  const canvas = elements.get('gameCanvas');
+  const game = new (get('Game'))('gameCanvas', get('gameConfig'));
+
+  const initPromise = game.init();
+  // Asset loading hops through several promise/immediate turns
+  for (let i = 0; i < 10; i++) await flushPromises();
+  await initPromise;
+
+  const sim = {
+    game,
+    window,
+    document,
+    canvas,
+    clock,
+    storage,
+    // Read any global the template scripts declared
+    get,
+    element: id => elements.get(id),
+
+    // Simulate `seconds` of play at `fps` frames per second
+    advance(seconds, fps = 60) {
+      const frameMs = 1000 / fps;
+      const frames = Math.round((seconds * 1000) / frameMs);
+      for (let i = 0; i < frames; i++) clock.tick(frameMs);
+    },
+
+    // Advance frame by frame until `predicate()` is true, up to a time limit
+    advanceUntil(predicate, maxSeconds = 30, fps = 60) {
+      const frameMs = 1000 / fps;
+      for (let elapsed = 0; elapsed < maxSeconds * 1000; elapsed += frameMs) {
+        if (predicate()) return true;
+        clock.tick(frameMs);
+      }
+      return predicate();
+    },
+
+    press(key, init = {}) {
+      const event = new StubEvent('keydown', { key, code: key, ...init });
+      window.dispatchEvent(event);
+      window.dispatchEvent(new StubEvent('keyup', { key, code: key, ...init }));
+    },
+
+    // Key down without the key up, for movement while a key is held
+    hold(key) {
+      window.dispatchEvent(new StubEvent('keydown', { key, code: key }));
+    },
+
+    release(key) {
+      window.dispatchEvent(new StubEvent('keyup', { key, code: key }));
+    },
+
+    tap(x = 10, y = 10) {
+      const touch = { clientX: x, clientY: y };
+      canvas.dispatchEvent(
+        new StubEvent('touchstart', {
+          touches: [touch],
+          changedTouches: [touch],
+        })
+      );
+      canvas.dispatchEvent(
+        new StubEvent('touchend', { touches: [], changedTouches: [touch] })
+      );
+    },
+
+    swipe(dx, dy, from = { x: 200, y: 200 }) {
+      const start = { clientX: from.x, clientY: from.y };
+      const end = { clientX: from.x + dx, clientY: from.y + dy };
+      canvas.dispatchEvent(
+        new StubEvent('touchstart', {
+          touches: [start],
+          changedTouches: [start],
+        })
+      );
+      canvas.dispatchEvent(
+        new StubEvent('touchend', { touches: [], changedTouches: [end] })
+      );
+    },
+
+    // Page visibility changes, as when switching tabs
+    setHidden(hidden) {
+      document.hidden = hidden;
+      document.visibilityState = hidden ? 'hidden' : 'visible';
+      document.dispatchEvent(new StubEvent('visibilitychange'));
+    },
+
+    blur() {
+      window.dispatchEvent(new StubEvent('blur'));
+    },
+
+    click(id) {
+      elements.get(id).dispatchEvent(new StubEvent('click'));
+    },
+
+    // Text drawn on the game canvas in the most recent frame
+    drawnText() {
+      return canvas.getContext('2d').texts.map(entry => entry.text);
+    },
+
+    flush: flushPromises,
+  };
+
+  return sim;
+}
+
+// The launcher page (game-templates/index.html), once it has rendered
+async function loadLauncher(options = {}) {
+  const page = createPage(TEMPLATES_DIR, options);
+  const launcher = new (page.get('Launcher'))();
+  await launcher.init();
+  // Thumbnails are drawn after their images load
+  for (let i = 0; i < 5; i++) await flushPromises();
+  return { ...page, launcher, element: id => page.elements.get(id) };
+}
+
+module.exports = {
+  loadGame,
+  loadLauncher,
+  createStorage,
+  StubEvent,
+  flushPromises,
+};
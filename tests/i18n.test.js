@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+test('?lang=he draws the HUD in Hebrew from right to left', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&lang=he' });
+  const { game } = sim;
+  const ctx = game.ctx;
+  sim.advance(0.1);
+
+  assert.strictEqual(sim.get('GAME_LOCALE').lang, 'he');
+  assert.strictEqual(ctx.direction, 'rtl');
+  const score = ctx.texts.find(entry => entry.text === 'ניקוד: 0');
+  assert.ok(score);
+  // The score sits at the start of the line, which is the right edge
+  assert.strictEqual(score.x, game.canvas.width - 10);
+
+  sim.advanceUntil(() => game.gameOver);
+  sim.click('leaderboard-skip');
+  sim.advance(0.1);
+  const texts = sim.drawnText();
+  assert.ok(texts.includes('המשחק נגמר'));
+  assert.ok(texts.includes('הקישו או לחצו Enter כדי לשחק שוב'));
+  assert.strictEqual(
+    sim.element('btn-pause').getAttribute('aria-label'),
+    'השהיה'
+  );
+});
+
+test('the browser language is used without ?lang=', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1',
+    language: 'he-IL',
+  });
+  assert.strictEqual(sim.get('GAME_LOCALE').dir, 'rtl');
+  assert.strictEqual(sim.document.documentElement.dir, 'rtl');
+  assert.strictEqual(sim.document.documentElement.lang, 'he');
+  assert.strictEqual(
+    sim.element('loading-text').textContent,
+    'טוען את המשחק...'
+  );
+  assert.strictEqual(
+    sim.element('difficulty-select').getAttribute('aria-label'),
+    'רמת קושי'
+  );
+
+  sim.advance(0.1);
+  assert.ok(sim.drawnText().includes('שיא: 0'));
+});
+
+test('unsupported languages fall back to English', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1&lang=xx',
+    language: 'de-DE',
+  });
+  const translate = sim.get('translate');
+  assert.strictEqual(sim.get('GAME_LOCALE').lang, 'en');
+  assert.strictEqual(sim.game.ctx.direction, 'ltr');
+  assert.strictEqual(translate('score', { score: 3 }), 'Score: 3');
+  // Unknown keys come back as-is
+  assert.strictEqual(translate('noSuchString'), 'noSuchString');
+  assert.strictEqual(
+    sim.element('loading-text').textContent,
+    'Loading game assets...'
+  );
+});
+
+test('topics can translate their title and summary', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=sharks&lang=he',
+    console: { ...console, warn() {} },
+  });
+  assert.strictEqual(sim.game.story.title, 'כרישים בחדרה');
+  assert.strictEqual(sim.game.story.summary, 'כריש אכל אדם');
+
+  const english = await loadGame('collect-it', {
+    search: '?topic=sharks',
+    console: { ...console, warn() {} },
+  });
+  assert.strictEqual(english.game.story.title, 'sharks in hadara');
+});
+
+test('every language translates every English string', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const strings = sim.get('I18N_STRINGS');
+  const english = Object.keys(strings.en).sort();
+  for (const lang of Object.keys(strings)) {
+    assert.deepStrictEqual(Object.keys(strings[lang]).sort(), english, lang);
+  }
+});
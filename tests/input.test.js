@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, StubEvent } = require('./harness');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Gamepad whose buttons and stick the test can move between frames
+function createGamepad() {
+  return {
+    index: 0,
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false })),
+    axes: [0, 0],
+  };
+}
+
+test('Space flaps in dodge-the-danger and restarts after game over', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+
+  sim.advance(0.2);
+  sim.press(' ');
+  assert.strictEqual(game.bird.velocity, game.jumpVelocity);
+
+  sim.advanceUntil(() => game.gameOver);
+  sim.click('leaderboard-skip');
+  sim.press(' ');
+  assert.strictEqual(game.scene, 'playing');
+  // Restarting doesn't also flap the new run
+  assert.strictEqual(game.bird.velocity, 0);
+});
+
+test('collect-it steers with WASD, swipes and the on-screen buttons', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1&seed=input' });
+  const direction = () => plain(sim.game.character.nextDirection);
+
+  sim.press('s');
+  assert.deepStrictEqual(direction(), { x: 0, y: 1 });
+  sim.swipe(-80, 10);
+  assert.deepStrictEqual(direction(), { x: -1, y: 0 });
+  sim.click('btn-up');
+  assert.deepStrictEqual(direction(), { x: 0, y: -1 });
+
+  // Short movements are taps, not swipes
+  sim.swipe(0, 20);
+  assert.deepStrictEqual(direction(), { x: 0, y: -1 });
+});
+
+test('keys typed into the leaderboard name field are not game input', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  const { game } = sim;
+  sim.advanceUntil(() => game.gameOver);
+
+  const input = sim.element('leaderboard-name');
+  sim.window.dispatchEvent(
+    new StubEvent('keydown', { key: 'p', target: input })
+  );
+  sim.window.dispatchEvent(
+    new StubEvent('keydown', { key: ' ', target: input })
+  );
+  assert.strictEqual(game.scene, 'gameOver');
+});
+
+test('remapped keys are saved and used by every template', async () => {
+  const sim = await loadGame('dodge-the-danger', { search: '?topic=1' });
+  sim.game.input.setBinding('keys', 'flap', ['f']);
+  const saved = sim.storage.getItem('input_bindings');
+  assert.deepStrictEqual(JSON.parse(saved).keys.flap, ['f']);
+
+  const reloaded = await loadGame('dodge-the-danger', {
+    search: '?topic=1',
+    storage: { input_bindings: saved },
+  });
+  const { game } = reloaded;
+  reloaded.advance(0.2);
+  reloaded.press('ArrowUp');
+  assert.notStrictEqual(game.bird.velocity, game.jumpVelocity);
+  reloaded.press('F');
+  assert.strictEqual(game.bird.velocity, game.jumpVelocity);
+
+  // Broken storage falls back to the defaults
+  const broken = await loadGame('collect-it', {
+    search: '?topic=1',
+    storage: { input_bindings: '{nope' },
+    console: { ...console, warn() {} },
+  });
+  assert.deepStrictEqual(plain(broken.game.input.bindings.keys.flap), [
+    'Space',
+    'ArrowUp',
+    'w',
+  ]);
+});
+
+test('the controls panel pauses the game and rebinds a key', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const { game } = sim;
+  const list = sim.element('controls-list');
+  const keyButton = action =>
+    list.children[game.actions.indexOf(action)].children[1];
+
+  sim.click('btn-controls');
+  assert.strictEqual(sim.element('controls-panel').hidden, false);
+  assert.strictEqual(game.scene, 'paused');
+  assert.strictEqual(keyButton('up').textContent, '↑ / W');
+
+  keyButton('up').click();
+  assert.strictEqual(keyButton('up').textContent, 'Press a key…');
+  sim.press('i');
+  await sim.flush();
+  assert.strictEqual(keyButton('up').textContent, 'I');
+  // Keys don't reach the game while the panel is open
+  sim.press('Enter');
+  assert.strictEqual(game.scene, 'paused');
+
+  sim.click('controls-close');
+  sim.press('Enter');
+  sim.advanceUntil(() => game.isPlaying, 5);
+  sim.press('i');
+  assert.deepStrictEqual(plain(game.character.nextDirection), {
+    x: 0,
+    y: -1,
+  });
+
+  sim.click('btn-controls');
+  sim.click('controls-reset');
+  assert.strictEqual(keyButton('up').textContent, '↑ / W');
+  assert.strictEqual(sim.storage.getItem('input_bindings'), null);
+});
+
+test('gamepad buttons and the left stick fire actions once per press', async () => {
+  const gamepad = createGamepad();
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1',
+    navigator: { getGamepads: () => [gamepad, null] },
+  });
+  const { game } = sim;
+  sim.window.dispatchEvent(new StubEvent('gamepadconnected', { gamepad }));
+
+  gamepad.axes[1] = 0.9;
+  sim.advance(1 / 60);
+  assert.deepStrictEqual(plain(game.character.nextDirection), {
+    x: 0,
+    y: 1,
+  });
+
+  gamepad.buttons[9].pressed = true;
+  sim.advance(0.5);
+  assert.strictEqual(game.scene, 'paused');
+
+  // Held buttons don't repeat; releasing and pressing again does
+  gamepad.buttons[9].pressed = false;
+  sim.advance(1 / 60);
+  gamepad.buttons[9].pressed = true;
+  sim.advance(1 / 60);
+  assert.strictEqual(game.scene, 'countdown');
+});
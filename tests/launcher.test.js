@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, loadLauncher } = require('./harness');
+
+const cardFor = (page, topic) =>
+  page
+    .element('launcher-gallery')
+    .children.find(card => card.id === `topic-${topic}`);
+
+// [link text, link href, best score text] for each template on a card
+const cardLinks = card =>
+  card.children[2].children.map(item => [
+    item.children[0].textContent,
+    item.children[0].href,
+    item.children[1].textContent,
+  ]);
+
+// Stored leaderboard with one entry per score, best first
+const board = (...scores) =>
+  JSON.stringify(
+    scores.map(score => ({ name: 'Ada', score, date: null, meta: {} }))
+  );
+
+test('the launcher shows a card per topic with covers or thumbnails', async () => {
+  const page = await loadLauncher({
+    storage: {
+      dodgeDanger_leaderboard_1: board(3),
+      dodgeDanger_leaderboard_1_hard: board(7, 2),
+      collectIt_leaderboard_10: board(99),
+    },
+  });
+  const gallery = page.element('launcher-gallery');
+  assert.deepStrictEqual(
+    gallery.children.map(card => card.id),
+    ['1', '2', '3', '4', 'forest-adventure', 'sharks'].map(t => `topic-${t}`)
+  );
+  assert.strictEqual(page.element('launcher-status').hidden, true);
+
+  const sharks = cardFor(page, 'sharks');
+  const cover = sharks.children[0].children[0];
+  assert.strictEqual(cover.tagName, 'IMG');
+  assert.strictEqual(
+    cover.src,
+    'http://localhost/game-assets/sharks/cover-image.png'
+  );
+  assert.strictEqual(sharks.children[1].textContent, 'sharks in hadara');
+
+  // No cover: background and character drawn onto a canvas
+  const diver = cardFor(page, '1');
+  const thumbnail = diver.children[0].children[0];
+  assert.strictEqual(thumbnail.tagName, 'CANVAS');
+  const drawn = thumbnail
+    .getContext('2d')
+    .calls.filter(([name]) => name === 'drawImage')
+    .map(([, image]) => image.src);
+  assert.deepStrictEqual(drawn, [
+    'http://localhost/game-assets/1/background.png',
+    'http://localhost/game-assets/1/character.png',
+  ]);
+
+  // Best over every board for the pair; topic "10" isn't topic "1"
+  assert.deepStrictEqual(cardLinks(diver), [
+    ['Catch It', '?template=catch-it&topic=1', 'Not played yet'],
+    ['Collect It Game', '?template=collect-it&topic=1', 'Not played yet'],
+    ['Dodge the Danger', '?template=dodge-the-danger&topic=1', 'Best: 7'],
+  ]);
+});
+
+test('a deep link opens the game and keeps the server and language', async () => {
+  const page = await loadLauncher({
+    search: '?template=catch-it&topic=sharks&lang=he&utm=x',
+  });
+  assert.strictEqual(
+    page.window.location.replacedWith,
+    'catch-it/index.html?topic=sharks&lang=he'
+  );
+});
+
+test('unknown topics and templates show the gallery with a notice', async () => {
+  const page = await loadLauncher({
+    search: '?template=collect-it&topic=no-such-topic',
+  });
+  assert.strictEqual(page.window.location.replacedWith, null);
+  const notice = page.element('launcher-notice');
+  assert.strictEqual(notice.hidden, false);
+  assert.match(notice.textContent, /no-such-topic/);
+  assert.strictEqual(page.element('launcher-gallery').children.length, 6);
+
+  const template = await loadLauncher({
+    search: '?template=tetris&topic=sharks',
+  });
+  assert.match(template.element('launcher-notice').textContent, /tetris/);
+  assert.ok(cardFor(template, 'sharks').classList.contains('selected'));
+});
+
+test('the game server lists topics when there is one', async () => {
+  const requests = [];
+  const api = {
+    'http://127.0.0.1:8080/api/templates': { templates: ['collect-it'] },
+    'http://127.0.0.1:8080/api/topics': {
+      topics: [
+        {
+          topic: 'sharks',
+          title: 'sharks in hadara',
+          hasFolder: true,
+          assets: { cover: '/game-assets/sharks/cover-image.png' },
+          translations: { he: { title: 'כרישים בחדרה' } },
+        },
+        { topic: 'story-1', title: 'No art', hasFolder: false, assets: {} },
+      ],
+    },
+  };
+  const page = await loadLauncher({
+    search: '?server=http://127.0.0.1:8080&lang=he',
+    fetch: async url => {
+      requests.push(url);
+      return { ok: true, status: 200, json: async () => api[url] };
+    },
+  });
+
+  assert.deepStrictEqual(requests, Object.keys(api));
+  const sharks = cardFor(page, 'sharks');
+  assert.strictEqual(page.element('launcher-gallery').children.length, 1);
+  assert.strictEqual(sharks.children[1].textContent, 'כרישים בחדרה');
+  assert.strictEqual(
+    sharks.children[0].children[0].src,
+    'http://127.0.0.1:8080/game-assets/sharks/cover-image.png'
+  );
+  assert.deepStrictEqual(cardLinks(sharks), [
+    [
+      'אסוף את זה',
+      '?template=collect-it&topic=sharks&server=http%3A%2F%2F127.0.0.1%3A8080&lang=he',
+      'עוד לא שוחק',
+    ],
+  ]);
+});
+
+test('best scores come from the leaderboards of exactly that topic', async () => {
+  const topic = name => ({ topic: name, title: name, hasFolder: true });
+  const api = {
+    'http://127.0.0.1:8080/api/templates': { templates: ['catch-it'] },
+    'http://127.0.0.1:8080/api/topics': {
+      topics: [topic('a'), topic('a_b'), topic('c')],
+    },
+  };
+  const page = await loadLauncher({
+    search: '?server=http://127.0.0.1:8080',
+    fetch: async url => ({ ok: true, status: 200, json: async () => api[url] }),
+    storage: {
+      catchIt_leaderboard_a_assist: board(4),
+      catchIt_leaderboard_a_b: board(40),
+      'catchIt_leaderboard_a_b_daily_2026-01-01': board(50),
+      catchIt_leaderboard_c: '{ broken',
+      catchIt_best_a: '6',
+    },
+  });
+
+  const best = name => cardLinks(cardFor(page, name))[0][2];
+  assert.strictEqual(best('a'), 'Best: 6');
+  assert.strictEqual(best('a_b'), 'Best: 50');
+  assert.strictEqual(best('c'), 'Not played yet');
+});
+
+test('a migrated high score still shows in the gallery', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=2',
+    storage: { dodgeDanger_highScore_2: '12' },
+  });
+  await sim.flush();
+  assert.strictEqual(sim.storage.getItem('dodgeDanger_highScore_2'), null);
+
+  const page = await loadLauncher({ storage: sim.storage.dump() });
+  assert.strictEqual(cardLinks(cardFor(page, '2'))[2][2], 'Best: 12');
+});
+
+test('games without a usable topic play with the template art', async () => {
+  for (const search of ['', '?topic=../secrets', '?topic=%20']) {
+    const fetched = [];
+    const sim = await loadGame('dodge-the-danger', {
+      search,
+      fetch: async url => {
+        fetched.push(url);
+        return { ok: false, status: 404, json: async () => ({}) };
+      },
+      console: { ...console, warn() {} },
+    });
+    assert.deepStrictEqual(fetched, [], search);
+    assert.strictEqual(sim.game.topic, 'default');
+    assert.ok(sim.game.images.character.src.endsWith('assets/player.jpg'));
+    sim.advanceUntil(() => sim.game.gameOver, 5);
+    assert.strictEqual(sim.game.scene, 'gameOver');
+  }
+});
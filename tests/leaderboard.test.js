@@ -0,0 +1,227 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadGame, StubEvent } = require('./harness');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Play collect-it into the wall after collecting one item
+async function finishWithOnePoint(options = {}) {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1&seed=board',
+    ...options,
+  });
+  const { game } = sim;
+  game.item = new (sim.get('Item'))(game.config, 11, 10);
+  sim.advanceUntil(() => game.gameOver);
+  return sim;
+}
+
+function submitName(sim, name) {
+  sim.element('leaderboard-name').value = name;
+  sim.element('leaderboard-form').dispatchEvent(new StubEvent('submit'));
+  return sim.flush();
+}
+
+// Wait for real network round trips, which take more than one tick
+async function until(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(predicate(), 'timed out waiting for the score server');
+}
+
+// Mock score server speaking the HttpLeaderboardAdapter protocol
+function startScoreServer(handler) {
+  const boards = {};
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, body });
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (handler) return handler(req, reply);
+
+      if (req.method === 'GET' && url.pathname === '/api/scores') {
+        return reply(200, { entries: boards[url.searchParams.get('board')] });
+      }
+      if (req.method === 'POST' && url.pathname === '/api/scores') {
+        const { board, entry } = JSON.parse(body);
+        boards[board] = [...(boards[board] || []), entry];
+        return reply(200, { entries: boards[board] });
+      }
+      reply(404, { error: 'Not found' });
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/api`,
+        boards,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+test('a qualifying run saves a named entry with run metadata', async () => {
+  const sim = await finishWithOnePoint();
+  const { game } = sim;
+
+  assert.strictEqual(sim.element('leaderboard-panel').hidden, false);
+  await submitName(sim, '  Ada  ');
+
+  const stored = JSON.parse(sim.storage.getItem('collectIt_leaderboard_1'));
+  assert.strictEqual(stored.length, 1);
+  assert.strictEqual(stored[0].name, 'Ada');
+  assert.strictEqual(stored[0].score, 1);
+  assert.ok(!Number.isNaN(Date.parse(stored[0].date)));
+  assert.strictEqual(stored[0].meta.seed, 'board');
+  assert.ok(stored[0].meta.duration > 0);
+
+  const rows = sim.element('leaderboard-list').children;
+  assert.strictEqual(rows.length, 1);
+  assert.ok(rows[0].classList.contains('highlight'));
+  assert.strictEqual(sim.storage.getItem('leaderboard_lastName'), 'Ada');
+
+  sim.click('leaderboard-play-again');
+  assert.strictEqual(game.scene, 'playing');
+  assert.strictEqual(sim.element('leaderboard-panel').hidden, true);
+});
+
+test('a new high score is kept when the name form is skipped', async () => {
+  const sim = await finishWithOnePoint();
+  sim.click('leaderboard-skip');
+  assert.strictEqual(sim.storage.getItem('collectIt_leaderboard_1'), null);
+  assert.strictEqual(sim.storage.getItem('collectIt_best_1'), '1');
+
+  const reloaded = await loadGame('collect-it', {
+    search: '?topic=1',
+    storage: sim.storage.dump(),
+  });
+  assert.strictEqual(reloaded.game.highScore, 1);
+
+  // Play again without a name keeps it too
+  const again = await finishWithOnePoint();
+  again.click('leaderboard-play-again');
+  const reloadedAgain = await loadGame('collect-it', {
+    search: '?topic=1',
+    storage: again.storage.dump(),
+  });
+  assert.strictEqual(reloadedAgain.game.highScore, 1);
+});
+
+test('runs that miss a full board skip the name form', async () => {
+  const entries = Array.from({ length: 10 }, (_, i) => ({
+    name: `P${i}`,
+    score: 5,
+    date: '2025-01-01T00:00:00.000Z',
+    meta: {},
+  }));
+  const sim = await finishWithOnePoint({
+    storage: { collectIt_leaderboard_1: JSON.stringify(entries) },
+  });
+
+  assert.strictEqual(sim.game.highScore, 5);
+  assert.strictEqual(sim.game.leaderboardPanel.isOpen, false);
+  sim.press('Enter');
+  assert.strictEqual(sim.game.scene, 'playing');
+});
+
+test('the local adapter keeps only the top entries, best first', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const Adapter = sim.get('LocalStorageLeaderboardAdapter');
+  const adapter = new Adapter(sim.get('gameStorage'), 3);
+
+  for (const score of [4, 9, 1, 7]) {
+    await adapter.addEntry('board', { name: 'x', score, date: null });
+  }
+
+  const scores = (await adapter.getEntries('board')).map(e => e.score);
+  assert.deepStrictEqual(plain(scores), [9, 7, 4]);
+});
+
+test('old single high scores migrate onto the board', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=1',
+    storage: { collectIt_highScore_1: '12' },
+  });
+
+  assert.strictEqual(sim.game.highScore, 12);
+  assert.strictEqual(sim.storage.getItem('collectIt_highScore_1'), null);
+  const stored = JSON.parse(sim.storage.getItem('collectIt_leaderboard_1'));
+  assert.deepStrictEqual(stored, [
+    { name: '---', score: 12, date: null, meta: { migrated: true } },
+  ]);
+});
+
+test('the HTTP adapter reads and writes boards on a score server', async () => {
+  const server = await startScoreServer();
+  try {
+    const sim = await loadGame('collect-it', { search: '?topic=1' });
+    const Adapter = sim.get('HttpLeaderboardAdapter');
+    const adapter = new Adapter(`${server.url}/`, { fetch });
+
+    assert.deepStrictEqual(plain(await adapter.getEntries('a b')), []);
+    await adapter.addEntry('a b', { name: 'Lo', score: 2, date: 'd1' });
+    const entries = await adapter.addEntry('a b', {
+      name: 'Hi',
+      score: 8,
+      date: 'd2',
+    });
+
+    assert.deepStrictEqual(plain(entries.map(e => e.name)), ['Hi', 'Lo']);
+    assert.strictEqual(server.boards['a b'].length, 2);
+    assert.strictEqual(server.requests[0].path, '/api/scores');
+  } finally {
+    await server.close();
+  }
+});
+
+test('?leaderboard= sends scores to the server instead of localStorage', async () => {
+  const server = await startScoreServer();
+  try {
+    const sim = await finishWithOnePoint({
+      search: `?topic=1&seed=board&leaderboard=${server.url}`,
+      network: fetch,
+    });
+    await submitName(sim, 'Net');
+    await until(() => server.boards.collectIt_leaderboard_1);
+
+    assert.strictEqual(server.boards.collectIt_leaderboard_1[0].name, 'Net');
+    assert.strictEqual(sim.storage.getItem('collectIt_leaderboard_1'), null);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a failing score server leaves the game playable', async () => {
+  const server = await startScoreServer((req, reply) =>
+    reply(500, { error: 'down' })
+  );
+  const warnings = [];
+  try {
+    const sim = await finishWithOnePoint({
+      search: `?topic=1&seed=board&leaderboard=${server.url}`,
+      network: fetch,
+      console: { ...console, warn: (...args) => warnings.push(args) },
+    });
+    await submitName(sim, 'Off');
+    await until(() => sim.game.leaderboard.entries.length > 0);
+
+    assert.strictEqual(sim.game.leaderboard.entries[0].name, 'Off');
+    assert.ok(warnings.length >= 2);
+    sim.press('Enter');
+    assert.strictEqual(sim.game.scene, 'playing');
+  } finally {
+    await server.close();
+  }
+});
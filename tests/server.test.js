@@ -0,0 +1,281 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  createServer,
+  validateScoreSubmission,
+  RateLimiter,
+} = require('../tools/server');
+const { loadGame, StubEvent } = require('./harness');
+
+// Start a server with in-memory scores on a free port
+function startServer(options = {}) {
+  const server = createServer({ scores: null, ...options });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        origin,
+        request: (path, init) => fetch(`${origin}${path}`, init),
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+const postScore = (server, body) =>
+  server.request('/api/scores', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+test('serves template and asset files but nothing else', async () => {
+  const server = await startServer();
+  try {
+    const page = await server.request('/game-templates/collect-it/index.html');
+    assert.strictEqual(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+
+    const manifest = await server.request('/game-assets/1/topic.json');
+    assert.strictEqual(manifest.status, 200);
+    assert.strictEqual(typeof (await manifest.json()).title, 'string');
+
+    const image = await server.request('/game-assets/1/character.png');
+    assert.strictEqual(image.headers.get('content-type'), 'image/png');
+
+    for (const path of [
+      '/inventory.csv',
+      '/tools/server.js',
+      '/game-assets/..%2F..%2Fetc%2Fpasswd',
+      '/game-assets/1/missing.png',
+    ]) {
+      assert.strictEqual((await server.request(path)).status, 404, path);
+    }
+  } finally {
+    await server.close();
+  }
+});
+
+test('files that vanish or fail to read get an error response', async () => {
+  const server = await startServer();
+  const { createReadStream } = fs;
+  try {
+    // Gone between the lookup and the read
+    fs.createReadStream = () => createReadStream(path.join(__dirname, 'gone'));
+    const gone = await server.request('/game-assets/1/topic.json');
+    assert.strictEqual(gone.status, 404);
+
+    // No permission to read it
+    const denied = Object.assign(new Error('EACCES'), { code: 'EACCES' });
+    fs.createReadStream = () =>
+      new Readable({ construct: done => done(denied), read() {} });
+    const unreadable = await server.request('/game-assets/1/topic.json');
+    assert.strictEqual(unreadable.status, 500);
+
+    fs.createReadStream = createReadStream;
+    const page = await server.request('/game-templates/collect-it/index.html');
+    assert.strictEqual(page.status, 200);
+  } finally {
+    fs.createReadStream = createReadStream;
+    await server.close();
+  }
+});
+
+test('m4a sounds are served as audio', async () => {
+  const server = await startServer();
+  const sound = path.join(__dirname, '..', 'game-assets', '1', 'test.m4a');
+  fs.writeFileSync(sound, '');
+  try {
+    const response = await server.request('/game-assets/1/test.m4a');
+    assert.strictEqual(response.headers.get('content-type'), 'audio/mp4');
+  } finally {
+    fs.rmSync(sound);
+    await server.close();
+  }
+});
+
+test('lists templates and topics from game-assets and inventory.csv', async () => {
+  const server = await startServer();
+  try {
+    const { templates } = await (await server.request('/api/templates')).json();
+    assert.ok(templates.includes('collect-it'));
+    assert.ok(templates.includes('dodge-the-danger'));
+    assert.ok(templates.includes('catch-it'));
+
+    const { topics } = await (await server.request('/api/topics')).json();
+    const sharks = topics.find(topic => topic.topic === 'sharks');
+    assert.strictEqual(sharks.hasFolder, true);
+    assert.strictEqual(
+      sharks.assets.cover,
+      '/game-assets/sharks/cover-image.png'
+    );
+
+    const stories = topics.filter(topic => !topic.hasFolder);
+    assert.ok(stories.length > 0);
+    assert.ok(stories.every(topic => topic.story && topic.story.id));
+  } finally {
+    await server.close();
+  }
+});
+
+test('stores scores per board, best first and capped', async () => {
+  const server = await startServer({ rateLimit: 20 });
+  try {
+    for (let score = 1; score <= 12; score++) {
+      const response = await postScore(server, {
+        board: 'collectIt_leaderboard_1',
+        entry: { name: `P${score}`, score, meta: { seed: 'x' } },
+      });
+      assert.strictEqual(response.status, 201);
+    }
+
+    const { entries } = await (
+      await server.request('/api/scores?board=collectIt_leaderboard_1')
+    ).json();
+    assert.strictEqual(entries.length, 10);
+    assert.strictEqual(entries[0].score, 12);
+    assert.strictEqual(entries[9].score, 3);
+    assert.deepStrictEqual(entries[0].meta, { seed: 'x' });
+
+    const other = await (
+      await server.request('/api/scores?board=dodgeDanger_leaderboard_1')
+    ).json();
+    assert.deepStrictEqual(other.entries, []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects malformed score submissions', async () => {
+  const server = await startServer();
+  try {
+    const bad = [
+      { board: 'a/b', entry: { name: 'A', score: 1 } },
+      { board: 'x', entry: { name: '', score: 1 } },
+      { board: 'x', entry: { name: 'A', score: 1.5 } },
+      { board: 'x', entry: { name: 'A', score: -1 } },
+      { board: 'x', entry: { name: 'A', score: 1, meta: [1] } },
+    ];
+    for (const body of bad) {
+      const response = await postScore(server, body);
+      assert.strictEqual(response.status, 400, JSON.stringify(body));
+      assert.ok((await response.json()).error);
+    }
+
+    const notJson = await server.request('/api/scores', {
+      method: 'POST',
+      body: '{nope',
+    });
+    assert.strictEqual(notJson.status, 400);
+
+    const noBoard = await server.request('/api/scores');
+    assert.strictEqual(noBoard.status, 400);
+  } finally {
+    await server.close();
+  }
+});
+
+test('oversized bodies get a 413 response, not a reset connection', async () => {
+  const server = await startServer();
+  try {
+    const response = await postScore(server, {
+      board: 'x',
+      entry: {
+        name: 'A',
+        score: 1,
+        meta: { padding: 'x'.repeat(1024 * 1024) },
+      },
+    });
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(response.headers.get('connection'), 'close');
+    assert.match((await response.json()).error, /too large/);
+
+    // The server keeps taking requests
+    assert.strictEqual((await server.request('/api/topics')).status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rate limits score submissions per client', async () => {
+  const server = await startServer({ rateLimit: 2 });
+  try {
+    const body = { board: 'x', entry: { name: 'A', score: 1 } };
+    assert.strictEqual((await postScore(server, body)).status, 201);
+    assert.strictEqual((await postScore(server, body)).status, 201);
+
+    const limited = await postScore(server, body);
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('RateLimiter opens a new window once the old one expires', () => {
+  const limiter = new RateLimiter(1, 1000);
+
+  assert.strictEqual(limiter.hit('a', 0), 0);
+  assert.strictEqual(limiter.hit('a', 500), 1);
+  assert.strictEqual(limiter.hit('b', 500), 0);
+  assert.strictEqual(limiter.hit('a', 1000), 0);
+});
+
+test('validateScoreSubmission cleans names and keeps plausible dates', () => {
+  const now = Date.parse('2025-05-01T12:00:00.000Z');
+  const { entry } = validateScoreSubmission(
+    {
+      board: 'x',
+      entry: {
+        name: ' Ada\u0007 ',
+        score: 3,
+        date: '2025-05-01T11:59:00.000Z',
+      },
+    },
+    now
+  );
+  assert.strictEqual(entry.name, 'Ada');
+  assert.strictEqual(entry.date, '2025-05-01T11:59:00.000Z');
+
+  const skewed = validateScoreSubmission(
+    { board: 'x', entry: { name: 'A', score: 3, date: '1999-01-01' } },
+    now
+  );
+  assert.strictEqual(skewed.entry.date, '2025-05-01T12:00:00.000Z');
+});
+
+test('games pointed at the server keep leaderboards there', async () => {
+  const server = await startServer();
+  try {
+    const sim = await loadGame('collect-it', {
+      search: `?topic=1&seed=srv&server=${server.origin}`,
+      network: fetch,
+    });
+    const { game } = sim;
+    assert.deepStrictEqual(
+      [...sim.get('GAME_ASSETS').baseUrls],
+      [`${server.origin}/game-assets`]
+    );
+
+    game.item = new (sim.get('Item'))(game.config, 11, 10);
+    sim.advanceUntil(() => game.gameOver);
+    sim.element('leaderboard-name').value = 'Srv';
+    sim.element('leaderboard-form').dispatchEvent(new StubEvent('submit'));
+
+    let entries = [];
+    for (let i = 0; i < 100 && !entries.length; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      entries = (
+        await (
+          await server.request('/api/scores?board=collectIt_leaderboard_1')
+        ).json()
+      ).entries;
+    }
+    assert.strictEqual(entries[0].name, 'Srv');
+  } finally {
+    await server.close();
+  }
+});
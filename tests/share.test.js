@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+// Finish a dodge-the-danger run and press Share once it is offered
+async function shareAfterGameOver(options) {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1&difficulty=hard&seed=abc&analytics=off',
+    ...options,
+  });
+  sim.advanceUntil(() => sim.game.gameOver, 3);
+  assert.strictEqual(sim.element('btn-share').hidden, false);
+
+  sim.click('btn-share');
+  for (let i = 0; i < 5; i++) await sim.flush();
+  return sim;
+}
+
+test('the share button only shows on the game over screen', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  assert.strictEqual(sim.element('btn-share').hidden, true);
+
+  sim.advanceUntil(() => sim.game.gameOver);
+  assert.strictEqual(sim.element('btn-share').hidden, false);
+
+  sim.tap();
+  assert.strictEqual(sim.element('btn-share').hidden, true);
+});
+
+test('shares the result image and deep link through the Web Share API', async () => {
+  const shared = [];
+  const sim = await shareAfterGameOver({
+    navigator: {
+      canShare: data => Boolean(data.files),
+      share: async data => shared.push(data),
+    },
+  });
+
+  assert.strictEqual(shared.length, 1);
+  const [{ files, url, text }] = shared;
+  assert.strictEqual(files[0].type, 'image/png');
+  assert.strictEqual(files[0].name, 'dodgeDanger-1-0.png');
+  assert.match(text, /I scored 0/);
+  // Same template and rules, without player settings like ?analytics=
+  assert.strictEqual(
+    url,
+    'http://localhost/game-templates/dodge-the-danger/index.html?topic=1&difficulty=hard&seed=abc'
+  );
+  assert.strictEqual(sim.element('share-status').hidden, true);
+});
+
+test('without Web Share it downloads the image and copies the link', async () => {
+  const copied = [];
+  const sim = await shareAfterGameOver({
+    navigator: {
+      clipboard: { writeText: async text => copied.push(text) },
+    },
+  });
+
+  assert.strictEqual(copied.length, 1);
+  assert.match(copied[0], /dodge-the-danger\/index\.html\?topic=1/);
+  const status = sim.element('share-status');
+  assert.strictEqual(status.hidden, false);
+  assert.strictEqual(status.textContent, 'Image saved and link copied');
+});
+
+test('a cancelled share sheet does not fall back to downloading', async () => {
+  const copied = [];
+  await shareAfterGameOver({
+    navigator: {
+      canShare: () => true,
+      share: async () => {
+        const error = new Error('cancelled');
+        error.name = 'AbortError';
+        throw error;
+      },
+      clipboard: { writeText: async text => copied.push(text) },
+    },
+  });
+
+  assert.strictEqual(copied.length, 0);
+});
+
+test('the result card shows the score, high score and story title', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=sharks',
+    storage: { collectIt_highScore_sharks: '9' },
+    console: { ...console, warn() {} },
+  });
+  sim.game.score = 4;
+
+  const card = sim.get('createResultCard')(sim.game);
+  const texts = card.getContext('2d').texts.map(entry => entry.text);
+
+  assert.strictEqual(card.width, 1200);
+  assert.ok(texts.includes('sharks in hadara'));
+  assert.ok(texts.includes('4'));
+  assert.ok(texts.includes('High Score: 9'));
+});
+
+// Topic art served from another origin
+const remoteTopic = {
+  search: '?topic=1&assetBase=https://cdn.example/game-assets',
+  fetch: async () => ({
+    ok: true,
+    status: 200,
+    json: async () => ({
+      title: 'Remote',
+      assets: {
+        character: 'character.png',
+        item: 'item.png',
+        background: 'background.png',
+      },
+    }),
+  }),
+};
+
+test('art from another origin is loaded with CORS and shared as an image', async () => {
+  const shared = [];
+  const sim = await shareAfterGameOver({
+    ...remoteTopic,
+    navigator: {
+      canShare: data => Boolean(data.files),
+      share: async data => shared.push(data),
+    },
+  });
+
+  const { background } = sim.game.images;
+  assert.strictEqual(
+    background.src,
+    'https://cdn.example/game-assets/1/background.png'
+  );
+  assert.strictEqual(background.crossOrigin, 'anonymous');
+  assert.strictEqual(shared.length, 1);
+  assert.strictEqual(shared[0].files.length, 1);
+});
+
+test('art from a host without CORS still loads and is shared as text', async () => {
+  const shared = [];
+  const sim = await shareAfterGameOver({
+    ...remoteTopic,
+    noCorsImages: ['cdn.example'],
+    navigator: {
+      canShare: () => true,
+      share: async data => shared.push(data),
+    },
+    console: { ...console, warn() {} },
+  });
+
+  const { background } = sim.game.images;
+  assert.strictEqual(
+    background.src,
+    'https://cdn.example/game-assets/1/background.png'
+  );
+  assert.strictEqual(background.crossOrigin, undefined);
+  assert.strictEqual(shared.length, 1);
+  assert.strictEqual(shared[0].files, undefined);
+  assert.match(shared[0].text, /I scored/);
+});
+
+test('a tainted result card falls back to sharing the text and link', async () => {
+  const shared = [];
+  const copied = [];
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=1',
+    navigator: {
+      canShare: () => true,
+      share: async data => shared.push(data),
+      clipboard: { writeText: async text => copied.push(text) },
+    },
+    console: { ...console, warn() {} },
+  });
+  // Art from a server that doesn't allow CORS
+  const image = new (sim.get('Image'))();
+  image.src = 'https://no-cors.example/background.png';
+  await sim.flush();
+  sim.game.images.background = image;
+  sim.advanceUntil(() => sim.game.gameOver, 3);
+
+  sim.click('btn-share');
+  for (let i = 0; i < 5; i++) await sim.flush();
+  assert.strictEqual(shared.length, 1);
+  assert.strictEqual(shared[0].files, undefined);
+  assert.match(shared[0].text, /I scored 0/);
+  assert.match(shared[0].url, /dodge-the-danger\/index\.html\?topic=1/);
+
+  // Without a share sheet the link is copied
+  delete sim.window.navigator.share;
+  sim.click('btn-share');
+  for (let i = 0; i < 5; i++) await sim.flush();
+  assert.strictEqual(copied.length, 1);
+  assert.strictEqual(sim.element('share-status').textContent, 'Link copied');
+});
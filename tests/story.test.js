@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+// Serve one topic.json for every manifest request
+const serveManifest = manifest => async () => ({
+  ok: true,
+  status: 200,
+  json: async () => manifest,
+});
+
+const generatedManifest = {
+  title: 'Man Attempts to Pay Traffic Fine with Monopoly Money',
+  description: '',
+  assets: {},
+  extras: {
+    story: {
+      id: '165147983',
+      topic: 'Man Attempts to Pay Traffic Fine with Monopoly Money',
+      title: 'Man Attempts to Pay Traffic Fine with Monopoly Money',
+      summary: 'A driver handed a deputy a Get Out of Jail Free card.',
+      source: { label: 'fox10tv.com', url: 'https://www.fox10tv.com/story' },
+    },
+  },
+};
+
+// Text of an element and its descendants, in document order
+function textOf(element) {
+  return [element.textContent, ...element.children.map(textOf)]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function findLink(element) {
+  if (element.tagName === 'A') return element;
+  for (const child of element.children) {
+    const link = findLink(child);
+    if (link) return link;
+  }
+  return null;
+}
+
+test('the loading overlay shows the story with a link to the source', async () => {
+  const sim = await loadGame('dodge-the-danger', {
+    search: '?topic=monopoly',
+    fetch: serveManifest(generatedManifest),
+    console: { ...console, warn() {} },
+  });
+  const loadingStory = sim.element('loading-story');
+
+  assert.strictEqual(loadingStory.hidden, false);
+  assert.match(textOf(loadingStory), /Monopoly Money/);
+  assert.match(textOf(loadingStory), /Get Out of Jail Free/);
+
+  const link = findLink(loadingStory);
+  assert.strictEqual(link.href, 'https://www.fox10tv.com/story');
+  assert.strictEqual(link.target, '_blank');
+  assert.strictEqual(link.textContent, 'Read the story (fox10tv.com)');
+});
+
+test('the story card appears on game over and hides on restart', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=sharks&seed=story',
+    console: { ...console, warn() {} },
+  });
+  const { game } = sim;
+  const card = sim.element('story-card');
+  assert.strictEqual(card.hidden, true);
+
+  sim.advanceUntil(() => game.gameOver);
+  assert.strictEqual(card.hidden, false);
+  // Hand-written manifest: title and description, no link
+  assert.match(textOf(card), /sharks in hadara/);
+  assert.match(textOf(card), /a shark ate a man/);
+  assert.strictEqual(findLink(card), null);
+
+  sim.tap();
+  assert.strictEqual(card.hidden, true);
+});
+
+test('topics without a manifest show no story', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=no-such-topic',
+    console: { ...console, warn() {}, error() {} },
+  });
+
+  sim.advanceUntil(() => sim.game.gameOver);
+  assert.strictEqual(sim.game.story, null);
+  assert.strictEqual(sim.element('loading-story').hidden, true);
+  assert.strictEqual(sim.element('story-card').hidden, true);
+});
+
+test('getTopicStory fills gaps in inventory rows', async () => {
+  const sim = await loadGame('collect-it', { search: '?topic=1' });
+  const getTopicStory = sim.get('getTopicStory');
+  const story = extras => getTopicStory({ title: 'Manifest', extras });
+
+  // Empty Title: the Topic column is used instead
+  const untitled = story({
+    story: { topic: 'AI Robot Fired', title: '', summary: '', source: null },
+  });
+  assert.strictEqual(untitled.title, 'AI Robot Fired');
+  assert.strictEqual(untitled.summary, '');
+  assert.strictEqual(untitled.source, null);
+
+  // Raw markdown and bare URLs from hand-written manifests
+  const markdown = story({
+    story: { title: 'T', source: '([yogajournal.com](https://yj.com/cat))' },
+  });
+  assert.strictEqual(markdown.source.url, 'https://yj.com/cat');
+  assert.strictEqual(markdown.source.label, 'yogajournal.com');
+  const bare = story({ story: { title: 'T', source: 'https://www.a.org/x' } });
+  assert.strictEqual(bare.source.label, 'a.org');
+
+  // Anything but http(s) is dropped
+  const script = story({
+    story: { title: 'T', source: 'javascript:alert(1)' },
+  });
+  assert.strictEqual(script.source, null);
+
+  assert.strictEqual(getTopicStory({ title: '', extras: {} }), null);
+});
+
+test('a source link the browser cannot parse is dropped, not fatal', async () => {
+  const sim = await loadGame('collect-it', {
+    search: '?topic=news',
+    fetch: serveManifest({
+      title: 'News',
+      assets: {},
+      extras: { story: { title: 'T', source: 'https://news.example:port/a' } },
+    }),
+    console: { ...console, warn() {} },
+  });
+
+  assert.strictEqual(sim.game.scene, 'playing');
+  assert.strictEqual(sim.game.story.source, null);
+  assert.strictEqual(findLink(sim.element('loading-story')), null);
+});
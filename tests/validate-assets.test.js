@@ -0,0 +1,282 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { decodePng, encodePng, readImageInfo } = require('../tools/png');
+const {
+  ASSET_RULES,
+  validateAssets,
+  writeReport,
+} = require('../tools/validate-assets');
+const { loadGame } = require('./harness');
+
+// width x height RGBA image; `paint(x, y)` returns [r, g, b, a]
+function makeImage(width, height, paint) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(paint(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// Red square of `size` in the middle of a transparent canvas
+const paddedSprite = (canvas, size) =>
+  makeImage(canvas, canvas, (x, y) => {
+    const margin = (canvas - size) / 2;
+    const inside =
+      x >= margin && x < margin + size && y >= margin && y < margin + size;
+    return inside ? [255, 0, 0, 255] : [0, 0, 0, 0];
+  });
+
+// 8-bit RGB PNG (no alpha channel), as some topics ship their sprites
+function encodeRgbPng(width, height) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  const rows = Buffer.alloc((width * 3 + 1) * height, 200);
+  for (let y = 0; y < height; y++) rows[y * (width * 3 + 1)] = 0;
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Temporary game-assets/ with { topic: { file: Buffer | object } }
+function makeAssets(topics) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'));
+  Object.entries(topics).forEach(([topic, files]) => {
+    fs.mkdirSync(path.join(root, 'game-assets', topic), { recursive: true });
+    Object.entries(files).forEach(([name, content]) => {
+      fs.writeFileSync(
+        path.join(root, 'game-assets', topic, name),
+        Buffer.isBuffer(content) ? content : JSON.stringify(content)
+      );
+    });
+  });
+  return {
+    root,
+    options: {
+      assets: path.join(root, 'game-assets'),
+      out: path.join(root, 'out'),
+      topics: [],
+      dryRun: false,
+      strict: false,
+    },
+  };
+}
+
+const codes = (issues, topic) =>
+  issues
+    .filter(issue => issue.topic === topic)
+    .map(issue => `${issue.slot}:${issue.code}`);
+
+test('PNGs survive an encode / decode round trip', () => {
+  const image = makeImage(7, 5, (x, y) => [
+    x * 30,
+    y * 50,
+    128,
+    x === y ? 0 : 255,
+  ]);
+  const png = encodePng(image);
+  const decoded = decodePng(png);
+  assert.strictEqual(decoded.width, 7);
+  assert.strictEqual(decoded.height, 5);
+  assert.deepStrictEqual(Array.from(decoded.data), Array.from(image.data));
+  assert.deepStrictEqual(readImageInfo(png), {
+    format: 'png',
+    width: 7,
+    height: 5,
+    hasAlphaChannel: true,
+  });
+
+  const rgb = decodePng(encodeRgbPng(3, 2));
+  assert.strictEqual(rgb.hasAlphaChannel, false);
+  assert.deepStrictEqual(
+    Array.from(rgb.data.slice(0, 4)),
+    [200, 200, 200, 255]
+  );
+});
+
+test('sprites are checked for transparency, shape and file size', t => {
+  const { root, options } = makeAssets({
+    good: {
+      'topic.json': {
+        title: 'Good',
+        assets: {
+          character: 'character.png',
+          item: 'item.png',
+          background: 'background.png',
+        },
+      },
+      'character.png': encodePng(paddedSprite(400, 200)),
+      'item.png': encodePng(paddedSprite(320, 300)),
+      'background.png': encodePng(makeImage(600, 600, () => [0, 90, 200, 255])),
+    },
+    flat: {
+      'topic.json': {
+        title: 'Flat',
+        assets: {
+          character: 'character.png',
+          item: 'item.png',
+          music: 'x.mp3',
+        },
+      },
+      'character.png': encodeRgbPng(128, 128),
+      'item.png': encodePng(makeImage(64, 200, () => [0, 0, 0, 255])),
+    },
+    broken: { 'topic.json': Buffer.from('{ nope') },
+  });
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const { issues } = validateAssets(options);
+  assert.deepStrictEqual(codes(issues, 'good'), []);
+  assert.deepStrictEqual(codes(issues, 'flat'), [
+    'background:missing-asset',
+    'character:no-alpha',
+    'item:aspect-ratio',
+    'item:opaque',
+    'music:missing-file',
+  ]);
+  assert.deepStrictEqual(codes(issues, 'broken'), [
+    'null:invalid-manifest',
+    'character:missing-asset',
+    'item:missing-asset',
+    'background:missing-asset',
+  ]);
+
+  // A 600 KB sprite is over the 512 KB limit
+  const { root: bigRoot, options: big } = makeAssets({
+    big: {
+      'topic.json': { title: 'Big', assets: { item: 'item.gif' } },
+      'item.gif': Buffer.concat([
+        Buffer.from('GIF89a'),
+        Buffer.from([128, 0, 128, 0]),
+        Buffer.alloc(600 * 1024),
+      ]),
+    },
+  });
+  t.after(() => fs.rmSync(bigRoot, { recursive: true, force: true }));
+  const result = validateAssets({ ...big, dryRun: true });
+  assert.deepStrictEqual(codes(result.issues, 'big').slice(2), [
+    'item:oversized-file',
+  ]);
+  assert.deepStrictEqual(result.topics[0].files[0].variants, [
+    { size: 256, skipped: 'gif source; only PNGs are resized' },
+    { size: 128, skipped: 'gif source; only PNGs are resized' },
+  ]);
+});
+
+test('trimmed, resized variants and report.json are written to --out', t => {
+  const { root, options } = makeAssets({
+    diver: {
+      'topic.json': {
+        title: 'Diver',
+        assets: { character: 'character.png', background: 'background.png' },
+      },
+      // 300px sprite in a 600px canvas
+      'character.png': encodePng(paddedSprite(600, 300)),
+      'background.png': encodePng(
+        makeImage(1200, 600, () => [0, 90, 200, 255])
+      ),
+    },
+  });
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const result = validateAssets(options);
+  writeReport(options, result);
+  const [character, background] = result.topics[0].files;
+  assert.deepStrictEqual(character.trim, {
+    x: 150,
+    y: 150,
+    width: 300,
+    height: 300,
+  });
+  assert.deepStrictEqual(
+    character.variants.map(({ size, file, width, height }) => ({
+      size,
+      file,
+      width,
+      height,
+    })),
+    [
+      { size: 256, file: 'character-256.png', width: 256, height: 256 },
+      { size: 128, file: 'character-128.png', width: 128, height: 128 },
+    ]
+  );
+  assert.deepStrictEqual(
+    background.variants.map(({ width, height }) => [width, height]),
+    [[1024, 512]]
+  );
+
+  // The trimmed sprite fills its variant edge to edge
+  const variant = decodePng(
+    fs.readFileSync(path.join(options.out, 'diver', 'character-128.png'))
+  );
+  assert.deepStrictEqual(
+    Array.from(variant.data.slice(0, 4)),
+    [255, 0, 0, 255]
+  );
+
+  const report = JSON.parse(
+    fs.readFileSync(path.join(options.out, 'report.json'), 'utf8')
+  );
+  assert.strictEqual(report.errors, 0);
+  assert.strictEqual(report.warnings, 1); // no item art
+  assert.strictEqual(report.topics[0].files[0].variants[0].png, undefined);
+});
+
+test('the sharks topic is flagged for its missing sprites', () => {
+  const { issues, topics } = validateAssets({
+    assets: 'game-assets',
+    out: 'build/assets',
+    topics: ['sharks'],
+    dryRun: true,
+  });
+  assert.deepStrictEqual(
+    topics.map(topic => topic.topic),
+    ['sharks']
+  );
+  assert.deepStrictEqual(codes(issues, 'sharks').slice(0, 3), [
+    'character:missing-asset',
+    'item:missing-asset',
+    'background:missing-asset',
+  ]);
+  assert.ok(
+    !fs.existsSync(path.resolve(__dirname, '..', 'build/assets/sharks'))
+  );
+});
+
+test('the templates ship default art within the size limits', async () => {
+  for (const template of ['catch-it', 'collect-it', 'dodge-the-danger']) {
+    const sim = await loadGame(template, { search: '?topic=1' });
+    const { defaultAssets } = sim.get('gameConfig');
+    for (const [slot, file] of Object.entries(defaultAssets)) {
+      const rules = ASSET_RULES[slot];
+      const buffer = fs.readFileSync(
+        path.resolve(__dirname, '..', 'game-templates', template, file)
+      );
+      const { width, height } = readImageInfo(buffer);
+      assert.ok(buffer.length <= rules.maxBytes, `${template} ${file} bytes`);
+      assert.ok(
+        Math.max(width, height) <= rules.maxDimension,
+        `${template} ${file} is ${width}x${height}`
+      );
+    }
+  }
+});
@@ -0,0 +1,111 @@
+// csv.js - Minimal RFC 4180 CSV parser used by the content tools
+
+// Split CSV text into { fields, line } rows, `line` being the 1-based line
+// the row starts on. Handles quoted fields with embedded commas, newlines and
+// doubled quotes, CRLF line endings and a leading byte-order mark.
+function splitCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ fields: row, line: rowLine });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field at end of CSV input');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push({ fields: row, line: rowLine });
+  }
+
+  // Drop blank lines
+  return rows.filter(({ fields }) => fields.length > 1 || fields[0] !== '');
+}
+
+// Split CSV text into rows of raw string fields
+function parseCsv(text) {
+  return splitCsvRows(text).map(row => row.fields);
+}
+
+// Parse CSV text with a header row into objects keyed by column name.
+// Each record also carries its 1-based source line as `_line`.
+function parseCsvRecords(text) {
+  const [header, ...rows] = splitCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.fields.map(column => column.trim());
+  return rows.map(({ fields, line }) => {
+    const record = { _line: line };
+    columns.forEach((column, columnIndex) => {
+      record[column] = (fields[columnIndex] || '').trim();
+    });
+    return record;
+  });
+}
+
+// Pull the label and URL out of a markdown link such as the inventory's
+// `([fox10tv.com](https://www.fox10tv.com/...))`. Plain URLs are accepted
+// too. Returns null when nothing usable is found.
+function parseMarkdownLink(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  const match = text.match(/\[([^\]]*)\]\(\s*(https?:\/\/[^\s)]+)\s*\)/);
+  if (match) {
+    return { label: match[1].trim() || hostnameOf(match[2]), url: match[2] };
+  }
+  if (/^https?:\/\/\S+$/.test(text)) {
+    return { label: hostnameOf(text), url: text };
+  }
+  return null;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+module.exports = { parseCsv, parseCsvRecords, parseMarkdownLink };
@@ -0,0 +1,558 @@
+#!/usr/bin/env node
+// generate-games.js - Turn inventory.csv stories into playable game instances
+//
+// Usage:
+//   node tools/generate-games.js [options]
+//
+// Options:
+//   --inventory <file>  stories CSV (default: inventory.csv)
+//   --params <file>     template assignments CSV (default: template_params.csv.csv)
+//   --assets <dir>      topic folders root (default: game-assets)
+//   --templates <dir>   templates root (default: game-templates)
+//   --out <dir>         where games.json and report.json go (default: build/games)
+//   --base-url <url>    prefix for launch URLs (default: relative to the repo root)
+//   --dry-run           print the summary without writing anything
+//   --strict            exit with status 1 if any story has errors
+//
+// For every story the generator picks a template (from the params CSV, or a
+// stable hash of the story ID), writes game-assets/<topic>/topic.json with the
+// story's title, summary and source, and records a launch URL. The topic
+// folder is a slug of the story's Topic unless the params CSV's `topic`
+// column points the story at an existing art folder. Stories with missing
+// fields or art are listed in report.json. game-assets/catalog.json
+// lists the templates and topic folders for the launcher page
+// (game-templates/index.html) when it runs without tools/server.js.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsvRecords, parseMarkdownLink } = require('./csv');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const REQUIRED_ASSET_KEYS = ['character', 'item', 'background'];
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif'];
+// Optional sounds (see game-templates/audio.js)
+const SOUND_ASSET_KEYS = [
+  'sfx-flap',
+  'sfx-collect',
+  'sfx-crash',
+  'sfx-highscore',
+  'music',
+];
+const SOUND_EXTENSIONS = ['mp3', 'ogg', 'm4a', 'wav'];
+// Templates picked by hash for stories without an assignment, in a fixed
+// order. Adding a template to this list moves existing stories to other
+// templates, so new templates are only used through the params CSV.
+const HASHED_TEMPLATES = ['collect-it', 'dodge-the-danger'];
+
+const DEFAULT_OPTIONS = {
+  inventory: 'inventory.csv',
+  params: 'template_params.csv.csv',
+  assets: 'game-assets',
+  templates: 'game-templates',
+  out: 'build/games',
+  baseUrl: '',
+  dryRun: false,
+  strict: false,
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  const valueFlags = {
+    '--inventory': 'inventory',
+    '--params': 'params',
+    '--assets': 'assets',
+    '--templates': 'templates',
+    '--out': 'out',
+    '--base-url': 'baseUrl',
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (valueFlags[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[valueFlags[arg]] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+// Templates are the folders under game-templates/ that have an index.html
+function listTemplates(templatesDir) {
+  return fs
+    .readdirSync(templatesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .filter(name => fs.existsSync(path.join(templatesDir, name, 'index.html')))
+    .sort();
+}
+
+// URL-safe folder name for a topic
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+}
+
+// Small stable string hash (FNV-1a) so automatic template picks don't change
+// between runs
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Template for a story without an explicit one: a hash of its ID over
+// HASHED_TEMPLATES (or every template, if none of those are installed)
+function pickTemplate(id, templates) {
+  const installed = HASHED_TEMPLATES.filter(name => templates.includes(name));
+  const choices = installed.length ? installed : templates;
+  return choices[hashString(id) % choices.length];
+}
+
+// Params may be a JSON object or a query string (`difficulty=hard&lang=he`)
+function parseParams(raw) {
+  if (!raw) return {};
+  if (raw.startsWith('{')) {
+    const params = JSON.parse(raw);
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('params must be a JSON object');
+    }
+    return params;
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function readCsvFile(file) {
+  return parseCsvRecords(fs.readFileSync(file, 'utf8'));
+}
+
+// Find <slot>.<ext> files for each asset slot (images and sounds) in a
+// topic folder
+function detectAssetFiles(folder) {
+  if (!fs.existsSync(folder)) return {};
+  const files = fs.readdirSync(folder);
+  const assets = {};
+  const find = (slot, extensions) =>
+    extensions.map(ext => `${slot}.${ext}`).find(name => files.includes(name));
+
+  [...REQUIRED_ASSET_KEYS, 'cover-image'].forEach(slot => {
+    const file = find(slot, IMAGE_EXTENSIONS);
+    if (file) {
+      assets[slot === 'cover-image' ? 'cover' : slot] = file;
+    }
+  });
+  SOUND_ASSET_KEYS.forEach(slot => {
+    const file = find(slot, SOUND_EXTENSIONS);
+    if (file) assets[slot] = file;
+  });
+  return assets;
+}
+
+// Sorted folder names directly under `dir`
+function listFolders(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+// `assets` of a topic.json, or null if it is missing or unreadable
+function readManifestAssets(file) {
+  try {
+    const manifest = readExistingManifest(file);
+    return manifest && manifest.assets;
+  } catch (error) {
+    return null;
+  }
+}
+
+function readExistingManifest(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON (${error.message})`);
+  }
+}
+
+// Templates and topic folders for game-assets/catalog.json. Asset paths are
+// relative to each topic folder, as in topic.json.
+function buildCatalog(options) {
+  const assetsDir = path.resolve(ROOT_DIR, options.assets);
+  const folders = listFolders(assetsDir);
+
+  const topics = folders.map(topic => {
+    const folder = path.join(assetsDir, topic);
+    let manifest = null;
+    try {
+      manifest = readExistingManifest(path.join(folder, 'topic.json'));
+    } catch (error) {
+      // Listed anyway; the game reports the broken manifest when opened
+    }
+    return {
+      topic,
+      title: (manifest && manifest.title) || topic,
+      assets: {
+        ...detectAssetFiles(folder),
+        ...((manifest && manifest.assets) || {}),
+      },
+      translations: (manifest && manifest.translations) || {},
+    };
+  });
+
+  return {
+    templates: listTemplates(path.resolve(ROOT_DIR, options.templates)),
+    topics,
+  };
+}
+
+function buildLaunchUrl(baseUrl, template, topic, params) {
+  const query = new URLSearchParams({ ...params, topic });
+  const prefix = baseUrl ? baseUrl.replace(/\/+$/, '') + '/' : '';
+  return `${prefix}game-templates/${template}/index.html?${query}`;
+}
+
+// Read both CSVs and work out every game instance. Pure apart from reading
+// the filesystem, so the result can be inspected before anything is written.
+function planGames(options) {
+  const resolve = file => path.resolve(ROOT_DIR, file);
+  const issues = [];
+  const report = (story, severity, field, message) => {
+    issues.push({
+      id: story.ID === undefined ? null : story.ID,
+      line: story._line,
+      severity,
+      field,
+      message,
+    });
+  };
+
+  const templates = listTemplates(resolve(options.templates));
+  if (!templates.length) {
+    throw new Error(`No templates found in ${options.templates}`);
+  }
+
+  const assetsDir = resolve(options.assets);
+  // Existing folders with the full set of art, which stories can reuse
+  const artFolders = listFolders(assetsDir).filter(folder => {
+    const files = {
+      ...detectAssetFiles(path.join(assetsDir, folder)),
+      ...(readManifestAssets(path.join(assetsDir, folder, 'topic.json')) || {}),
+    };
+    return REQUIRED_ASSET_KEYS.every(slot => files[slot]);
+  });
+
+  const stories = readCsvFile(resolve(options.inventory));
+  const paramsRows = fs.existsSync(resolve(options.params))
+    ? readCsvFile(resolve(options.params))
+    : [];
+
+  // Explicit template choices keyed by story ID
+  const assignments = new Map();
+  paramsRows.forEach(row => {
+    if (!row.id) {
+      report(row, 'error', 'id', 'template_params row without an id');
+      return;
+    }
+    if (row.template_id && !templates.includes(row.template_id)) {
+      report(
+        { ID: row.id, _line: row._line },
+        'error',
+        'template_id',
+        `unknown template "${row.template_id}" (expected one of ${templates.join(', ')})`
+      );
+      return;
+    }
+    let params;
+    try {
+      params = parseParams(row.params);
+    } catch (error) {
+      report(
+        { ID: row.id, _line: row._line },
+        'error',
+        'params',
+        `invalid params: ${error.message}`
+      );
+      return;
+    }
+    if (row.topic && !listFolders(assetsDir).includes(row.topic)) {
+      report(
+        { ID: row.id, _line: row._line },
+        'error',
+        'topic',
+        `no topic folder "${row.topic}" in ${options.assets}`
+      );
+      return;
+    }
+    assignments.set(row.id, {
+      template: row.template_id || null,
+      topic: row.topic || null,
+      params,
+    });
+  });
+
+  const games = [];
+  const seenIds = new Set();
+  const usedTopics = new Set();
+
+  stories.forEach(story => {
+    if (!/^-?\d+$/.test(story.ID || '')) {
+      report(story, 'error', 'ID', 'missing or non-numeric ID; story skipped');
+      return;
+    }
+    if (seenIds.has(story.ID)) {
+      report(story, 'error', 'ID', 'duplicate ID; story skipped');
+      return;
+    }
+    seenIds.add(story.ID);
+    if (story.ID === '0') {
+      report(story, 'warning', 'ID', 'ID 0 looks like a placeholder');
+    }
+
+    if (!story.Title && !story.Topic) {
+      report(story, 'error', 'Title', 'no Title or Topic; story skipped');
+      return;
+    }
+    if (!story.Title) {
+      report(story, 'warning', 'Title', 'missing Title; using Topic instead');
+    }
+    if (!story.Summary) {
+      report(story, 'warning', 'Summary', 'missing Summary');
+    }
+
+    const source = parseMarkdownLink(story.Source);
+    if (!story.Source) {
+      report(story, 'warning', 'Source', 'missing Source link');
+    } else if (!source) {
+      report(
+        story,
+        'warning',
+        'Source',
+        `unrecognized Source "${story.Source}"`
+      );
+    }
+
+    const assignment = assignments.get(story.ID) || {
+      template: null,
+      topic: null,
+      params: {},
+    };
+    const template = assignment.template || pickTemplate(story.ID, templates);
+
+    // Topic folder: the assigned art folder, else a slug of the Topic made
+    // unique with the ID
+    let topic = assignment.topic;
+    if (topic && usedTopics.has(topic)) {
+      report(
+        story,
+        'error',
+        'topic',
+        `topic folder "${topic}" is already used by another story; story skipped`
+      );
+      return;
+    }
+    if (!topic) {
+      topic = slugify(story.Topic || story.Title) || `story-${story.ID}`;
+      if (usedTopics.has(topic)) {
+        topic = `${topic}-${story.ID.replace('-', 'n')}`;
+      }
+    }
+    usedTopics.add(topic);
+
+    const folder = path.join(assetsDir, topic);
+    const manifestFile = path.join(folder, 'topic.json');
+    const existing = readExistingManifest(manifestFile);
+    const assetFiles = {
+      ...detectAssetFiles(folder),
+      ...((existing && existing.assets) || {}),
+    };
+
+    const missingAssets = REQUIRED_ASSET_KEYS.filter(slot => !assetFiles[slot]);
+    if (missingAssets.length) {
+      const reusable = artFolders.filter(name => !usedTopics.has(name));
+      report(
+        story,
+        'warning',
+        'assets',
+        `no ${missingAssets.join('/')} art in ${path.relative(ROOT_DIR, folder)}; fallbacks will be used` +
+          (reusable.length
+            ? `. Add art there, or set the story's "topic" in ${options.params} to one of: ${reusable.join(', ')}`
+            : '')
+      );
+    }
+
+    const manifest = {
+      ...(existing || {}),
+      title: story.Title || story.Topic,
+      description: story.Summary || (existing && existing.description) || '',
+      assets: assetFiles,
+      extras: {
+        ...((existing && existing.extras) || {}),
+        story: {
+          id: story.ID,
+          topic: story.Topic,
+          title: story.Title,
+          summary: story.Summary,
+          source: source,
+        },
+      },
+    };
+
+    games.push({
+      id: story.ID,
+      topic,
+      title: manifest.title,
+      template,
+      params: assignment.params,
+      url: buildLaunchUrl(options.baseUrl, template, topic, assignment.params),
+      manifestFile,
+      manifest,
+    });
+  });
+
+  // Assignments that point at stories we don't have
+  assignments.forEach((assignment, id) => {
+    if (!seenIds.has(id)) {
+      report(
+        { ID: id },
+        'warning',
+        'id',
+        'template_params row for unknown story'
+      );
+    }
+  });
+
+  return { games, issues };
+}
+
+function writeGames(options, { games, issues }) {
+  games.forEach(game => {
+    fs.mkdirSync(path.dirname(game.manifestFile), { recursive: true });
+    fs.writeFileSync(
+      game.manifestFile,
+      JSON.stringify(game.manifest, null, 2) + '\n'
+    );
+  });
+
+  fs.writeFileSync(
+    path.resolve(ROOT_DIR, options.assets, 'catalog.json'),
+    JSON.stringify(buildCatalog(options), null, 2) + '\n'
+  );
+
+  const outDir = path.resolve(ROOT_DIR, options.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(outDir, 'games.json'),
+    JSON.stringify(
+      games.map(({ id, topic, title, template, params, url }) => ({
+        id,
+        topic,
+        title,
+        template,
+        params,
+        url,
+      })),
+      null,
+      2
+    ) + '\n'
+  );
+  fs.writeFileSync(
+    path.join(outDir, 'report.json'),
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        games: games.length,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length,
+        issues,
+      },
+      null,
+      2
+    ) + '\n'
+  );
+}
+
+function printSummary({ games, issues }) {
+  games.forEach(game => {
+    console.log(`${game.template.padEnd(18)} ${game.url}`);
+  });
+  const withoutArt = issues.filter(issue => issue.field === 'assets').length;
+  if (withoutArt) {
+    console.log(
+      `\n${withoutArt} game(s) have no art of their own and will use fallback art`
+    );
+  }
+  if (issues.length) {
+    console.log('');
+    issues.forEach(issue => {
+      const where = issue.line ? `line ${issue.line}` : `id ${issue.id}`;
+      console.log(
+        `${issue.severity.toUpperCase()} ${where} [${issue.field}]: ${issue.message}`
+      );
+    });
+  }
+  console.log(
+    `\n${games.length} game(s), ${issues.filter(i => i.severity === 'error').length} error(s), ` +
+      `${issues.filter(i => i.severity === 'warning').length} warning(s)`
+  );
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  const plan = planGames(options);
+  printSummary(plan);
+  if (!options.dryRun) {
+    writeGames(options, plan);
+    console.log(
+      `Wrote ${path.join(options.out, 'games.json')}, report.json and ` +
+        path.join(options.assets, 'catalog.json')
+    );
+  }
+
+  if (options.strict && plan.issues.some(issue => issue.severity === 'error')) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  planGames,
+  writeGames,
+  pickTemplate,
+  hashString,
+  buildCatalog,
+  parseParams,
+  slugify,
+  buildLaunchUrl,
+  listTemplates,
+  detectAssetFiles,
+  readCsvFile,
+};
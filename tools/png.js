@@ -0,0 +1,316 @@
+// png.js - Minimal PNG codec and image header reader used by the content tools
+//
+// decodePng() reads non-interlaced PNGs of every color type and bit depth
+// into 8-bit RGBA; encodePng() writes RGBA back out. readImageInfo() only
+// sizes an image (PNG, JPEG, GIF or WebP) from its header, without decoding.
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+// Samples per pixel for each PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function isPng(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+// Split a PNG into { type, data } chunks, checking the signature
+function readPngChunks(buffer) {
+  if (!isPng(buffer)) throw new Error('not a PNG file');
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw new Error(`truncated ${type} chunk`);
+    chunks.push({
+      type,
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+    });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function readPngHeader(chunks) {
+  const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+  if (!ihdr) throw new Error('missing IHDR chunk');
+  const header = {
+    width: ihdr.data.readUInt32BE(0),
+    height: ihdr.data.readUInt32BE(4),
+    bitDepth: ihdr.data[8],
+    colorType: ihdr.data[9],
+    interlace: ihdr.data[12],
+  };
+  if (!PNG_CHANNELS[header.colorType]) {
+    throw new Error(`unknown color type ${header.colorType}`);
+  }
+  return header;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Undo the per-row filters in place. Returns the rows as one buffer
+// without filter bytes.
+function unfilter(raw, stride, height, bpp) {
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let value = raw[src + x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) value += paeth(a, b, c);
+      else if (filter !== 0) throw new Error(`bad filter type ${filter}`);
+      out[row + x] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+// Decode a PNG buffer to { width, height, data (RGBA), hasAlphaChannel }.
+// hasAlphaChannel is true for gray+alpha / RGBA images and images with a
+// tRNS chunk.
+function decodePng(buffer) {
+  const chunks = readPngChunks(buffer);
+  const { width, height, bitDepth, colorType, interlace } =
+    readPngHeader(chunks);
+  if (interlace) throw new Error('interlaced PNGs are not supported');
+
+  const channels = PNG_CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const idat = Buffer.concat(
+    chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)
+  );
+  const pixels = unfilter(zlib.inflateSync(idat), stride, height, bpp);
+
+  const plte = chunks.find(chunk => chunk.type === 'PLTE');
+  const trns = chunks.find(chunk => chunk.type === 'tRNS');
+  const maxSample = (1 << bitDepth) - 1;
+
+  // Sample `index` of row `y` at the image's own bit depth
+  const sample = (y, index) => {
+    const row = y * stride;
+    if (bitDepth === 16) return pixels.readUInt16BE(row + index * 2);
+    if (bitDepth === 8) return pixels[row + index];
+    const bit = index * bitDepth;
+    const byte = pixels[row + (bit >> 3)];
+    return (byte >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  const to8 = value =>
+    bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxSample);
+  // tRNS color key for gray / RGB images
+  const key =
+    trns && colorType === 0
+      ? [trns.data.readUInt16BE(0)]
+      : trns && colorType === 2
+        ? [0, 2, 4].map(offset => trns.data.readUInt16BE(offset))
+        : null;
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const values = [];
+      for (let c = 0; c < channels; c++) {
+        values.push(sample(y, x * channels + c));
+      }
+
+      if (colorType === 3) {
+        const index = values[0];
+        data[out] = plte.data[index * 3];
+        data[out + 1] = plte.data[index * 3 + 1];
+        data[out + 2] = plte.data[index * 3 + 2];
+        data[out + 3] =
+          trns && index < trns.data.length ? trns.data[index] : 255;
+        continue;
+      }
+
+      const gray = colorType === 0 || colorType === 4;
+      const [r, g, b] = gray ? [values[0], values[0], values[0]] : values;
+      data[out] = to8(r);
+      data[out + 1] = to8(g);
+      data[out + 2] = to8(b);
+      if (colorType === 4 || colorType === 6) {
+        data[out + 3] = to8(values[channels - 1]);
+      } else {
+        const keyed = key && key.every((value, i) => values[i] === value);
+        data[out + 3] = keyed ? 0 : 255;
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    data,
+    hasAlphaChannel: colorType === 4 || colorType === 6 || Boolean(trns),
+  };
+}
+
+// Pick the filter with the smallest sum of absolute differences per row
+// (the usual PNG heuristic) and return the filtered scanlines
+function filterRows(data, width, height) {
+  const stride = width * 4;
+  const out = Buffer.alloc((stride + 1) * height);
+  const candidate = Buffer.alloc(stride);
+  const best = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    let bestScore = Infinity;
+    let bestFilter = 0;
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let x = 0; x < stride; x++) {
+        const a = x >= 4 ? data[row + x - 4] : 0;
+        const b = y > 0 ? data[row + x - stride] : 0;
+        const c = x >= 4 && y > 0 ? data[row + x - stride - 4] : 0;
+        const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+        const value = (data[row + x] - predictor) & 0xff;
+        candidate[x] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        candidate.copy(best);
+      }
+    }
+    out[y * (stride + 1)] = bestFilter;
+    best.copy(out, y * (stride + 1) + 1);
+  }
+  return out;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode { width, height, data (RGBA) } as an 8-bit RGBA PNG
+function encodePng({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', ihdr),
+    pngChunk(
+      'IDAT',
+      zlib.deflateSync(filterRows(data, width, height), { level: 9 })
+    ),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// JPEG start-of-frame markers (SOF0-SOF15 minus DHT, JPG and DAC)
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) throw new Error('bad JPEG marker');
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error('no JPEG frame header');
+}
+
+function readWebpInfo(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8X') {
+    return {
+      width: 1 + buffer.readUIntLE(24, 3),
+      height: 1 + buffer.readUIntLE(27, 3),
+      hasAlphaChannel: Boolean(buffer[20] & 0x10),
+    };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: 1 + (bits & 0x3fff),
+      height: 1 + ((bits >> 14) & 0x3fff),
+      hasAlphaChannel: Boolean((bits >> 28) & 1),
+    };
+  }
+  if (chunk === 'VP8 ') {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+      hasAlphaChannel: false,
+    };
+  }
+  throw new Error(`unknown WebP chunk ${chunk}`);
+}
+
+// { format, width, height, hasAlphaChannel } from the image's header.
+// hasAlphaChannel is null where the header can't tell (GIF).
+function readImageInfo(buffer) {
+  if (isPng(buffer)) {
+    const chunks = readPngChunks(buffer);
+    const { width, height, colorType } = readPngHeader(chunks);
+    return {
+      format: 'png',
+      width,
+      height,
+      hasAlphaChannel:
+        colorType === 4 ||
+        colorType === 6 ||
+        chunks.some(chunk => chunk.type === 'tRNS'),
+    };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return { format: 'jpeg', ...readJpegSize(buffer), hasAlphaChannel: false };
+  }
+  if (buffer.toString('latin1', 0, 3) === 'GIF') {
+    return {
+      format: 'gif',
+      width: buffer.readUInt16LE(6),
+      height: buffer.readUInt16LE(8),
+      hasAlphaChannel: null,
+    };
+  }
+  if (
+    buffer.toString('latin1', 0, 4) === 'RIFF' &&
+    buffer.toString('latin1', 8, 12) === 'WEBP'
+  ) {
+    return { format: 'webp', ...readWebpInfo(buffer) };
+  }
+  throw new Error('unrecognized image format');
+}
+
+module.exports = { decodePng, encodePng, readImageInfo };
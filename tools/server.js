@@ -0,0 +1,610 @@
+#!/usr/bin/env node
+// server.js - Local server for the game templates, topic assets and scores
+//
+// Usage:
+//   node tools/server.js [options]
+//
+// Options:
+//   --port <n>       port to listen on (default: 8080)
+//   --host <host>    interface to bind (default: 127.0.0.1)
+//   --scores <file>  where leaderboards are kept (default: build/scores.json)
+//
+// Serves game-templates/ and game-assets/ from this checkout, so games work
+// without network access, plus a small JSON API:
+//
+//   GET  /api/templates           templates (folders with an index.html)
+//   GET  /api/topics              game-assets/ folders and inventory.csv stories
+//   GET  /api/scores?board=<id>   { entries } for a leaderboard
+//   POST /api/scores              { board, entry: { name, score, date, meta } }
+//
+// Open a game with ?server=<this server's URL> to load assets from here and
+// keep leaderboards here instead of GitHub / localStorage.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  listTemplates,
+  detectAssetFiles,
+  readCsvFile,
+  slugify,
+} = require('./generate-games');
+const { parseMarkdownLink } = require('./csv');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// Only these top-level folders are served as static files
+const STATIC_DIRS = ['game-templates', 'game-assets'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+};
+
+// Leaderboard limits, matching game-templates/leaderboard.js
+const LEADERBOARD_SIZE = 10;
+const NAME_LENGTH = 12;
+const MAX_SCORE = 1000000;
+const MAX_META_LENGTH = 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+const BOARD_ID_PATTERN = /^[A-Za-z0-9_-]{1,120}$/;
+// Client dates further than this from the server clock are replaced
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  port: 8080,
+  host: '127.0.0.1',
+  scores: 'build/scores.json',
+  assets: 'game-assets',
+  templates: 'game-templates',
+  inventory: 'inventory.csv',
+  // Score submissions allowed per client address per window
+  rateLimit: 10,
+  rateWindowMs: 60 * 1000,
+};
+
+// Raised for requests the API refuses; `status` becomes the HTTP status and
+// `headers` are added to the error response
+class ApiError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  const valueFlags = {
+    '--port': 'port',
+    '--host': 'host',
+    '--scores': 'scores',
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[valueFlags[arg]] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  options.port = Number(options.port);
+  if (!Number.isInteger(options.port) || options.port < 0) {
+    throw new Error('--port must be a whole number');
+  }
+  return options;
+}
+
+// --- Topics -----------------------------------------------------------------
+
+function readManifest(folder) {
+  const file = path.join(folder, 'topic.json');
+  if (!fs.existsSync(file)) return { manifest: null, error: null };
+  try {
+    return { manifest: JSON.parse(fs.readFileSync(file, 'utf8')), error: null };
+  } catch (error) {
+    return { manifest: null, error: 'topic.json is not valid JSON' };
+  }
+}
+
+function storyFromRow(row) {
+  return {
+    id: row.ID,
+    topic: row.Topic,
+    title: row.Title,
+    summary: row.Summary,
+    source: parseMarkdownLink(row.Source),
+  };
+}
+
+// Every topic folder, matched up with its inventory.csv story (by the story
+// id the generator stores in topic.json, else by folder name), followed by
+// stories that don't have a folder yet
+function listTopics(options) {
+  const assetsDir = path.resolve(ROOT_DIR, options.assets);
+  const inventoryFile = path.resolve(ROOT_DIR, options.inventory);
+  const stories = fs.existsSync(inventoryFile)
+    ? readCsvFile(inventoryFile).filter(row => row.ID)
+    : [];
+  const matched = new Set();
+
+  const folders = fs.existsSync(assetsDir)
+    ? fs
+        .readdirSync(assetsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+    : [];
+
+  const topics = folders.map(topic => {
+    const folder = path.join(assetsDir, topic);
+    const { manifest, error } = readManifest(folder);
+    const files = {
+      ...detectAssetFiles(folder),
+      ...((manifest && manifest.assets) || {}),
+    };
+    const storyId =
+      manifest && manifest.extras && manifest.extras.story
+        ? manifest.extras.story.id
+        : null;
+    const row = stories.find(story =>
+      storyId
+        ? story.ID === storyId
+        : slugify(story.Topic || story.Title) === topic
+    );
+    if (row) matched.add(row);
+
+    const urlFor = file =>
+      /^([a-z]+:)?\/\//i.test(file)
+        ? file
+        : `/${options.assets}/${encodeURIComponent(topic)}/${file}`;
+
+    return {
+      topic,
+      title: (manifest && manifest.title) || (row && row.Title) || topic,
+      description: (manifest && manifest.description) || '',
+      hasFolder: true,
+      hasManifest: Boolean(manifest),
+      error,
+      assets: Object.fromEntries(
+        Object.entries(files).map(([slot, file]) => [slot, urlFor(file)])
+      ),
+      translations: (manifest && manifest.translations) || {},
+      story: row ? storyFromRow(row) : null,
+    };
+  });
+
+  stories
+    .filter(row => !matched.has(row))
+    .forEach(row => {
+      topics.push({
+        topic: slugify(row.Topic || row.Title) || `story-${row.ID}`,
+        title: row.Title || row.Topic || `Story ${row.ID}`,
+        description: row.Summary || '',
+        hasFolder: false,
+        hasManifest: false,
+        error: null,
+        assets: {},
+        translations: {},
+        story: storyFromRow(row),
+      });
+    });
+
+  return topics;
+}
+
+// --- Scores -----------------------------------------------------------------
+
+// Leaderboards in memory, saved to a JSON file after every change (if a file
+// is given)
+class ScoreStore {
+  constructor(file, size = LEADERBOARD_SIZE) {
+    this.file = file;
+    this.size = size;
+    // No prototype, so a board named "__proto__" is just another board
+    this.boards = Object.create(null);
+
+    if (file && fs.existsSync(file)) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8')).boards;
+        Object.assign(this.boards, saved);
+      } catch (error) {
+        console.warn(`Ignoring unreadable score file ${file}`);
+      }
+    }
+  }
+
+  getEntries(board) {
+    return this.boards[board] || [];
+  }
+
+  addEntry(board, entry) {
+    const entries = [...this.getEntries(board), entry]
+      .sort(
+        (a, b) =>
+          b.score - a.score || (a.date || '').localeCompare(b.date || '')
+      )
+      .slice(0, this.size);
+    this.boards[board] = entries;
+    this.save();
+    return entries;
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(
+      this.file,
+      JSON.stringify({ boards: this.boards }, null, 2) + '\n'
+    );
+  }
+}
+
+// Fixed-window request counter per client
+class RateLimiter {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  // Returns 0 if the request is allowed, else seconds until it would be
+  hit(key, now = Date.now()) {
+    this.windows.forEach((current, currentKey) => {
+      if (now >= current.resetAt) this.windows.delete(currentKey);
+    });
+
+    const current = this.windows.get(key) || {
+      count: 0,
+      resetAt: now + this.windowMs,
+    };
+    this.windows.set(key, current);
+    if (current.count >= this.limit) {
+      return Math.ceil((current.resetAt - now) / 1000);
+    }
+    current.count++;
+    return 0;
+  }
+}
+
+function validateBoardId(board) {
+  if (typeof board !== 'string' || !BOARD_ID_PATTERN.test(board)) {
+    throw new ApiError(
+      400,
+      '"board" must be 1-120 letters, digits, "_" or "-"'
+    );
+  }
+  return board;
+}
+
+// Check a POST /api/scores body and return the entry to store, or throw
+function validateScoreSubmission(body, now = Date.now()) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Body must be a JSON object');
+  }
+  const board = validateBoardId(body.board);
+
+  const entry = body.entry;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new ApiError(400, '"entry" must be an object');
+  }
+
+  const name =
+    typeof entry.name === 'string'
+      ? entry.name.replace(/[\u0000-\u001f\u007f]/g, '').trim()
+      : '';
+  if (!name || name.length > NAME_LENGTH) {
+    throw new ApiError(400, `"name" must be 1-${NAME_LENGTH} characters`);
+  }
+
+  if (
+    !Number.isInteger(entry.score) ||
+    entry.score < 0 ||
+    entry.score > MAX_SCORE
+  ) {
+    throw new ApiError(400, `"score" must be a whole number 0-${MAX_SCORE}`);
+  }
+
+  const meta = entry.meta === undefined ? {} : entry.meta;
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    throw new ApiError(400, '"meta" must be an object');
+  }
+  if (JSON.stringify(meta).length > MAX_META_LENGTH) {
+    throw new ApiError(400, `"meta" must be under ${MAX_META_LENGTH} bytes`);
+  }
+
+  // Keep the client's timestamp (the game highlights the entry by it) unless
+  // it is missing or implausible
+  const clientTime = Date.parse(entry.date);
+  const date =
+    typeof entry.date === 'string' &&
+    Math.abs(clientTime - now) <= MAX_CLOCK_SKEW_MS
+      ? new Date(clientTime).toISOString()
+      : new Date(now).toISOString();
+
+  return { board, entry: { name, score: entry.score, date, meta } };
+}
+
+// --- HTTP -------------------------------------------------------------------
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': MIME_TYPES['.json'],
+    'Cache-Control': 'no-store',
+    ...headers,
+  });
+  res.end(JSON.stringify(data));
+}
+
+// Oversized bodies are refused with a 413. The rest of the body is read
+// and dropped so the client sees the response rather than a reset socket;
+// `Connection: close` ends the connection once the response is sent.
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let chunks = [];
+    req.on('data', chunk => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks = null;
+        reject(
+          new ApiError(413, 'Request body too large', { Connection: 'close' })
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!chunks) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new ApiError(400, 'Body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Map a URL path onto a file in one of the served folders, or null
+function resolveStaticFile(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+  const file = path.resolve(ROOT_DIR, `.${path.posix.normalize(decoded)}`);
+  const allowed = STATIC_DIRS.some(dir =>
+    file.startsWith(path.join(ROOT_DIR, dir) + path.sep)
+  );
+  if (!allowed || !fs.existsSync(file)) return null;
+
+  if (fs.statSync(file).isDirectory()) {
+    const index = path.join(file, 'index.html');
+    return fs.existsSync(index) ? index : null;
+  }
+  return file;
+}
+
+function sendNotFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found');
+}
+
+function serveStatic(req, res, pathname) {
+  const file = resolveStaticFile(pathname);
+  if (!file) {
+    sendNotFound(res);
+    return;
+  }
+  const headers = {
+    'Content-Type':
+      MIME_TYPES[path.extname(file).toLowerCase()] ||
+      'application/octet-stream',
+    // Games on another origin load art with CORS (see asset-loader.js)
+    'Access-Control-Allow-Origin': '*',
+  };
+  if (req.method === 'HEAD') {
+    res.writeHead(200, headers);
+    res.end();
+    return;
+  }
+
+  // Headers wait until the file opens, so a file removed or unreadable
+  // since it was found still gets a proper error response
+  const stream = fs.createReadStream(file);
+  stream.on('open', () => {
+    res.writeHead(200, headers);
+    stream.pipe(res);
+  });
+  stream.on('error', error => {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else if (error.code === 'ENOENT') {
+      sendNotFound(res);
+    } else {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Could not read file');
+    }
+  });
+}
+
+const escapeHtml = text =>
+  String(text).replace(
+    /[&<>"']/g,
+    char =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      })[char]
+  );
+
+// Plain list of every template/topic pair, wired to this server
+function renderIndexPage(options, origin) {
+  const templates = listTemplates(path.resolve(ROOT_DIR, options.templates));
+  const topics = listTopics(options).filter(topic => topic.hasFolder);
+  const launcherQuery = new URLSearchParams({ server: origin });
+  const launcherUrl = `/${options.templates}/index.html?${launcherQuery}`;
+  const sections = templates.map(template => {
+    const links = topics.map(topic => {
+      const query = new URLSearchParams({ topic: topic.topic, server: origin });
+      const url = `/${options.templates}/${template}/index.html?${query}`;
+      return `<li><a href="${escapeHtml(url)}">${escapeHtml(topic.title)}</a></li>`;
+    });
+    return `<h2>${escapeHtml(template)}</h2>\n<ul>\n${links.join('\n')}\n</ul>`;
+  });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8" /><title>Games</title></head>
+<body>
+<h1>Games</h1>
+<p><a href="${escapeHtml(launcherUrl)}">Game launcher</a></p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+async function handleApi(req, res, url, context) {
+  const { options, store, limiter } = context;
+
+  if (url.pathname === '/api/templates' && req.method === 'GET') {
+    return sendJson(res, 200, {
+      templates: listTemplates(path.resolve(ROOT_DIR, options.templates)),
+    });
+  }
+
+  if (url.pathname === '/api/topics' && req.method === 'GET') {
+    return sendJson(res, 200, { topics: listTopics(options) });
+  }
+
+  if (url.pathname === '/api/scores' && req.method === 'GET') {
+    const board = validateBoardId(url.searchParams.get('board'));
+    return sendJson(res, 200, { entries: store.getEntries(board) });
+  }
+
+  if (url.pathname === '/api/scores' && req.method === 'POST') {
+    const retryAfter = limiter.hit(req.socket.remoteAddress);
+    if (retryAfter) {
+      return sendJson(
+        res,
+        429,
+        { error: 'Too many scores submitted, try again later' },
+        { 'Retry-After': String(retryAfter) }
+      );
+    }
+    const { board, entry } = validateScoreSubmission(await readJsonBody(req));
+    return sendJson(res, 201, { entries: store.addEntry(board, entry) });
+  }
+
+  throw new ApiError(404, `No API route for ${req.method} ${url.pathname}`);
+}
+
+function createServer(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const context = {
+    options,
+    store: new ScoreStore(
+      options.scores ? path.resolve(ROOT_DIR, options.scores) : null
+    ),
+    limiter: new RateLimiter(options.rateLimit, options.rateWindowMs),
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname.startsWith('/api/')) {
+      // Games may be opened from another origin (e.g. a static server)
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      try {
+        await handleApi(req, res, url, context);
+      } catch (error) {
+        if (!(error instanceof ApiError)) {
+          console.error(error);
+        }
+        const status = error instanceof ApiError ? error.status : 500;
+        sendJson(
+          res,
+          status,
+          { error: status === 500 ? 'Internal server error' : error.message },
+          error instanceof ApiError ? error.headers : {}
+        );
+      }
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    if (url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'] });
+      res.end(renderIndexPage(options, url.origin));
+      return;
+    }
+    serveStatic(req, res, url.pathname);
+  });
+
+  server.scoreStore = context.store;
+  return server;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  const server = createServer(options);
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    console.log(`Serving games on http://${options.host}:${port}/`);
+    console.log(`Scores are kept in ${options.scores}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createServer,
+  listTopics,
+  validateScoreSubmission,
+  ScoreStore,
+  RateLimiter,
+  ApiError,
+};
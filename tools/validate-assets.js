@@ -0,0 +1,538 @@
+#!/usr/bin/env node
+// validate-assets.js - Check topic art in game-assets/ and build normalized variants
+//
+// Usage:
+//   node tools/validate-assets.js [options]
+//
+// Options:
+//   --assets <dir>   topic folders root (default: game-assets)
+//   --out <dir>      where the variants and report.json go (default: build/assets)
+//   --topic <name>   only check this topic (repeatable)
+//   --dry-run        print the summary without writing anything
+//   --strict         exit with status 1 if any topic has errors
+//
+// Every topic folder is checked against what the templates load: a valid
+// topic.json, character / item / background art (missing slots fall back to
+// template art, so they are warnings), and files that exist and can be read.
+// Images larger than ASSET_RULES allows, with an odd shape, or character /
+// item sprites without transparency are flagged. PNG art is also written out
+// as smaller variants (<out>/<topic>/<slot>-<size>.png); sprites are trimmed
+// to their visible pixels and centered on a square first. report.json lists
+// every file, variant and issue for the build.
+
+const fs = require('fs');
+const path = require('path');
+const { decodePng, encodePng, readImageInfo } = require('./png');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const REQUIRED_ASSET_KEYS = ['character', 'item', 'background'];
+const KB = 1024;
+
+// Character / item sprites, collect-it's optional snake segments and
+// dodge-the-danger's power-ups
+const SPRITE_RULES = {
+  maxBytes: 512 * KB,
+  maxDimension: 1024,
+  minDimension: 64,
+  square: true,
+  alpha: true,
+  trim: true,
+  variants: [256, 128],
+};
+
+// What each image slot should look like. Sprites are drawn square and need
+// transparency around the subject; variants are longest-side pixel sizes.
+const ASSET_RULES = {
+  character: SPRITE_RULES,
+  item: SPRITE_RULES,
+  body: SPRITE_RULES,
+  tail: SPRITE_RULES,
+  turn: SPRITE_RULES,
+  'powerup-shield': SPRITE_RULES,
+  'powerup-slow': SPRITE_RULES,
+  'powerup-multiplier': SPRITE_RULES,
+  'powerup-shrink': SPRITE_RULES,
+  background: {
+    maxBytes: 1024 * KB,
+    maxDimension: 2048,
+    minDimension: 512,
+    variants: [1024],
+  },
+  cover: {
+    maxBytes: 512 * KB,
+    maxDimension: 1600,
+    minDimension: 256,
+    variants: [600],
+  },
+};
+// Sprites whose width / height differ by more than this aren't "square"
+const SQUARE_TOLERANCE = 0.1;
+// Pixels at or below this alpha count as transparent when trimming
+const TRIM_ALPHA_THRESHOLD = 8;
+
+const DEFAULT_OPTIONS = {
+  assets: 'game-assets',
+  out: 'build/assets',
+  topics: [],
+  dryRun: false,
+  strict: false,
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS, topics: [] };
+  const valueFlags = {
+    '--assets': 'assets',
+    '--out': 'out',
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--topic' || valueFlags[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      const value = argv[++i];
+      if (arg === '--topic') {
+        options.topics.push(value);
+      } else {
+        options[valueFlags[arg]] = value;
+      }
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+// Bounding box of the pixels above TRIM_ALPHA_THRESHOLD, or null if the
+// image is blank
+function findOpaqueBounds({ width, height, data }) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > TRIM_ALPHA_THRESHOLD) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+      }
+    }
+  }
+  if (right < 0) return null;
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// Copy `bounds` of an image onto a transparent square canvas, centered
+function cropToSquare(image, bounds) {
+  const size = Math.max(bounds.width, bounds.height);
+  const offsetX = Math.floor((size - bounds.width) / 2);
+  const offsetY = Math.floor((size - bounds.height) / 2);
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < bounds.height; y++) {
+    const from = ((bounds.y + y) * image.width + bounds.x) * 4;
+    const to = ((offsetY + y) * size + offsetX) * 4;
+    data.set(image.data.subarray(from, from + bounds.width * 4), to);
+  }
+  return { width: size, height: size, data };
+}
+
+// Downscale with a box filter. Colors are weighted by alpha so transparent
+// pixels don't darken the sprite's edges.
+function resizeImage(image, width, height) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.data[i + 3];
+          r += image.data[i] * alpha;
+          g += image.data[i + 1] * alpha;
+          b += image.data[i + 2] * alpha;
+          a += alpha;
+        }
+      }
+      const out = (y * width + x) * 4;
+      if (a > 0) {
+        data[out] = Math.round(r / a);
+        data[out + 1] = Math.round(g / a);
+        data[out + 2] = Math.round(b / a);
+      }
+      data[out + 3] = Math.round(a / ((y1 - y0) * (x1 - x0)));
+    }
+  }
+  return { width, height, data };
+}
+
+// { width, height } of an image scaled so its longest side is `size`
+function fitSize(width, height, size) {
+  const scale = size / Math.max(width, height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+// The topic's parsed topic.json, or null (reported) if the games can't use it
+function readTopicManifest(folder, report) {
+  const file = path.join(folder, 'topic.json');
+  if (!fs.existsSync(file)) {
+    report(
+      'error',
+      'missing-manifest',
+      'no topic.json; games fall back to default art',
+      { file: 'topic.json' }
+    );
+    return null;
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    report(
+      'error',
+      'invalid-manifest',
+      `topic.json is not valid JSON (${error.message})`,
+      { file: 'topic.json' }
+    );
+    return null;
+  }
+  const assets = manifest && manifest.assets;
+  if (!assets || typeof assets !== 'object' || Array.isArray(assets)) {
+    report('error', 'invalid-manifest', 'topic.json needs an "assets" object', {
+      file: 'topic.json',
+    });
+    return null;
+  }
+  if (typeof manifest.title !== 'string' || !manifest.title.trim()) {
+    report(
+      'error',
+      'invalid-manifest',
+      'topic.json needs a non-empty "title"',
+      { file: 'topic.json' }
+    );
+  }
+  return manifest;
+}
+
+// Check one image against its slot's rules. Returns the report entry and,
+// for PNGs, the decoded pixels.
+function checkImage(folder, slot, file, report) {
+  const rules = ASSET_RULES[slot];
+  const buffer = fs.readFileSync(path.join(folder, file));
+  const entry = { slot, file, bytes: buffer.length };
+  let image = null;
+  try {
+    Object.assign(entry, readImageInfo(buffer));
+    if (entry.format === 'png') image = decodePng(buffer);
+  } catch (error) {
+    report(
+      'error',
+      'unreadable',
+      `${file} can't be read as an image (${error.message})`,
+      { slot, file }
+    );
+    return { entry, image: null };
+  }
+
+  const { width, height } = entry;
+  if (buffer.length > rules.maxBytes) {
+    report(
+      'warning',
+      'oversized-file',
+      `${file} is ${Math.round(buffer.length / KB)} KB (limit ${rules.maxBytes / KB} KB)`,
+      { slot, file }
+    );
+  }
+  if (Math.max(width, height) > rules.maxDimension) {
+    report(
+      'warning',
+      'oversized-image',
+      `${file} is ${width}x${height} (limit ${rules.maxDimension}px)`,
+      { slot, file }
+    );
+  }
+  if (Math.min(width, height) < rules.minDimension) {
+    report(
+      'warning',
+      'undersized-image',
+      `${file} is ${width}x${height} (at least ${rules.minDimension}px)`,
+      { slot, file }
+    );
+  }
+
+  if (rules.trim && image) {
+    entry.trim = findOpaqueBounds(image);
+  }
+  if (rules.square) {
+    // Judge the visible sprite, since trimming removes the empty margins
+    const shape = entry.trim || entry;
+    if (
+      Math.abs(shape.width - shape.height) >
+      SQUARE_TOLERANCE * Math.max(shape.width, shape.height)
+    ) {
+      report(
+        'warning',
+        'aspect-ratio',
+        `${file} is ${shape.width}x${shape.height}; ${slot} sprites are drawn square`,
+        { slot, file }
+      );
+    }
+  }
+  if (rules.alpha) {
+    if (entry.hasAlphaChannel === false) {
+      report(
+        'warning',
+        'no-alpha',
+        `${file} has no alpha channel; the ${slot} will be drawn as a box`,
+        { slot, file }
+      );
+    } else if (
+      entry.trim &&
+      entry.trim.width === width &&
+      entry.trim.height === height &&
+      image.data.every((value, i) => i % 4 !== 3 || value === 255)
+    ) {
+      report(
+        'warning',
+        'opaque',
+        `${file} has an alpha channel but no transparent pixels`,
+        { slot, file }
+      );
+    }
+  }
+  if (entry.trim === null) {
+    report('error', 'blank-image', `${file} is fully transparent`, {
+      slot,
+      file,
+    });
+  }
+  return { entry, image };
+}
+
+// Smaller copies of an image for each of the slot's variant sizes. Sizes
+// that would upscale are skipped.
+function buildVariants(slot, entry, image) {
+  const rules = ASSET_RULES[slot];
+  if (!image) {
+    return rules.variants.map(size => ({
+      size,
+      skipped: `${entry.format || 'unreadable'} source; only PNGs are resized`,
+    }));
+  }
+  const source = entry.trim ? cropToSquare(image, entry.trim) : image;
+  return rules.variants.map(size => {
+    if (Math.max(source.width, source.height) <= size) {
+      return {
+        size,
+        skipped: `source is only ${source.width}x${source.height}`,
+      };
+    }
+    const { width, height } = fitSize(source.width, source.height, size);
+    const png = encodePng(resizeImage(source, width, height));
+    return {
+      size,
+      file: `${slot}-${size}.png`,
+      width,
+      height,
+      bytes: png.length,
+      png,
+    };
+  });
+}
+
+// Check (and, unless dry-running, write variants for) every topic folder.
+// Returns { topics, issues } in the shape of report.json.
+function validateAssets(options) {
+  const assetsDir = path.resolve(ROOT_DIR, options.assets);
+  const outDir = path.resolve(ROOT_DIR, options.out);
+  if (!fs.existsSync(assetsDir)) {
+    throw new Error(`No assets folder at ${options.assets}`);
+  }
+  const folders = fs
+    .readdirSync(assetsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .filter(name => !options.topics.length || options.topics.includes(name))
+    .sort();
+  options.topics.forEach(topic => {
+    if (!folders.includes(topic)) {
+      throw new Error(`No topic folder ${path.join(options.assets, topic)}`);
+    }
+  });
+
+  const issues = [];
+  const topics = folders.map(topic => {
+    const folder = path.join(assetsDir, topic);
+    const report = (severity, code, message, where = {}) => {
+      issues.push({
+        topic,
+        slot: where.slot || null,
+        file: where.file || null,
+        severity,
+        code,
+        message,
+      });
+    };
+
+    const manifest = readTopicManifest(folder, report);
+    const declared = (manifest && manifest.assets) || {};
+    REQUIRED_ASSET_KEYS.filter(slot => !declared[slot]).forEach(slot => {
+      report(
+        'warning',
+        'missing-asset',
+        `no ${slot} art; the template's fallback will be used`,
+        { slot }
+      );
+    });
+
+    const files = [];
+    Object.keys(declared).forEach(slot => {
+      const file = declared[slot];
+      if (typeof file !== 'string' || !file) {
+        report(
+          'error',
+          'invalid-manifest',
+          `"assets.${slot}" must be a non-empty path`,
+          { slot }
+        );
+        return;
+      }
+      // Remote art can't be checked from here
+      if (/^[a-z][a-z0-9+.-]*:/i.test(file)) return;
+      if (!fs.existsSync(path.join(folder, file))) {
+        report(
+          'error',
+          'missing-file',
+          `${file} is listed in topic.json but doesn't exist`,
+          { slot, file }
+        );
+        return;
+      }
+      if (!ASSET_RULES[slot]) {
+        // Sounds and other extras only need to exist
+        files.push({
+          slot,
+          file,
+          bytes: fs.statSync(path.join(folder, file)).size,
+        });
+        return;
+      }
+
+      const { entry, image } = checkImage(folder, slot, file, report);
+      if (entry.format) {
+        entry.variants = buildVariants(slot, entry, image);
+        entry.variants.forEach(variant => {
+          if (!variant.png) return;
+          if (!options.dryRun) {
+            fs.mkdirSync(path.join(outDir, topic), { recursive: true });
+            fs.writeFileSync(
+              path.join(outDir, topic, variant.file),
+              variant.png
+            );
+          }
+          delete variant.png;
+        });
+      }
+      files.push(entry);
+    });
+
+    return { topic, files };
+  });
+
+  return { topics, issues };
+}
+
+function writeReport(options, { topics, issues }) {
+  const outDir = path.resolve(ROOT_DIR, options.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(outDir, 'report.json'),
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        topics,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length,
+        issues,
+      },
+      null,
+      2
+    ) + '\n'
+  );
+}
+
+function printSummary({ topics, issues }) {
+  topics.forEach(({ topic, files }) => {
+    const variants = files.reduce(
+      (count, file) =>
+        count + (file.variants || []).filter(variant => variant.file).length,
+      0
+    );
+    console.log(
+      `${topic.padEnd(24)} ${files.length} file(s), ${variants} variant(s)`
+    );
+  });
+  if (issues.length) {
+    console.log('');
+    issues.forEach(issue => {
+      const where = issue.file ? `${issue.topic}/${issue.file}` : issue.topic;
+      console.log(
+        `${issue.severity.toUpperCase()} ${where} [${issue.code}]: ${issue.message}`
+      );
+    });
+  }
+  console.log(
+    `\n${topics.length} topic(s), ${issues.filter(i => i.severity === 'error').length} error(s), ` +
+      `${issues.filter(i => i.severity === 'warning').length} warning(s)`
+  );
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  const result = validateAssets(options);
+  printSummary(result);
+  if (!options.dryRun) {
+    writeReport(options, result);
+    console.log(`Wrote variants and ${path.join(options.out, 'report.json')}`);
+  }
+
+  if (options.strict && result.issues.some(i => i.severity === 'error')) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  ASSET_RULES,
+  parseArgs,
+  validateAssets,
+  writeReport,
+  findOpaqueBounds,
+  resizeImage,
+};